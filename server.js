@@ -1,16 +1,449 @@
 const express = require('express');
 const QRCode = require('qrcode');
+const QRUtils = require('qrcode/lib/core/utils');
+const QRMode = require('qrcode/lib/core/mode');
+const QRErrorCorrectionCode = require('qrcode/lib/core/error-correction-code');
+const QRErrorCorrectionLevel = require('qrcode/lib/core/error-correction-level');
+const QRFormatInfo = require('qrcode/lib/core/format-info');
+const QRAlignmentPattern = require('qrcode/lib/core/alignment-pattern');
+const QRFinderPattern = require('qrcode/lib/core/finder-pattern');
+const QRRegex = require('qrcode/lib/core/regex');
+const QRSegments = require('qrcode/lib/core/segments');
+const QRBitBuffer = require('qrcode/lib/core/bit-buffer');
+const QRReedSolomonEncoder = require('qrcode/lib/core/reed-solomon-encoder');
+const QRGaloisField = require('qrcode/lib/core/galois-field');
+const QRNumericData = require('qrcode/lib/core/numeric-data');
+const QRAlphanumericData = require('qrcode/lib/core/alphanumeric-data');
+const QRByteData = require('qrcode/lib/core/byte-data');
+const QRKanjiData = require('qrcode/lib/core/kanji-data');
+const toSJIS = require('qrcode/helper/to-sjis');
 const sharp = require('sharp');
+const jsQR = require('jsqr');
+const multer = require('multer');
+const iconv = require('iconv-lite');
 const { execSync } = require('child_process');
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
+const zlib = require('zlib');
+const querystring = require('querystring');
 const app = express();
 const port = process.env.PORT || 3000;
 
-// Middleware
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
+// Uploaded images for the reader endpoint and logos (kept in memory)
+const MAX_UPLOAD_BYTES = 10 * 1024 * 1024;
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: MAX_UPLOAD_BYTES } });
+
+// Hosts that fileurl may point at (a local mirror, never arbitrary URLs)
+// No mirror is allowed by default, so fileurl cannot reach local ports unless a deployment opts in
+const MIRROR_HOSTS = (process.env.MIRROR_HOSTS || '').split(',').map((host) => host.trim().toLowerCase()).filter(Boolean);
+
+// Directory of named logos that callers can pick with logoname
+const LOGO_DIR = process.env.LOGO_DIR || path.join(__dirname, 'logos');
+
+// Smallest module that still prints and scans reliably, for sizes given in physical units
+const MIN_MODULE_MM = parseFloat(process.env.MIN_MODULE_MM) || 0.25;
+
+// Lowest colour contrast ratio the analysis accepts without a warning (WCAG 2.1 non-text contrast)
+const MIN_CONTRAST_RATIO = parseFloat(process.env.MIN_CONTRAST_RATIO) || 3;
+
+// Largest batch and the number of items rendered at once. ZIP archives without ZIP64 hold at most 65535 files
+const MAX_BATCH_ITEMS = Math.min(65534, parseInt(process.env.MAX_BATCH_ITEMS) || 10000);
+const BATCH_CONCURRENCY = parseInt(process.env.BATCH_CONCURRENCY) || 8;
+// Without ZIP64, sizes and offsets in a ZIP archive are 32-bit. Batch files stop 64 MiB short to leave room for the manifest
+const MAX_ZIP_BYTES = 0xffffffff;
+const MAX_BATCH_ZIP_BYTES = MAX_ZIP_BYTES - 64 * 1024 * 1024;
+
+// Physical units accepted by size, margin and qzone, in inches per unit
+const LENGTH_UNITS = { mm: 1 / 25.4, cm: 1 / 2.54, in: 1 };
+
+// Kanji segments need a Shift_JIS lookup, which qrcode keeps globally. Automatic segmentation would then
+// switch any Japanese text to Kanji mode, so qrcode is told Kanji mode is off and only explicit Kanji
+// segments (mode=kanji, the segments list, a Shift_JIS charset) are built, in fromArray below.
+// These overrides lean on qrcode internals, so package.json pins qrcode to an exact version
+QRUtils.setToSJISFunction(toSJIS);
+QRUtils.isKanjiModeEnabled = () => false;
+
+// Encoding modes accepted by mode and the segments list, in Micro QR and rMQR mode indicator order
+const SEGMENT_MODES = ['numeric', 'alphanumeric', 'byte', 'kanji'];
+
+// Charsets with their ECI designators; ISO-8859-1 is the QR default and needs no ECI
+const QR_CHARSETS = {
+  'ISO-8859-1': 3, 'ISO-8859-2': 4, 'ISO-8859-3': 5, 'ISO-8859-4': 6, 'ISO-8859-5': 7, 'ISO-8859-6': 8,
+  'ISO-8859-7': 9, 'ISO-8859-8': 10, 'ISO-8859-9': 11, 'ISO-8859-10': 12, 'ISO-8859-11': 13,
+  'ISO-8859-13': 15, 'ISO-8859-14': 16, 'ISO-8859-15': 17, 'ISO-8859-16': 18,
+  'SHIFT_JIS': 20, 'WINDOWS-1250': 21, 'WINDOWS-1251': 22, 'WINDOWS-1252': 23, 'WINDOWS-1256': 24,
+  'UTF-16BE': 25, 'UTF-8': 26, 'US-ASCII': 27, 'BIG5': 28, 'GB2312': 29, 'EUC-KR': 30, 'GB18030': 32
+};
+const CHARSET_ALIASES = {
+  'LATIN1': 'ISO-8859-1', 'SJIS': 'SHIFT_JIS', 'SHIFT-JIS': 'SHIFT_JIS', 'CP1250': 'WINDOWS-1250', 'CP1251': 'WINDOWS-1251',
+  'CP1252': 'WINDOWS-1252', 'CP1256': 'WINDOWS-1256', 'UTF8': 'UTF-8', 'ASCII': 'US-ASCII', 'GBK': 'GB2312'
+};
+
+// qrcode has no ECI, structured append or FNC1 segments, so { eci }, { structuredAppend } and { fnc1 }
+// entries in a segment list become those headers: a mode indicator and a fixed-width value in place of
+// the length (an 8-bit ECI designator, enough for every charset above, position, total and parity in
+// 16 bits, or nothing for the GS1 FNC1 first position indicator). qrcode writes any object with a mode,
+// getLength and write, which is why its version is pinned
+const QR_ECI_MODE = { id: 'ECI', bit: 0b0111, ccBits: [8, 8, 8] };
+const QR_STRUCTURED_APPEND_MODE = { id: 'StructuredAppend', bit: 0b0011, ccBits: [16, 16, 16] };
+const QR_FNC1_MODE = { id: 'FNC1', bit: 0b0101, ccBits: [0, 0, 0] };
+const buildSegments = QRSegments.fromArray;
+QRSegments.fromArray = (array) => array.reduce((acc, segment) => {
+  const header = (mode, value) => ({ mode, getLength: () => value, getBitsLength: () => 0, write: () => {} });
+  
+  if (segment && segment.eci !== undefined) {
+    acc.push(header(QR_ECI_MODE, segment.eci));
+    return acc;
+  }
+  if (segment && segment.structuredAppend) {
+    const { index, total, parity } = segment.structuredAppend;
+    acc.push(header(QR_STRUCTURED_APPEND_MODE, (index << 12) | ((total - 1) << 8) | parity));
+    return acc;
+  }
+  if (segment && segment.fnc1) {
+    acc.push(header(QR_FNC1_MODE, 0));
+    return acc;
+  }
+  if (segment && segment.data && QRMode.from(segment.mode, QRMode.BYTE) === QRMode.KANJI) {
+    acc.push(new QRKanjiData(segment.data));
+    return acc;
+  }
+  return acc.concat(buildSegments([segment]));
+}, []);
+
+// Structured append links at most 16 symbols; without a pinned version each holds up to version 10
+const MAX_APPEND_SYMBOLS = 16;
+const DEFAULT_APPEND_VERSION = 10;
+
+// Symbologies accepted by symbology: standard QR, Micro QR and rectangular Micro QR
+const SYMBOLOGIES = ['qr', 'microqr', 'rmqr'];
+
+// Micro QR versions M1-M4: data capacity in bits per ECC level, total codewords, and the
+// mode indicator, terminator and character count lengths (ISO/IEC 18004)
+const MICRO_QR_VERSIONS = [
+  { name: 'M1', size: 11, totalCodewords: 5, dataBits: { L: 20 }, modeBits: 0, terminatorBits: 3, countBits: { numeric: 3 } },
+  { name: 'M2', size: 13, totalCodewords: 10, dataBits: { L: 40, M: 32 }, modeBits: 1, terminatorBits: 5, countBits: { numeric: 4, alphanumeric: 3 } },
+  { name: 'M3', size: 15, totalCodewords: 17, dataBits: { L: 84, M: 68 }, modeBits: 2, terminatorBits: 7, countBits: { numeric: 5, alphanumeric: 4, byte: 4, kanji: 3 } },
+  { name: 'M4', size: 17, totalCodewords: 24, dataBits: { L: 128, M: 112, Q: 80 }, modeBits: 3, terminatorBits: 9, countBits: { numeric: 6, alphanumeric: 5, byte: 5, kanji: 4 } }
+];
+
+// rMQR versions in version indicator order: character count lengths (numeric, alphanumeric, byte, kanji)
+// and error correction blocks as [count, total codewords, data codewords] for ECC M and H (ISO/IEC 23941)
+const RMQR_VERSIONS = [
+  ['R7x43', [4, 3, 3, 2], [[1, 13, 6]], [[1, 13, 3]]],
+  ['R7x59', [5, 5, 4, 3], [[1, 21, 12]], [[1, 21, 7]]],
+  ['R7x77', [6, 5, 5, 4], [[1, 32, 20]], [[1, 32, 10]]],
+  ['R7x99', [7, 6, 5, 5], [[1, 44, 28]], [[1, 44, 14]]],
+  ['R7x139', [7, 6, 6, 5], [[1, 68, 44]], [[2, 34, 12]]],
+  ['R9x43', [5, 5, 4, 3], [[1, 21, 12]], [[1, 21, 7]]],
+  ['R9x59', [6, 5, 5, 4], [[1, 33, 21]], [[1, 33, 11]]],
+  ['R9x77', [7, 6, 5, 5], [[1, 49, 31]], [[1, 24, 8], [1, 25, 9]]],
+  ['R9x99', [7, 6, 6, 5], [[1, 66, 42]], [[2, 33, 11]]],
+  ['R9x139', [8, 7, 6, 6], [[1, 49, 31], [1, 50, 32]], [[3, 33, 11]]],
+  ['R11x27', [4, 4, 3, 2], [[1, 15, 7]], [[1, 15, 5]]],
+  ['R11x43', [6, 5, 5, 4], [[1, 31, 19]], [[1, 31, 11]]],
+  ['R11x59', [7, 6, 5, 5], [[1, 47, 31]], [[1, 23, 7], [1, 24, 8]]],
+  ['R11x77', [7, 6, 6, 5], [[1, 67, 43]], [[1, 33, 11], [1, 34, 12]]],
+  ['R11x99', [8, 7, 6, 6], [[1, 44, 28], [1, 45, 29]], [[1, 44, 14], [1, 45, 15]]],
+  ['R11x139', [8, 7, 7, 6], [[3, 44, 28]], [[3, 44, 14]]],
+  ['R13x27', [5, 5, 4, 3], [[1, 21, 12]], [[1, 21, 7]]],
+  ['R13x43', [6, 6, 5, 5], [[1, 41, 27]], [[1, 41, 13]]],
+  ['R13x59', [7, 6, 6, 5], [[1, 60, 38]], [[2, 30, 10]]],
+  ['R13x77', [7, 7, 6, 6], [[1, 42, 26], [1, 43, 27]], [[1, 42, 14], [1, 43, 15]]],
+  ['R13x99', [8, 7, 7, 6], [[1, 56, 36], [1, 57, 37]], [[1, 37, 11], [2, 38, 12]]],
+  ['R13x139', [8, 8, 7, 7], [[2, 41, 27], [2, 42, 28]], [[2, 41, 13], [2, 42, 14]]],
+  ['R15x43', [7, 6, 6, 5], [[1, 51, 33]], [[1, 25, 7], [1, 26, 8]]],
+  ['R15x59', [7, 7, 6, 5], [[1, 74, 48]], [[2, 37, 13]]],
+  ['R15x77', [8, 7, 7, 6], [[1, 51, 33], [1, 52, 34]], [[2, 34, 10], [1, 35, 11]]],
+  ['R15x99', [8, 7, 7, 6], [[2, 68, 44]], [[4, 34, 12]]],
+  ['R15x139', [9, 8, 7, 7], [[2, 66, 42], [1, 67, 43]], [[1, 39, 13], [4, 40, 14]]],
+  ['R17x43', [7, 6, 6, 5], [[1, 61, 39]], [[1, 30, 10], [1, 31, 11]]],
+  ['R17x59', [8, 7, 6, 6], [[2, 44, 28]], [[2, 44, 14]]],
+  ['R17x77', [8, 7, 7, 6], [[2, 61, 39]], [[1, 40, 12], [2, 41, 13]]],
+  ['R17x99', [8, 8, 7, 6], [[2, 53, 33], [1, 54, 34]], [[4, 40, 14]]],
+  ['R17x139', [9, 8, 8, 7], [[4, 58, 38]], [[2, 38, 12], [4, 39, 13]]]
+].map(([name, countBits, blocksM, blocksH]) => {
+  const [height, width] = name.slice(1).split('x').map(Number);
+  const [numeric, alphanumeric, byte, kanji] = countBits;
+  return { name, width, height, countBits: { numeric, alphanumeric, byte, kanji }, blocks: { M: blocksM, H: blocksH } };
+});
+
+// Centre columns of the rMQR alignment patterns by symbol width
+const RMQR_ALIGNMENT_COLUMNS = { 27: [], 43: [21], 59: [19, 39], 77: [25, 51], 99: [23, 49, 75], 139: [27, 55, 83, 111] };
+
+// Micro QR data masks, in mask reference order (QR masks 001, 100, 110 and 111)
+const MICRO_QR_MASKS = [
+  (i) => i % 2 === 0,
+  (i, j) => (Math.floor(i / 2) + Math.floor(j / 3)) % 2 === 0,
+  (i, j) => ((i * j) % 2 + (i * j) % 3) % 2 === 0,
+  (i, j) => ((i + j) % 2 + (i * j) % 3) % 2 === 0
+];
+
+// rMQR format information masks for the finder and finder sub-pattern sides
+const RMQR_FORMAT_MASKS = [0b011111101010110010, 0b100000101001111011];
+
+// Output formats of create-qr-code and of the barcode endpoint
+const QR_FORMATS = ['png', 'gif', 'jpeg', 'jpg', 'svg', 'eps', 'pdf', 'webp', 'avif', 'tiff', 'txt', 'ansi', 'html', 'json'];
+const BARCODE_FORMATS = ['png', 'gif', 'jpeg', 'jpg', 'svg', 'eps', 'pdf', 'webp', 'avif', 'tiff', 'json'];
+
+// 2D and linear barcode types for /v1/create-barcode/
+const BARCODE_TYPES = ['datamatrix', 'aztec', 'pdf417', 'code128', 'ean13', 'upca', 'code39', 'itf14'];
+
+// Data Matrix ECC 200 symbol sizes: rows, columns, data region rows and columns, data and error
+// correction codewords and interleaved blocks (ISO/IEC 16022); square sizes first, then rectangles
+const DATA_MATRIX_SIZES = [
+  [10, 10, 8, 8, 3, 5, 1], [12, 12, 10, 10, 5, 7, 1], [14, 14, 12, 12, 8, 10, 1], [16, 16, 14, 14, 12, 12, 1],
+  [18, 18, 16, 16, 18, 14, 1], [20, 20, 18, 18, 22, 18, 1], [22, 22, 20, 20, 30, 20, 1], [24, 24, 22, 22, 36, 24, 1],
+  [26, 26, 24, 24, 44, 28, 1], [32, 32, 14, 14, 62, 36, 1], [36, 36, 16, 16, 86, 42, 1], [40, 40, 18, 18, 114, 48, 1],
+  [44, 44, 20, 20, 144, 56, 1], [48, 48, 22, 22, 174, 68, 1], [52, 52, 24, 24, 204, 84, 2], [64, 64, 14, 14, 280, 112, 2],
+  [72, 72, 16, 16, 368, 144, 4], [80, 80, 18, 18, 456, 192, 4], [88, 88, 20, 20, 576, 224, 4], [96, 96, 22, 22, 696, 272, 4],
+  [104, 104, 24, 24, 816, 336, 6], [120, 120, 18, 18, 1050, 408, 6], [132, 132, 20, 20, 1304, 496, 8], [144, 144, 22, 22, 1558, 620, 10],
+  [8, 18, 6, 16, 5, 7, 1], [8, 32, 6, 14, 10, 11, 1], [12, 26, 10, 24, 16, 14, 1], [12, 36, 10, 16, 22, 18, 1],
+  [16, 36, 14, 16, 32, 24, 1], [16, 48, 14, 22, 49, 28, 1]
+].map(([rows, columns, regionRows, regionColumns, dataCodewords, ecCodewords, blocks]) => ({
+  name: `${rows}x${columns}`, rows, columns, regionRows, regionColumns, dataCodewords, ecCodewords, blocks
+}));
+
+// Aztec character codes per mode: upper, lower, mixed, punctuation (5 bits) and digit (4 bits)
+const AZTEC_CODES = (() => {
+  const table = (entries) => new Map(entries);
+  const range = (from, to, firstCode) => Array.from({ length: to - from + 1 }, (_, i) => [from + i, firstCode + i]);
+  return {
+    upper: table([[32, 1], ...range(65, 90, 2)]),
+    lower: table([[32, 1], ...range(97, 122, 2)]),
+    digit: table([[32, 1], ...range(48, 57, 2), [44, 12], [46, 13]]),
+    mixed: table([[32, 1], ...range(1, 13, 2), ...range(27, 31, 15), ...[64, 92, 94, 95, 96, 124, 126, 127].map((code, i) => [code, 20 + i])]),
+    punct: table([[13, 1], ...'!"#$%&\'()*+,-./:;<=>?[]{}'.split('').map((char, i) => [char.charCodeAt(0), 6 + i])])
+  };
+})();
+
+// Aztec latch sequences as [code, bits] pairs between modes
+const AZTEC_LATCHES = {
+  upper: { lower: [[28, 5]], mixed: [[29, 5]], digit: [[30, 5]], punct: [[29, 5], [30, 5]] },
+  lower: { upper: [[30, 5], [14, 4]], mixed: [[29, 5]], digit: [[30, 5]], punct: [[29, 5], [30, 5]] },
+  mixed: { upper: [[29, 5]], lower: [[28, 5]], digit: [[29, 5], [30, 5]], punct: [[30, 5]] },
+  punct: { upper: [[31, 5]], lower: [[31, 5], [28, 5]], mixed: [[31, 5], [29, 5]], digit: [[31, 5], [30, 5]] },
+  digit: { upper: [[14, 4]], lower: [[14, 4], [28, 5]], mixed: [[14, 4], [29, 5]], punct: [[14, 4], [29, 5], [30, 5]] }
+};
+
+// Aztec codeword sizes by layer count (index 0 unused) and the Galois field for each size
+const AZTEC_WORD_SIZES = [4, 6, 6, 8, 8, 8, 8, 8, 8, 10, 10, 10, 10, 10, 10, 10, 10, 10, 10, 10, 10, 10, 10, 12, 12, 12, 12, 12, 12, 12, 12, 12, 12];
+const AZTEC_FIELD_POLYNOMIALS = { 4: 0x13, 6: 0x43, 8: 0x12D, 10: 0x409, 12: 0x1069 };
+
+// PDF417 codeword bar patterns for clusters 0, 3 and 6 (ISO/IEC 15438), indexed by codeword value. Each pattern
+// is 17 modules wide, starting with a bar and ending with a space; the 15 modules in between are 3 base-32 digits
+const PDF417_PATTERNS = [
+  [
+    'qn0tbouluqjgt9sukvl30qhol1ga10l0oa0gln0qrotduljgqpstcvb30lhob1gbn0lroqtubjglpsqsvbholoubroltubpslsvbtuuntqbg',
+    't5suivkj0q9ot4ukhgq8s910kgoq8e90gkgc908krgqdst6v9j0kpoqcu9hgkosqcf9gokoe9rgktsqev9poksu9osksf9tskuv9su9sfkb0',
+    'q5ot2uk9gq4st2f8h0k8oq4e8ggk8c8g88g48r0kdoq6u8pgkcsq6f8ookce8oc8o68tokeu8sskef8se8uuk5gq2st1f890k4oq2e88gk4c',
+    'q27888k46884k438dgk6sq3f8cok6e8cck678c68c3k7f8e7850k2oq1e84gk2cq17848k26844k2384286o86c86682gq0nk16k13821pbg',
+    'slsuavij0p9oskuihgp8sskf510igo50girgpdssmv5j0ipopcu5hgios5go5gc5rgitspev5poisu5os5oe5tsiuv5su5uvrb0tlouqur9g',
+    'tksuqfmh0r8otkemggr8ctk7mg8r86ib0p5osiumr0i9gp4ssifmpgrcstmfdh04ggi8cp47dggmocdg84r0idop6udr04pgicsp6fdpgmss',
+    'refdoo4ocdoc4toieudto4ssiefdssmufdse4uuduu4ufdufr5gtisupfm90r4otiem8gr4cti7m88r46m84m82i5gp2sshfmdgi4op2ecp0',
+    '48gr6ep27cog488i46co8mc6i434824dgi6sp3fctg4coi6ecsomeei67csc4c64c34esi7fcus4eecue4e7cu7cvfm50r2othem4gr2cth7',
+    'm48r26m44r23m42m41450i2op1ecd044gi2cp17ccgm6cr37cc8444i23cc4m63cc246oi3eceo46ci37cecm77ce6463ce3cfecf7m2gr1c',
+    'tgnm28r16m24r13m22m2142gi1cp0nc6g428i16c68m36i13c64422c6242143cc7cc76c73r0mr0jm11i0m414c34c32c31hb0olosauh9g',
+    'oks2h0h8ooke2ggh8c2g82g42r0hdoomu2pghcsomf2oohce2oc2o62toheu2sshef2se2uu2ufplgsqsudfj90pkosqej8gpkcsq7j88pk6',
+    'j84pk3h5goiss9fjdgh4ooie6p028gpmeoi76ogjcch466o82846o42dgh6sojf6tg2copnf6sojeeh676sc2c66s62esh7f6us2ee6ue2e7',
+    '2ff6vfrl0tqouterkgtqcut7rk8tq6rk4tq3rk2j50piospend0j4gtresp7ncgrmctr7nc8j44pi3nc4rm3j41250h2oohe6d024gh2coh7',
+    'et06cgj6cpj7esgnecrn7h23es86c4j63es424126oh3e6eo26ch37euo6ecj77eucnf72636e327e6fe277eve6f7rigtpcusnri8tp6ri4',
+    'tp3ri2ri1j2gphcsonn6gj28tpnn68rj6ph3n64j22n62j21n6122gh1cogn66g228h16eeg668j36h13ee8n76222ee466222166123ch1n',
+    '67c236efc676233ef667323nefnrh8tomrh4tojrh2rh1j18pgmn38j14pgjn34rhjn32j11n31218h0m638214h0je78634j1je74n3j211',
+    'e72631e7163me7me7jtobrghpgbj0ij0h20k61ke3k20h61hglg190gko18ggkcoa7188gk6184gk31dggmsobf1cogme1ccgm71c61c31es',
+    'gnf1ee1e71ffhl0oqosdehkgoqchk8oq6hk4oq3hk2150gioo9e3d014goreo973cghmcor73c8144gi33c4hm314116ogje3eo16cgj73ec',
+    'hn73e616317e3fe1773f7pqgstcuenpq8st6pq4st3pq2pq1higopcjmghi8op6jm8pr6op3jm4hi2jm2hi1jm112gghc36g128opn7eg368',
+    'hj6gh37e8jn61227e436212136113cghn37c1367fc3761337f637313n37n7fntt8uumtt4uujtt2tt1pp8ssmrr8ttmssjrr4ttjrr2pp1',
+    'rr1hh8oomjj8hh4oojnn8jj4ppjnn4rrjhh1nn2jj1nn1118ggm338114ggj778334hhjff8774jjj111ff4nnj331ff211m33m11j77m33j',
+    'ffm77jffjtskuubtsitshpokssbrpktsrrpipohrphhgkoobjhkhginjkjhihghnjijhhnjh10kggb31khgr73k31i10hf7k73i31hf7i73h',
+    'f7h31rf7rts9roqropjgqnhqnhp30q71qf3qf3p0l00kggac0k80k40k20mo0mc0m60m30ne0n7gqggq8od6gq4od3gq2gq10igg9c1mggrc',
+    'g961m8gr61m4gr31m20i11m10jcg9n1ncgrn1n60j31n30jn1nnot8ot4ot2ot1gp8hr8otmocjhr4otjhr2gp1hr10h81j80h4g8j3n81j4',
+    '0h23n41j20h13n21j10hm1jm0hj3nm1jj3njsuksuisuhoskptksurptioshpthgokocbhpkosrjrkhpigohjrihphjrh0gkg8b1hkgor3jk',
+    '1hi0gh7nk3ji1hh7ni3jh0gr1hr3jr7nruvauv9suatuqsu9tuposapsqos9rtqpsprtpgoahoqgo9jpqhopnrq'
+  ].join(''),
+  [
+    'ulgvast90ukovaet8gukcva7t88uk6t84uk3t82tdgumsvbfqp0tcoumeqogtccum7qo8tc6qo4tc3qo2qtgtesunflp0qsoteelogqscte7',
+    'lo8qs6lo4qs3lo2ltgqustffbp0lsoqueboglscqu7bo8ls6bo4ls3btglusqvfbsoluebsclu7bs6buslvfbuebu7t50uiov9et4guicv97',
+    't48ui6t44ui3t42t41qd0t6oujeqcgt6cuj7qc8t66qc4t63qc2qc1kt0qeot7eksgqect77ks8qe6ks4qe3ks2ks19t0kuoqfe9sgkucqf7',
+    '9s8ku69s4ku39s29uokve9uckv79u69u39ve9v7t2guhcv8nt28uh6t24uh3t22t21q6gt3cuhnq68t36q64t33q62q61kegq7ct3nke8q76',
+    'ke4q73ke2ke18ugkfcq7n8u8kf68u4kf38u28u18vckfn8v68v38vnt18ugmt14ugjt12t11q38t1mq34t1jq32q31k78q3mk74q3jk72k71',
+    '8f8k7m8f4k7j8f28f18fm8fjt0kugbt0it0hq1kt0rq1iq1hk3kq1rk3ik3h87kk3r87i87ht0at09q0qq0pk1qk1psl0uaov5eskguacv57',
+    'sk8ua6sk4ua3sk2sk1pd0smoubepcgsmcub7pc8sm6pc4sm3pc2pc1it0peosneisgpecsn7is8pe6is4pe3is2is15t0iuopfe5sgiucpf7',
+    '5s8iu65s4iu35s25uoive5uciv75u65u35ve5v7uqgvdcdfouq8vd6d7suq4vd3d3uuq2uq1sigu9cv4ntmgsi8vdntm8ur6u93tm4si2tm2',
+    'si1tm1p6gsjcu9nregp68sj6re8tn6sj3re4p62re2p61re1iegp7csjnmugie8p76mu8rf6p73mu4ie2mu2ie1mu14ugifcp7ndug4u8if6',
+    'du8mv6if3du44u2du24u14vcifndvc4v6dv64v3dv34vnup8vcmcnsup4vcjcjuup2chvup1sh8u8mtj8sh4u8jtj4upjtj2sh1tj1p38shm',
+    'r78p34shjr74tjjr72p31r71i78p3mmf8i74p3jmf4r7jmf2i71mf14f8i7mcv84f4i7jcv4mfjcv24f1cv14fmcvm4fjcvjuokvcbcbuuoi',
+    'c9vuohsgku8bthkuorthisghthhp1ksgrr3kp1ir3ip1hr3hi3kp1rm7kr3rm7ii3hm7h47ki3rcfk47icfi47hcfh47rcfruoac5vuo9sga',
+    'tgqsg9tgpp0qr1qp0pr1pi1qm3qi1pm3p43qc7q43pc7puo5sg5tgdp0dr0ti0tm1tsagu5cv2nsa8u56sa4u53sa2sa1omgsbcu5nom8sb6',
+    'om4sb3om2om1hegoncsbnhe8on6he4on3he2he12ughfconn2u8hf62u4hf32u22u12vchfn2v62v32vnud8v6m6nsud4v6j6juud26hvud1',
+    's98u4msr8s94u4jsr4udjsr2s91sr1oj8s9mpn8oj4s9jpn4srjpn2oj1pn1h78ojmjf8h74ojjjf4pnjjf2h71jf12f8h7m6v82f4h7j6v4',
+    'jfj6v22f16v12fm6vm2fj6vjvekenonbuveiejsn9vvehehuegvuckv6b6buutkvereru69vutiuchepvuths8ku4bspks8itrkutrs8htri',
+    'sphtrhohks8rpjkohirnkpjiohhrnipjhrnhh3kohrj7kh3infkj7ih3hnfij7hnfh27kh3r6fk27ievk6fi27hevi6fhevh27r6frveaebs',
+    'n5vve9e9ue8vuca65vusquc9edvusps8asoqs89tpqsoptppogqphqogprjqphprjph1qj3qh1pn7qj3pn7p23q67q23pefq67pefpve5e5u',
+    'e4vuc5usds85sodtotogdpgtrhth0tj1tn3t21t63te7te2vs58u2ms54u2js52s51ob8s5mob4s5job2ob1gn8obmgn4objgn2gn11f8gnm',
+    '1f4gnj1f21f11fm1fju6kv3b3buu6i39vu6hs4ku2bsdks4isdis4hsdho9ks4rorko9iorio9horhgjko9rhnkgjihnigjhhnh17kgjr3fk',
+    '17i3fi17h3fh17r3frv7a7bsjlvv7979u78vu6a35vuequ697dvueps4ascqs49stqscpstpo8qopqo8pprqoppprpghqhjqghpjnqhjpjnp',
+    '13q37q13p7fq37p7fpfbonluf9snkvf8uf8fv7575uvfdfdu74vfcvu65ueduuts45scdsstttto8dootpptrrtggthhtjjtnnt11t33t77t',
+    'f5snivf4uf4f72vf6vf2uf2ff1fs2ks2is2ho5ks2ro5io5hgbko5rgbigbh0nkgbr0ni0nh0nru3a1lvu39s2as6qs29s6po4qodqo4podp',
+    'g9qgrqg9pgrp0jq1nq0jp1npv3l3lu3kvu35u7ds25s6dseto4doctottg8tgpthrt0ht1jt3nt7lsjqv7ku7kf3iv7mvflonqufksnqffke',
+    'fk77iufmu7iffmffisnpffiefi77hffjffhefh7fgno2qo2pg5qg5p0bq0bps3do2do6tg4tgdt09t0rt1qv3qu3qf7qsjtf7qe7q73pf7rf',
+    'fqontefqcnt7fq6fq37pefre7p7fr7fpcnsnfp6fp37onfpnfomfoj1tf3te3t77tcjun7t67t33sn7tn7sm7sj'
+  ].join(''),
+  [
+    'lfgqnsaf0l7oqjua7gl3sqhva3ol1ua1svb8bfglnsvb4b7oljuvb2b3slhvvb1b1uun8vbmbnsun4vbjbjuun2bhvun1tf8unmtf4unjtf2',
+    'tf1qv8tfmqv4tfjqv2qv1lv8qvmlv4qvjlv29f0knoqbu97gkjsq9v93okhu91skgv90uv9k9nokruv9i9jskpvv9h9hu9gvujkv9r9ruuji',
+    '9pvujht7kujrt7it7hqfkt7rqfiqfhkvkqfrkvikvh8ngkbsq5v8jok9u8hsk8v8gu8gfv8q8rskdvv8p8pu8ovuhq8tvuhpt3qt3pq7qq7p',
+    'kfqkfp8bok5u89sk4v88u88fv8d8du8cvugtt1tq3t85sk2v84u84f86v82u82f5f0inopbu57gijsp9v53oihu51sigv50uv5k5noiruv5i',
+    '5jsipvv5h5hu5gvubkv5r5ruubi5pvubhsnkubrsnisnhpfksnrpfipfhivkpfriviivhmngrbstlvd70mjor9ud3gmhsr8vd1omgud0smgf',
+    'd0e4ngibsp5vdng4joi9udjompui8vdhs4gudgu4gfdgfv4q4rsidvvdqv4pdrs4puvdpdpu4ovdovu9q4tvurqu9pdtvurpsjqtnqsjptnp',
+    'p7qrfqp7prfpifqifpcn0mbor5ucjgm9sr4vchom8ucgsm8fcgecg74boi5ucro49si4vcpsmcvcou48fcofv4d4duvctctu4cvcsvu8tupt',
+    'shttjtp3tr7ti7tcbgm5sr2vc9om4uc8sm4fc8ec8745si2vcds44uccu44fccf46vcevc5om2uc4sm2fc4ec4742uc6u42fc6fc2sm1fc2e',
+    'c2741fc3fc1ec172nghbsolv2joh9u2hsh8v2gu2gfv2q2rshdvv2p2pu2ovu5q2tvu5psbqsbponqonphfqhfp6n0jboplu6jgj9spkv6ho',
+    'j8u6gsj8f6ge6g72boh5u6ro29sh4v6psjcv6ou28f6ofv2d2duv6t6tu2cv6svu4tudts9tsrtojtpnth7tnbgrlstqvej0n9orkuehgn8s',
+    'rkfegon8eegcn87eg66bgj5spiverg69oj4ueponcuj4feos68eeoe687eo725sh2v6ds24uets6cu24fesu6cfesf26v6eveuveb0n5oriu',
+    'e9gn4srife8on4ee8cn47e86e8365oj2uedo64sj2fecsn6fece647ec722u66u22feeu66feefe5gn2srhfe4on2ee4cn27e46e4362sj1f',
+    'e6s62ee6e627e6721f63fe7fe2on1ee2cn17e26e2361ee3e617e37e1cn0ne16e1360ne1ne0me0j1boglu19sgkv18u18f1du1cvu2ts5t',
+    'obtgnt3bghlsoqv39ohku38shkf38e38715sgiv3ds14u3cu14f3cf16v3ev7b0jlopqu79gjkspqf78ojke78cjk778678335ohiu7do34s',
+    'hif7cs34e7ce3477c712u36u12f7eu36f7efnlgrqsttff90nkorqef8gnkcrq7f88nk6f84nk3f8275gjisppffdg74ojiefconmeji7fcc',
+    '746fc6743fc332shhf76s32efes76e327fee767fe711f33f77fffff50niorpef4gnicrp7f48ni6f44ni3f42f4172ojhef6o72cjh7f6c',
+    'nj7f66723f6331e73e317f7e737f77f2gnhcronf28nh6f24nh3f22f2171cjgnf3c716f36713f3330n71nf3nf18ngmf14ngjf12f1170m',
+    'f1m70jf1jf0kngbf0if0h70bf0r0lsgav0ku0kf0mv1logqu1ksgqf1ke1k70iu1mu0if1mf3lghqsotf3kohqe3kchq73k63k31isgpf3ms',
+    '1ie3me1i73m70hf1jf3nf7l0jqopte7kgjqcpt77k8jq67k4jq37k27k13iohpe7mo3ichp77mcjr77m63i37m31he3je1h77ne3j77n7nqg',
+    'rtctunnq8rt6nq4rt3nq2nq17igjpcpsnfmg7i8jp6fm8nr6jp3fm47i2fm27i1fm13hchon7jc3h6fnc7j63h3fn67j3fn31gn3hn7jnfnn',
+    'np8rsmnp4rsjnp2np17h8jomfj87h4jojfj4npjfj27h1fj13gm7hm3gjfjm7hjfjjnokrsbnoinoh7gkjobfhk7gifhi7ghfhh3gb7grfhr',
+    'noano97gafgq7g9fgp0au0af0qsgdf0qe0q709f0rf1qogte1qcgt71q61q30pe1re0p71r73qghtcoun3q8ht63q4ht33q23q11pcgsn3rc',
+    'htn3r61p33r30on1pn3rnjt8pumjt4pujjt2jt13p8hsm7r8jtmhsj7r43p27r23p17r11om3pm1oj7rm3pj7rjruktvbruiruhjskpubntk',
+    'jsintijshnth3okhsb7pk3oifrk7pi3ohfri7phfrh1ob3or7prfrrruaru9jsansqjs9nsp3oa7oq3o9fpq7opfppru5js5nsd3o57odfot',
+    '0de0d70tcgen0t60t30cn0tn1t8gum1t4guj1t21t10sm1tm0sj1tjhukovbhuihuh1skgub3tkhur3ti1sh3th0sb1sr3trpvapv9huajuq',
+    'hu9jup1sa3sq1s97tq3sp7tppv5hu5jud1s53sd7st0em0ej0ukgfb0ui0uh0eb0urgvagv90ua1uq0u91upovl'
+  ].join('')
+].map((table) => Array.from({ length: 929 }, (_, i) => 0x10000 | (parseInt(table.slice(i * 3, i * 3 + 3), 32) << 1)));
+
+// PDF417 start (17 modules) and stop (18 modules) patterns
+const PDF417_START = 0x1fea8;
+const PDF417_STOP = 0x3fa29;
+
+// PDF417 rows are drawn 3 modules high, the minimum row height
+const PDF417_ROW_HEIGHT = 3;
+
+// PDF417 text compaction values in the mixed and punctuation submodes; alpha and lower are A-Z and a-z, then space
+const PDF417_MIXED = '0123456789&\r\t,:#-.$/+%*=^';
+const PDF417_PUNCTUATION = ';<>@[\\]_`~!\r\t,:\n-.$/"|*()?{}\'';
+
+// Linear (1D) barcode types for /v1/create-barcode/
+const LINEAR_BARCODE_TYPES = ['code128', 'ean13', 'upca', 'code39', 'itf14'];
+
+// Code 128 bar/space widths for symbol values 0-105 (start A, B and C are 103-105), then the stop pattern
+const CODE128_PATTERNS = [
+  '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+  '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+  '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+  '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+  '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+  '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+  '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+  '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+  '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+  '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+  '114131', '311141', '411131', '211412', '211214', '211232', '2331112'
+];
+
+// EAN/UPC left-hand odd parity (L) digit patterns; R is the complement and G the reversed R
+const EAN_L_PATTERNS = ['0001101', '0011001', '0010011', '0111101', '0100011', '0110001', '0101111', '0111011', '0110111', '0001011'];
+
+// EAN-13 parity of the six left-hand digits, chosen by the first digit
+const EAN_PARITIES = ['LLLLLL', 'LLGLGG', 'LLGGLG', 'LLGGGL', 'LGLLGG', 'LGGLLG', 'LGGGLG', 'LGGGGL', 'LGLGLG', 'LGLGGL'];
+
+// Code 39 characters in check value order, and their narrow/wide patterns (bar, space, ... bar).
+// Each group of ten shares one wide space; the two wide bars follow the same sequence in every group
+const CODE39_CHARS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ-. $/+%';
+const CODE39_PATTERNS = (() => {
+  const wideBars = [[0, 8], [2, 8], [0, 2], [4, 8], [0, 4], [2, 4], [6, 8], [0, 6], [2, 6], [4, 6]];
+  const pattern = (wide) => Array.from({ length: 9 }, (_, element) => (wide.includes(element) ? 'w' : 'n')).join('');
+  const patterns = {};
+  [['1234567890', 3], ['ABCDEFGHIJ', 5], ['KLMNOPQRST', 7], ['UVWXYZ-. *', 1]].forEach(([chars, wideSpace]) => {
+    [...chars].forEach((char, i) => {
+      patterns[char] = pattern([wideSpace, ...wideBars[i]]);
+    });
+  });
+  [['$', [1, 3, 5]], ['/', [1, 3, 7]], ['+', [1, 5, 7]], ['%', [3, 5, 7]]].forEach(([char, wideSpaces]) => {
+    patterns[char] = pattern(wideSpaces);
+  });
+  return patterns;
+})();
+
+// Interleaved 2 of 5 narrow/wide patterns for the digits 0-9
+const ITF_PATTERNS = ['nnwwn', 'wnnnw', 'nwnnw', 'wwnnn', 'nnwnw', 'wnwnn', 'nwwnn', 'nnnww', 'wnnwn', 'nwnwn'];
+
+// GS1 application identifiers: title, format and checks. Formats are N (digits) or X (GS1 character
+// set 82), fixed length or up to a maximum (..); nnnn-style AIs ending in a decimal digit are listed per digit
+const GS1_APPLICATION_IDENTIFIERS = (() => {
+  const ais = {
+    '00': ['SSCC', 'N18', 'check'], '01': ['GTIN', 'N14', 'check'], '02': ['CONTENT', 'N14', 'check'],
+    '10': ['BATCH/LOT', 'X..20'], '11': ['PROD DATE', 'N6', 'date'], '12': ['DUE DATE', 'N6', 'date'],
+    '13': ['PACK DATE', 'N6', 'date'], '15': ['BEST BEFORE or BEST BY', 'N6', 'date'], '16': ['SELL BY', 'N6', 'date'],
+    '17': ['USE BY or EXPIRY', 'N6', 'date'], '20': ['VARIANT', 'N2'], '21': ['SERIAL', 'X..20'], '22': ['CPV', 'X..20'],
+    '235': ['TPX', 'X..28'], '240': ['ADDITIONAL ID', 'X..30'], '241': ['CUST. PART No.', 'X..30'], '242': ['MTO VARIANT', 'N..6'],
+    '250': ['SECONDARY SERIAL', 'X..30'], '251': ['REF. TO SOURCE', 'X..30'], '254': ['GLN EXTENSION COMPONENT', 'X..20'],
+    '30': ['VAR. COUNT', 'N..8'], '37': ['COUNT', 'N..8'], '400': ['ORDER NUMBER', 'X..30'],
+    '410': ['SHIP TO LOC', 'N13', 'check'], '414': ['LOC No.', 'N13', 'check'], '415': ['PAY TO', 'N13', 'check'],
+    '416': ['PROD/SERV LOC', 'N13', 'check'], '417': ['PARTY', 'N13', 'check'], '420': ['SHIP TO POST', 'X..20'],
+    '422': ['ORIGIN', 'N3'], '8004': ['GIAI', 'X..30'], '8200': ['PRODUCT URL', 'X..70']
+  };
+  for (let decimals = 0; decimals <= 5; decimals++) {
+    ais[`310${decimals}`] = ['NET WEIGHT (kg)', 'N6'];
+    ais[`320${decimals}`] = ['NET WEIGHT (lb)', 'N6'];
+  }
+  for (let decimals = 0; decimals <= 9; decimals++) {
+    ais[`390${decimals}`] = ['AMOUNT', 'N..15'];
+    ais[`392${decimals}`] = ['PRICE', 'N..15'];
+  }
+  return Object.fromEntries(Object.entries(ais).map(([ai, [title, format, check]]) => [ai, { title, format, check }]));
+})();
+
+// Names accepted in place of AI numbers in gs1 JSON
+const GS1_AI_NAMES = { sscc: '00', gtin: '01', batch: '10', lot: '10', productiondate: '11', bestbefore: '15', expiry: '17', serial: '21' };
+
+// AIs whose first two digits give a predefined length; every other element needs an FNC1 separator
+// when more data follows it
+const GS1_PREDEFINED_LENGTH_PREFIXES = ['00', '01', '02', '03', '04', '11', '12', '13', '14', '15', '16', '17', '18', '19', '20', '31', '32', '33', '34', '35', '36', '41'];
+
+// GS1 Digital Link primary keys and, in path order, the key qualifiers that may follow them
+const GS1_DIGITAL_LINK_KEYS = { '01': ['22', '10', '21'], '00': [], '414': ['254'], '417': [], '8004': [] };
+const GS1_DEFAULT_DOMAIN = 'https://id.gs1.org';
+
+// Typed payloads built by type= on /v1/create-qr-code/
+const PAYLOAD_TYPES = ['wifi', 'vcard', 'mecard', 'geo', 'sms', 'email', 'event', 'epc', 'swissqr'];
+
+// IBAN lengths for the SEPA countries (ISO 13616 registry); EPC payments stay within SEPA
+const SEPA_IBAN_LENGTHS = {
+  AD: 24, AT: 20, BE: 16, BG: 22, CH: 21, CY: 28, CZ: 24, DE: 22, DK: 18, EE: 20, ES: 24, FI: 18, FR: 27, GB: 22,
+  GI: 23, GR: 27, HR: 21, HU: 28, IE: 22, IS: 26, IT: 27, LI: 21, LT: 20, LU: 20, LV: 21, MC: 27, MT: 31, NL: 18,
+  NO: 15, PL: 28, PT: 25, RO: 24, SE: 24, SI: 19, SK: 24, SM: 27, VA: 22
+};
+
+// Printable Latin characters allowed in payment text (SEPA and Swiss payment standards), without line breaks
+const PAYMENT_TEXT = /^[\x20-\x7e\xa0-\u017f\u0218-\u021b\u20ac]*$/;
+
+// Swiss QR-bill cross: a 7 mm logo on the 46 mm symbol, as fractions of its box: a white border, a black
+// square and a white cross in the proportions of the Swiss flag (arms 6 wide and 20 across on a 32 grid)
+const SWISS_CROSS_RATIO = 7 / 46;
+const SWISS_CROSS_RECTS = (() => {
+  const border = 0.5 / 7;
+  const length = (units) => (units / 32) * (6 / 7);
+  const position = (units) => border + length(units);
+  return [
+    { x: 0, y: 0, width: 1, height: 1, dark: false },
+    { x: border, y: border, width: 6 / 7, height: 6 / 7, dark: true },
+    { x: position(6), y: position(13), width: length(20), height: length(6), dark: false },
+    { x: position(13), y: position(6), width: length(6), height: length(20), dark: false }
+  ];
+})();
+
+// Middleware (body limits leave room for base64 logos)
+app.use(express.json({ limit: MAX_UPLOAD_BYTES }));
+app.use(express.urlencoded({ extended: true, limit: MAX_UPLOAD_BYTES }));
 
 // CORS middleware
 app.use((req, res, next) => {
@@ -85,6 +518,11 @@ async function optimizePNG(buffer, depth) {
 function parseColor(colorStr) {
   if (!colorStr) return null;
   
+  // Fully transparent (white underneath, for formats that drop the alpha channel)
+  if (colorStr.toLowerCase() === 'transparent') {
+    return { r: 255, g: 255, b: 255, alpha: 0 };
+  }
+  
   // Hex format (3 or 6 chars)
   if (/^[a-fA-F0-9]{3}$/.test(colorStr)) {
     const r = parseInt(colorStr[0] + colorStr[0], 16);
@@ -100,6 +538,31 @@ function parseColor(colorStr) {
     return { r, g, b };
   }
   
+  // Hex with alpha (8 chars, RRGGBBAA)
+  if (/^[a-fA-F0-9]{8}$/.test(colorStr)) {
+    const r = parseInt(colorStr.substring(0, 2), 16);
+    const g = parseInt(colorStr.substring(2, 4), 16);
+    const b = parseInt(colorStr.substring(4, 6), 16);
+    const alpha = parseInt(colorStr.substring(6, 8), 16);
+    return { r, g, b, alpha };
+  }
+  
+  // CMYK format (cmyk:c-m-y-k, ink percentages 0-100)
+  const cmykMatch = colorStr.match(/^cmyk:(\d+(?:\.\d+)?)-(\d+(?:\.\d+)?)-(\d+(?:\.\d+)?)-(\d+(?:\.\d+)?)$/i);
+  if (cmykMatch) {
+    const [c, m, y, k] = cmykMatch.slice(1).map(parseFloat);
+    
+    if (c <= 100 && m <= 100 && y <= 100 && k <= 100) {
+      // Keep the exact inks, with an RGB approximation for screen formats
+      return {
+        r: Math.round(255 * (1 - c / 100) * (1 - k / 100)),
+        g: Math.round(255 * (1 - m / 100) * (1 - k / 100)),
+        b: Math.round(255 * (1 - y / 100) * (1 - k / 100)),
+        cmyk: { c, m, y, k }
+      };
+    }
+  }
+  
   // Decimal format (r-g-b)
   const decimalMatch = colorStr.match(/^(\d+)-(\d+)-(\d+)$/);
   if (decimalMatch) {
@@ -112,525 +575,5882 @@ function parseColor(colorStr) {
     }
   }
   
+  // Decimal format with alpha (r-g-b-a, alpha 0-255)
+  const rgbaMatch = colorStr.match(/^(\d+)-(\d+)-(\d+)-(\d+)$/);
+  if (rgbaMatch) {
+    const [r, g, b, alpha] = rgbaMatch.slice(1).map((value) => parseInt(value));
+    
+    if (r <= 255 && g <= 255 && b <= 255 && alpha <= 255) {
+      return { r, g, b, alpha };
+    }
+  }
+  
   return null;
 }
 
-// Utility function to validate size parameter
-function parseSize(sizeStr) {
-  if (!sizeStr) return { width: 200, height: 200, valid: true };
+// Utility function to check whether a colour is not fully opaque
+function isTranslucent(color) {
+  return color.alpha !== undefined && color.alpha < 255;
+}
+
+// Utility function to blend a translucent colour over an opaque one
+function blendColor(color, under) {
+  const alpha = color.alpha === undefined ? 1 : color.alpha / 255;
+  const mix = (top, bottom) => top * alpha + bottom * (1 - alpha);
+  return { r: mix(color.r, under.r), g: mix(color.g, under.g), b: mix(color.b, under.b) };
+}
+
+// Utility function to compute the relative luminance of an opaque sRGB colour (WCAG 2.1)
+function relativeLuminance({ r, g, b }) {
+  const linear = (value) => {
+    const channel = value / 255;
+    return channel <= 0.04045 ? channel / 12.92 : ((channel + 0.055) / 1.055) ** 2.4;
+  };
+  return 0.2126 * linear(r) + 0.7152 * linear(g) + 0.0722 * linear(b);
+}
+
+// Utility function to measure the contrast between the modules and the background. Translucent
+// backgrounds are blended over white, and translucent modules over that background
+function analyzeContrast(color, bgcolor) {
+  const background = blendColor(bgcolor, { r: 255, g: 255, b: 255 });
+  const dark = relativeLuminance(blendColor(color, background));
+  const light = relativeLuminance(background);
+  const ratio = (Math.max(dark, light) + 0.05) / (Math.min(dark, light) + 0.05);
+  
+  return {
+    ratio: Math.round(ratio * 100) / 100,
+    minimum: MIN_CONTRAST_RATIO,
+    inverted: dark > light,
+    lowContrast: ratio < MIN_CONTRAST_RATIO
+  };
+}
+
+// Utility function to format a colour for the qrcode renderer (#RRGGBBAA)
+function qrColor(color) {
+  const alpha = color.alpha === undefined ? 255 : color.alpha;
+  return '#' + [color.r, color.g, color.b, alpha].map((value) => value.toString(16).padStart(2, '0')).join('');
+}
+
+// Utility function to validate size parameter; rectangular symbologies may use unequal dimensions
+function parseSize(sizeStr, dpi = 96, rectangular = false) {
+  if (!sizeStr) return { width: 200, height: 200, valid: true, physical: null };
   
-  const match = sizeStr.match(/^(\d+)x(\d+)$/);
+  const match = sizeStr.match(/^(\d+(?:\.\d+)?(?:px|mm|cm|in)?)x(\d+(?:\.\d+)?(?:px|mm|cm|in)?)$/i);
   if (!match) return { width: 200, height: 200, valid: false };
   
-  const width = parseInt(match[1]);
-  const height = parseInt(match[2]);
+  const width = parseLength(match[1], dpi);
+  const height = parseLength(match[2], dpi);
+  
+  // Physical sizes are converted at the requested dpi and may be larger than pixel sizes
+  if (width.physical || height.physical) {
+    if (!width.physical || !height.physical) return { width: 200, height: 200, valid: false };
+    if (!rectangular && Math.abs(width.mm - height.mm) > 0.001) return { width: 200, height: 200, valid: false };
+    
+    const [pixels, heightPixels] = [Math.round(width.pixels), Math.round(height.pixels)];
+    if ([pixels, heightPixels].some((value) => value < 10 || value > 4000)) return { width: 200, height: 200, valid: false };
+    
+    return { width: pixels, height: heightPixels, valid: true, physical: { mm: width.mm, pixels: width.pixels, heightPixels: height.pixels } };
+  }
   
-  // Must be equal dimensions
-  if (width !== height) return { width: 200, height: 200, valid: false };
+  // Must be whole, equal dimensions
+  if (!Number.isInteger(width.pixels) || !Number.isInteger(height.pixels)) return { width: 200, height: 200, valid: false };
+  if (!rectangular && width.pixels !== height.pixels) return { width: 200, height: 200, valid: false };
   
   // Size limits
-  if (width < 10 || height < 10) return { width: 200, height: 200, valid: false };
-  if (width > 1000 || height > 1000) return { width: 200, height: 200, valid: false };
+  if ([width.pixels, height.pixels].some((value) => value < 10 || value > 1000)) return { width: 200, height: 200, valid: false };
   
-  return { width, height, valid: true };
+  return { width: width.pixels, height: height.pixels, valid: true, physical: null };
 }
 
-// Utility function to convert charset
-function convertCharset(text, sourceCharset, targetCharset) {
-  // For simplicity, we'll handle basic UTF-8 and ISO-8859-1
-  // In a production environment, you'd want to use a proper charset conversion library
-  try {
-    if (sourceCharset === 'ISO-8859-1' && targetCharset === 'UTF-8') {
-      return Buffer.from(text, 'latin1').toString('utf8');
-    } else if (sourceCharset === 'UTF-8' && targetCharset === 'ISO-8859-1') {
-      return Buffer.from(text, 'utf8').toString('latin1');
-    }
-    return text;
-  } catch (error) {
-    return text;
+// Utility function to parse a length in pixels or physical units (mm, cm, in) at the given dpi
+function parseLength(lengthStr, dpi) {
+  const match = String(lengthStr).trim().match(/^(\d+(?:\.\d+)?)(px|mm|cm|in)?$/i);
+  if (!match) return null;
+  
+  const value = parseFloat(match[1]);
+  const unit = (match[2] || 'px').toLowerCase();
+  if (unit === 'px') return { pixels: value, physical: false };
+  
+  const inches = value * LENGTH_UNITS[unit];
+  return { pixels: inches * dpi, mm: Number((inches * 25.4).toFixed(4)), physical: true };
+}
+
+// Utility function to normalise a charset name, or return null if it has no ECI designator
+function normalizeCharset(name) {
+  const charset = String(name).toUpperCase();
+  const canonical = CHARSET_ALIASES[charset] || charset;
+  return QR_CHARSETS[canonical] !== undefined ? canonical : null;
+}
+
+// Utility function to read data, decoding percent-encoded query bytes in the source charset.
+// Batch items arrive already parsed from JSON or CSV, so their data is taken as is
+function readDataParam(req, params, sourceCharset) {
+  if (req.batch) return params.data;
+  if (sourceCharset === 'UTF-8' || !sourceCharset || (req.body && req.body.data !== undefined)) {
+    return decodeURIComponent(params.data);
   }
+  
+  const query = (req.originalUrl.split('?')[1] || '').split('&');
+  const raw = query.find((pair) => pair.startsWith('data='));
+  const bytes = raw ? querystring.unescapeBuffer(raw.slice(5).replace(/\+/g, ' ')) : Buffer.from(params.data);
+  return iconv.decode(bytes, sourceCharset);
 }
 
-// Main QR code generation endpoint
-app.get('/v1/create-qr-code/', async (req, res) => {
-  try {
-    // Extract parameters
-    const params = { ...req.query, ...req.body };
-    
-    // Required parameter: data
-    if (!params.data) {
-      return res.status(400).json({ error: 'data parameter is required' });
+// Utility function to encode text in a charset, or return null if a character has no mapping
+function convertCharset(text, charset) {
+  const bytes = iconv.encode(text, charset);
+  return iconv.decode(bytes, charset) === text ? bytes : null;
+}
+
+// Utility function to build segments for text in a target charset, with ECI and Kanji mode where they help.
+// byteOnly keeps all of the converted bytes in one byte segment, for mode=byte
+function buildCharsetSegments(text, charset, byteOnly = false) {
+  const bytes = convertCharset(text, charset);
+  if (!bytes) return null;
+  
+  const header = charset === 'ISO-8859-1' ? [] : [{ eci: QR_CHARSETS[charset] }];
+  const byteInput = [...header, { data: bytes, mode: 'byte' }];
+  if (charset !== 'SHIFT_JIS' || byteOnly) return byteInput;
+  
+  // Kanji mode packs a Shift_JIS character into 13 bits instead of 16, but each extra segment costs a header
+  const runs = [];
+  for (const char of text) {
+    const kanji = toSJIS(char) !== undefined;
+    const last = runs[runs.length - 1];
+    if (last && last.kanji === kanji) {
+      last.text += char;
+    } else {
+      runs.push({ kanji, text: char });
     }
-    
-    // Parse parameters with defaults
-    const data = decodeURIComponent(params.data);
-    const sizeResult = parseSize(params.size);
-    const size = { width: sizeResult.width, height: sizeResult.height };
-    const charsetSource = (params['charset-source'] || 'UTF-8').toUpperCase();
-    const charsetTarget = (params['charset-target'] || 'UTF-8').toUpperCase();
-    const ecc = (params.ecc || 'L').toUpperCase();
-    const colorResult = parseColor(params.color);
-    const bgcolorResult = parseColor(params.bgcolor);
-    const color = colorResult || { r: 0, g: 0, b: 0 };
-    const bgcolor = bgcolorResult || { r: 255, g: 255, b: 255 };
-    const margin = Math.max(0, Math.min(50, parseInt(params.margin) || 0));
-    const qzone = Math.max(0, Math.min(100, parseInt(params.qzone) || 0));
-    const format = (params.format || 'png').toLowerCase();
-    const depth = parseInt(params.depth) || 24;
-    const dpi = parseInt(params.dpi) || 96;
-    const optimize = params.optimize === 'true' || params.optimize === '1';
-    
-    // Validate parameters
-    if (params.size && !sizeResult.valid) {
-      return res.status(400).json({ error: 'Invalid size parameter format. Use WIDTHxHEIGHT with equal dimensions (e.g., 200x200)' });
+  }
+  
+  const mixedInput = [...header, ...runs.map((run) => (run.kanji
+    ? { data: run.text, mode: 'kanji' }
+    : { data: iconv.encode(run.text, charset), mode: 'byte' }))];
+  return countSegmentBits(mixedInput, 1) < countSegmentBits(byteInput, 1) ? mixedInput : byteInput;
+}
+
+// Utility function to count the data bits of a segment list at a version, headers included
+function countSegmentBits(input, version) {
+  return QRSegments.fromArray(input)
+    .reduce((sum, segment) => sum + 4 + QRMode.getCharCountIndicator(segment.mode, version) + segment.getBitsLength(), 0);
+}
+
+// Utility function to build the segments for a piece of text in a mode, or in a target charset
+function buildTextSegments(text, { mode, charset, version }) {
+  if (charset && (mode === 'auto' || mode === 'byte')) {
+    return buildCharsetSegments(text, charset, mode === 'byte');
+  }
+  if (mode !== 'auto') return [{ data: text, mode }];
+  
+  // qrcode's optimal split; fromArray rebuilds the segments from their data and mode
+  return QRSegments.fromString(text, version);
+}
+
+// Utility function to split data over linked structured append symbols of one version
+function splitStructuredAppend(text, { mode, charset, symbols, symbolOptions, errorCorrectionLevel }) {
+  const ecl = QRErrorCorrectionLevel.from(errorCorrectionLevel);
+  const capacity = (version) => (QRUtils.getSymbolTotalCodewords(version) - QRErrorCorrectionCode.getTotalCodewordsCount(version, ecl)) * 8;
+  const fits = (piece, version) => 20 + countSegmentBits(buildTextSegments(piece, { mode, charset, version }), version) <= capacity(version);
+  const chars = [...text];
+  let version = symbolOptions.version || DEFAULT_APPEND_VERSION;
+  const pieces = [];
+  
+  if (symbols) {
+    // A fixed number of symbols shares the characters evenly
+    if (symbols > chars.length) {
+      throw Object.assign(new Error(`data has ${chars.length} characters, too few for ${symbols} symbols`), { status: 400 });
     }
-    
-    if (params.color && !colorResult) {
-      return res.status(400).json({ error: 'Invalid color parameter format. Use RGB decimal (255-0-0) or hex (ff0000, f00)' });
+    const perSymbol = Math.ceil(chars.length / symbols);
+    for (let start = 0; start < chars.length; start += perSymbol) {
+      pieces.push(chars.slice(start, start + perSymbol).join(''));
     }
-    
-    if (params.bgcolor && !bgcolorResult) {
-      return res.status(400).json({ error: 'Invalid bgcolor parameter format. Use RGB decimal (255-0-0) or hex (ff0000, f00)' });
+    if (pieces.length < symbols) {
+      throw Object.assign(new Error(`data cannot be shared evenly over ${symbols} symbols; use fewer symbols`), { status: 400 });
     }
-    
-    // Validate parameters
-    if (!['ISO-8859-1', 'UTF-8'].includes(charsetSource)) {
-      return res.status(400).json({ error: 'Invalid charset-source parameter' });
+  } else {
+    // Otherwise each symbol is filled as far as the version allows
+    let start = 0;
+    while (start < chars.length && pieces.length < MAX_APPEND_SYMBOLS) {
+      let low = 0;
+      let high = chars.length - start;
+      while (low < high) {
+        const middle = Math.ceil((low + high) / 2);
+        if (fits(chars.slice(start, start + middle).join(''), version)) {
+          low = middle;
+        } else {
+          high = middle - 1;
+        }
+      }
+      if (low === 0) break;
+      pieces.push(chars.slice(start, start + low).join(''));
+      start += low;
     }
-    
-    if (!['ISO-8859-1', 'UTF-8'].includes(charsetTarget)) {
-      return res.status(400).json({ error: 'Invalid charset-target parameter' });
+    if (start < chars.length) {
+      throw Object.assign(new Error(`data needs more than ${MAX_APPEND_SYMBOLS} symbols at version ${version}. Pin a higher version or use a lower ecc`), {
+        status: 422,
+        details: { version, maxSymbols: MAX_APPEND_SYMBOLS }
+      });
     }
-    
-    if (!['L', 'M', 'Q', 'H'].includes(ecc)) {
-      return res.status(400).json({ error: 'Invalid ecc parameter' });
+  }
+  
+  // Without a pinned version, all symbols use the smallest version that holds the largest piece
+  if (!symbolOptions.version) {
+    version = 1;
+    while (version < 40 && !pieces.every((piece) => fits(piece, version))) version++;
+  }
+  
+  // Parity is the XOR of every byte of the whole message
+  const bytes = mode === 'kanji' ? iconv.encode(text, 'SHIFT_JIS') : (charset ? iconv.encode(text, charset) : Buffer.from(text));
+  const parity = bytes.reduce((acc, byte) => acc ^ byte, 0);
+  const total = pieces.length;
+  
+  const parts = pieces.map((piece, index) => {
+    const input = [{ structuredAppend: { index, total, parity } }, ...buildTextSegments(piece, { mode, charset, version })];
+    return { index, text: piece, input, symbol: createSymbol(input, { ...symbolOptions, version, errorCorrectionLevel }) };
+  });
+  
+  return { version, total, parity, parts };
+}
+
+// Utility function to check that text can be encoded in a segment mode
+function fitsSegmentMode(text, mode) {
+  switch (mode) {
+    case 'numeric':
+      return QRRegex.testNumeric(text);
+    case 'alphanumeric':
+      return QRRegex.testAlphanumeric(text);
+    case 'kanji':
+      return [...text].every((char) => toSJIS(char) !== undefined);
+    default:
+      return true;
+  }
+}
+
+// Utility function to build the encoder input from mode or a JSON segment list
+function parseSegmentOptions(params, data, charset) {
+  const mode = (params.mode || 'auto').toLowerCase();
+  const modeHints = {
+    numeric: 'digits 0-9 only',
+    alphanumeric: 'digits, upper-case A-Z, space and $%*+-./: only',
+    kanji: 'Shift_JIS double-byte characters only'
+  };
+  
+  if (!['auto', ...SEGMENT_MODES].includes(mode)) {
+    return { error: `Invalid mode parameter. Valid values: auto, ${SEGMENT_MODES.join(', ')}` };
+  }
+  
+  if (params.segments === undefined) {
+    // An explicit target charset encodes auto and byte data as bytes in that charset
+    if (charset && (mode === 'auto' || mode === 'byte')) {
+      const input = buildCharsetSegments(data, charset, mode === 'byte');
+      if (!input) return { error: `data contains characters that cannot be encoded in ${charset}` };
+      return { input };
     }
-    
-    if (!['png', 'gif', 'jpeg', 'jpg', 'svg', 'eps'].includes(format)) {
-      return res.status(400).json({ error: 'Invalid format parameter' });
+    if (mode === 'auto') return { input: data };
+    if (!fitsSegmentMode(data, mode)) return { error: `data cannot be encoded in ${mode} mode (${modeHints[mode]})` };
+    return { input: [{ data, mode }] };
+  }
+  
+  if (params.mode) {
+    return { error: 'Use either mode or segments, not both' };
+  }
+  
+  let segments = params.segments;
+  if (typeof segments === 'string') {
+    try {
+      segments = JSON.parse(segments);
+    } catch (error) {
+      segments = null;
     }
-    
-    if (params.depth && ![1, 8, 16, 24, 32].includes(depth)) {
-      return res.status(400).json({ error: 'Invalid depth parameter. Valid values: 1, 8, 16, 24, 32' });
+  }
+  
+  if (!Array.isArray(segments) || segments.length < 1 || segments.length > 100) {
+    return { error: 'Invalid segments parameter. Use a JSON array of 1-100 {"data", "mode"} objects' };
+  }
+  
+  const input = [];
+  for (const [index, segment] of segments.entries()) {
+    if (!segment || typeof segment.data !== 'string' || segment.data === '') {
+      return { error: `segments[${index}].data must be a non-empty string` };
     }
     
-    if (params.dpi && (dpi < 72 || dpi > 600)) {
-      return res.status(400).json({ error: 'Invalid dpi parameter. Valid range: 72-600' });
+    // Without a mode, qrcode picks the best single mode for the segment
+    if (segment.mode === undefined) {
+      input.push(segment.data);
+      continue;
     }
     
-    if (params.dpi && (dpi < 72 || dpi > 600)) {
-      return res.status(400).json({ error: 'Invalid dpi parameter. Valid range: 72-600' });
+    const segmentMode = String(segment.mode).toLowerCase();
+    if (!SEGMENT_MODES.includes(segmentMode)) {
+      return { error: `segments[${index}].mode must be one of ${SEGMENT_MODES.join(', ')}` };
     }
-    
-    if (params.depth && ![1, 8, 16, 24, 32].includes(depth)) {
-      return res.status(400).json({ error: 'Invalid depth parameter. Valid values: 1, 8, 16, 24, 32' });
+    if (!fitsSegmentMode(segment.data, segmentMode)) {
+      return { error: `segments[${index}].data cannot be encoded in ${segmentMode} mode (${modeHints[segmentMode]})` };
     }
+    input.push({ data: segment.data, mode: segmentMode });
+  }
+  
+  return { input };
+}
+
+// Utility function to build the QR symbol, reporting a pinned version that is too small as a 422
+function createSymbol(input, options) {
+  try {
+    return QRCode.create(input, options);
+  } catch (error) {
+    const needed = error.message.match(/Minimum version required to store current data is: (\d+)/);
+    const tooBig = error.message.includes('too big to be stored in a QR Code');
+    if (!needed && !tooBig) throw error;
     
-    // Convert charset if needed
-    const convertedData = convertCharset(data, charsetSource, charsetTarget);
-    
-    // Map error correction levels
-    const eccMap = {
-      'L': 'low',
-      'M': 'medium', 
-      'Q': 'quartile',
-      'H': 'high'
-    };
-    
-    if (format === 'svg') {
-      // Generate SVG
-      const qrOptions = {
-        errorCorrectionLevel: eccMap[ecc],
-        type: 'svg',
-        margin: qzone,
-        color: {
-          dark: `#${color.r.toString(16).padStart(2, '0')}${color.g.toString(16).padStart(2, '0')}${color.b.toString(16).padStart(2, '0')}`,
-          light: `#${bgcolor.r.toString(16).padStart(2, '0')}${bgcolor.g.toString(16).padStart(2, '0')}${bgcolor.b.toString(16).padStart(2, '0')}`
-        },
-        width: size.width
-      };
-      
-      const svgString = await QRCode.toString(convertedData, qrOptions);
-      
-      res.setHeader('Content-Type', 'image/svg+xml');
-      return res.send(svgString);
-    }
+    const ecc = ['L', 'M', 'Q', 'H'].find((level) => QRErrorCorrectionLevel[level] === QRErrorCorrectionLevel.from(options.errorCorrectionLevel));
+    const version = options.version ? parseInt(options.version) : undefined;
+    const capacity = getQRCapacity(input, version);
+    const { dataBits, capacityBits } = capacity.find((level) => level.ecc === ecc);
+    const fittingEcc = capacity.filter((level) => level.fits).map((level) => level.ecc);
     
-    if (format === 'eps') {
-      // For EPS, generate SVG first then wrap in PostScript
-      const qrOptions = {
-        errorCorrectionLevel: eccMap[ecc],
-        type: 'svg',
-        margin: qzone,
-        width: size.width
-      };
-      
-      const svgString = await QRCode.toString(convertedData, qrOptions);
-      
-      // Basic EPS wrapper
-      const epsContent = `%!PS-Adobe-3.0 EPSF-3.0
-%%BoundingBox: 0 0 ${size.width} ${size.height}
-%%Creator: QR Code Generator API
-%%EndComments
-% SVG content would be converted to PostScript here
-% For simplicity, this is a placeholder
-newpath
-0 0 moveto
-${size.width} 0 lineto
-${size.width} ${size.height} lineto
-0 ${size.height} lineto
-closepath
-stroke
-%%EOF`;
-      
-      res.setHeader('Content-Type', 'application/postscript');
-      return res.send(epsContent);
+    if (needed) {
+      const minimumVersion = parseInt(needed[1]);
+      throw Object.assign(new Error(`Data does not fit in version ${options.version} at ecc ${ecc}. It needs at least version ${minimumVersion}`), {
+        status: 422,
+        details: { version, minimumVersion, ecc, dataBits, capacityBits, fittingEcc }
+      });
     }
     
-    // Generate raster format (PNG, JPEG, GIF)
-    const qrOptions = {
-      errorCorrectionLevel: eccMap[ecc],
-      margin: qzone,
-      color: {
-        dark: `#${color.r.toString(16).padStart(2, '0')}${color.g.toString(16).padStart(2, '0')}${color.b.toString(16).padStart(2, '0')}`,
-        light: `#${bgcolor.r.toString(16).padStart(2, '0')}${bgcolor.g.toString(16).padStart(2, '0')}${bgcolor.b.toString(16).padStart(2, '0')}`
-      },
-      width: size.width
+    const advice = fittingEcc.length
+      ? `Use ecc ${fittingEcc.join(' or ')}, shorten the data or split it with structuredappend=true`
+      : 'Shorten the data or split it with structuredappend=true';
+    throw Object.assign(new Error(`Data does not fit in a QR code at ecc ${ecc}: it needs ${dataBits} bits and version ${version || 40} holds ${capacityBits}. ${advice}`), {
+      status: 422,
+      details: { version: version || null, ecc, dataBits, capacityBits, fittingEcc }
+    });
+  }
+}
+
+// Utility function to report, for each ecc level, the smallest QR version that holds the input (up to a
+// pinned version) with the data bits and capacity there. Text is segmented the way qrcode segments it
+function getQRCapacity(input, pinnedVersion) {
+  const maxVersion = pinnedVersion || 40;
+  
+  return ['L', 'M', 'Q', 'H'].map((ecc) => {
+    const ecl = QRErrorCorrectionLevel[ecc];
+    const capacityBits = (version) => (QRUtils.getSymbolTotalCodewords(version) - QRErrorCorrectionCode.getTotalCodewordsCount(version, ecl)) * 8;
+    const smallestVersion = (segments) => {
+      for (let version = 1; version <= maxVersion; version++) {
+        if (countSegmentBits(segments, version) <= capacityBits(version)) return version;
+      }
+      return null;
     };
     
-    let buffer = await QRCode.toBuffer(convertedData, qrOptions);
+    const segments = Array.isArray(input)
+      ? input
+      : QRSegments.fromString(input, pinnedVersion || smallestVersion(QRSegments.rawSplit(input)) || 40);
+    const version = smallestVersion(segments);
+    const reference = pinnedVersion || version || 40;
+    const dataBits = countSegmentBits(segments, reference);
     
-    // Add margin using Sharp if needed
-    if (margin > 0) {
-      const currentSize = size.width;
-      const newSize = currentSize + (margin * 2);
-      
-      buffer = await sharp(buffer)
-        .extend({
-          top: margin,
-          bottom: margin,
-          left: margin,
-          right: margin,
-          background: { r: bgcolor.r, g: bgcolor.g, b: bgcolor.b }
-        })
-        .resize(newSize, newSize, { fit: 'contain' })
-        .toBuffer();
+    return {
+      ecc,
+      fits: version !== null,
+      version: version && reference,
+      dataBits,
+      capacityBits: capacityBits(reference),
+      remainingBits: capacityBits(reference) - dataBits
+    };
+  });
+}
+
+// Utility function to create a Micro QR or rMQR module matrix with reserved function modules
+function createModuleMatrix(width, height) {
+  const data = new Uint8Array(width * height);
+  const reserved = new Uint8Array(width * height);
+  return {
+    width,
+    height,
+    // Square matrices also expose size, like the qrcode BitMatrix
+    size: width === height ? width : undefined,
+    data,
+    set(row, col, dark, isReserved = true) {
+      data[row * width + col] = dark ? 1 : 0;
+      if (isReserved) reserved[row * width + col] = 1;
+    },
+    get(row, col) {
+      return data[row * width + col];
+    },
+    isReserved(row, col) {
+      return reserved[row * width + col] === 1;
     }
-    
-    // Convert to requested format and bit depth
-    if (format === 'jpeg' || format === 'jpg') {
-      let sharpInstance = sharp(buffer).jpeg({ quality: 90 });
-      
-      // Apply bit depth conversion if specified
-      if (depth === 8) {
-        sharpInstance = sharpInstance.greyscale();
-      }
-      
-      buffer = await sharpInstance.toBuffer();
-      
-      // Apply DPI metadata after conversion for JPEG
-      buffer = await sharp(buffer)
-        .withMetadata({ density: dpi })
-        .jpeg({ quality: 90 })
-        .toBuffer();
-        
-      res.setHeader('Content-Type', 'image/jpeg');
-    } else if (format === 'gif') {
-      // Sharp doesn't support GIF output, so we'll convert to PNG instead
-      let sharpInstance = sharp(buffer);
-      
-      // Apply bit depth conversion
-      if (depth === 1) {
-        sharpInstance = sharpInstance.threshold(128).png({ 
-          palette: true,
-          colors: 2,
-          compressionLevel: 9
-        });
-      } else if (depth === 8) {
-        sharpInstance = sharpInstance.greyscale().png();
-      } else {
-        sharpInstance = sharpInstance.png();
-      }
-      
-      buffer = await sharpInstance.toBuffer();
-      
-      // Apply DPI metadata separately to preserve compression
-      buffer = await sharp(buffer)
-        .withMetadata({ density: dpi })
-        .png({ compressionLevel: 9 })
-        .toBuffer();
-      
-      res.setHeader('Content-Type', 'image/png');
-    } else {
-      // Default to PNG with bit depth control
-      let sharpInstance = sharp(buffer);
-      
-      if (depth === 1) {
-        // Convert to 1-bit (monochrome) with proper DPI
-        buffer = await sharpInstance
-          .threshold(128)
-          .png({ 
-            palette: true,
-            colors: 2,
-            compressionLevel: 9,
-            effort: 10
-          })
-          .withMetadata({ 
-            density: dpi 
-          })
-          .toBuffer();
-          
-                  console.log(`1-bit PNG generated: ${buffer.length} bytes at ${dpi} DPI`);
-          
-          // Apply aggressive optimization if requested
-          if (optimize) {
-            buffer = await optimizePNG(buffer, depth);
-          }
-          
-          // Apply aggressive optimization if requested
-          if (optimize) {
-            buffer = await optimizePNG(buffer, depth);
-          }
-          
-      } else if (depth === 8) {
-        // Convert to 8-bit grayscale
-        buffer = await sharpInstance
-          .greyscale()
-          .png({ compressionLevel: 9 })
-          .withMetadata({ density: dpi })
-          .toBuffer();
-          
-        // Apply optimization if requested
-        if (optimize) {
-          buffer = await optimizePNG(buffer, depth);
-        }
-          
-        // Apply optimization if requested
-        if (optimize) {
-          buffer = await optimizePNG(buffer, depth);
-        }
-          
-        // Apply optimization if requested
-        if (optimize) {
-          buffer = await optimizePNG(buffer, depth);
-        }
-          
-        // Apply optimization if requested
-        if (optimize) {
-          buffer = await optimizePNG(buffer, depth);
-        }
-          
-      } else if (depth === 16) {
-        // 16-bit grayscale
-        buffer = await sharpInstance
-          .greyscale()
-          .png({ compressionLevel: 9 })
-          .withMetadata({ density: dpi })
-          .toBuffer();
-          
-      } else {
-        // 24-bit or 32-bit RGB/RGBA (default)
-        buffer = await sharpInstance
-          .png({ compressionLevel: 9 })
-          .withMetadata({ density: dpi })
-          .toBuffer();
-          
-        // Apply optimization if requested
-        if (optimize) {
-          buffer = await optimizePNG(buffer, depth);
-        }
-          
-        // Apply optimization if requested
-        if (optimize) {
-          buffer = await optimizePNG(buffer, depth);
-        }
-      }
-      
-      res.setHeader('Content-Type', 'image/png');
+  };
+}
+
+// Utility function to draw a square finder-style pattern: a dark border, a light ring and a solid dark core
+function drawRingPattern(matrix, top, left, side) {
+  for (let r = 0; r < side; r++) {
+    for (let c = 0; c < side; c++) {
+      const ring = Math.min(r, c, side - 1 - r, side - 1 - c);
+      matrix.set(top + r, left + c, ring !== 1);
     }
-    
-    res.send(buffer);
-    
-  } catch (error) {
-    console.error('Error generating QR code:', error);
-    console.error('Stack trace:', error.stack);
-    res.status(500).json({ error: 'Internal server error generating QR code', details: error.message });
   }
-});
+}
 
-// POST endpoint (same functionality)
-app.post('/v1/create-qr-code/', async (req, res) => {
-  // Combine query and body parameters
-  req.query = { ...req.query, ...req.body };
-  
-  // Call the same handler logic as GET
-  try {
-    // Extract parameters
-    const params = { ...req.query, ...req.body };
+// Utility function to append a BCH error correction code to format information bits
+function getBCHCode(data, generator) {
+  const degree = Math.floor(Math.log2(generator));
+  let remainder = data << degree;
+  while (remainder >= (1 << degree)) {
+    remainder ^= generator << (Math.floor(Math.log2(remainder)) - degree);
+  }
+  return (data << degree) | remainder;
+}
+
+// Utility function to pick the encoding mode for Micro QR and rMQR data and build its segment
+function createMatrixSegment(text, mode) {
+  // Like QR, automatic mode never picks Kanji; it takes mode=kanji
+  const resolved = mode !== 'auto' ? mode : ['numeric', 'alphanumeric'].find((candidate) => text && fitsSegmentMode(text, candidate)) || 'byte';
+  const Segment = { numeric: QRNumericData, alphanumeric: QRAlphanumericData, byte: QRByteData, kanji: QRKanjiData }[resolved];
+  return { mode: resolved, segment: new Segment(text) };
+}
+
+// Utility function to pack a single segment into data codewords; a final half codeword sits in the high nibble
+function packMatrixData({ segment }, { modeBits, modeIndicator, countBits, terminatorBits, capacityBits }) {
+  const buffer = new QRBitBuffer();
+  buffer.put(modeIndicator, modeBits);
+  buffer.put(segment.getLength(), countBits);
+  segment.write(buffer);
+  buffer.put(0, Math.min(terminatorBits, capacityBits - buffer.getLengthInBits()));
+  
+  // Zero bits to the codeword boundary, then alternating pad codewords; a 4-bit last codeword stays 0000
+  while (buffer.getLengthInBits() % 8 !== 0 && buffer.getLengthInBits() < capacityBits) {
+    buffer.putBit(false);
+  }
+  for (let pad = 0xEC; buffer.getLengthInBits() + 8 <= capacityBits; pad ^= 0xEC ^ 0x11) {
+    buffer.put(pad, 8);
+  }
+  
+  return Uint8Array.from({ length: Math.ceil(capacityBits / 8) }, (_, i) => buffer.buffer[i] || 0);
+}
+
+// Utility function to count the bits a segment needs, or Infinity if the version cannot hold it
+function getMatrixSegmentBits({ segment }, modeBits, countBits) {
+  if (countBits === undefined || segment.getLength() >= 2 ** countBits) return Infinity;
+  return modeBits + countBits + segment.getBitsLength();
+}
+
+// Utility function to place codeword bits in two-module columns, zig-zagging up and down from the right
+function placeMatrixData(matrix, bits, firstColumn) {
+  let index = 0;
+  let upward = true;
+  for (let right = firstColumn; right >= 1; right -= 2) {
+    for (let step = 0; step < matrix.height; step++) {
+      const row = upward ? matrix.height - 1 - step : step;
+      for (const col of [right, right - 1]) {
+        if (!matrix.isReserved(row, col)) {
+          matrix.set(row, col, index < bits.length && bits[index], false);
+          index++;
+        }
+      }
+    }
+    upward = !upward;
+  }
+}
+
+// Utility function to flip the data modules where a mask condition holds
+function applyMatrixMask(matrix, condition) {
+  for (let row = 0; row < matrix.height; row++) {
+    for (let col = 0; col < matrix.width; col++) {
+      if (!matrix.isReserved(row, col) && condition(row, col)) {
+        matrix.data[row * matrix.width + col] ^= 1;
+      }
+    }
+  }
+}
+
+// Utility function to expand codewords into bits, keeping only the high nibble of a half codeword
+function codewordBits(codewords, halfIndex = -1) {
+  const bits = [];
+  codewords.forEach((codeword, i) => {
+    for (let bit = 7; bit >= (i === halfIndex ? 4 : 0); bit--) {
+      bits.push(((codeword >> bit) & 1) === 1);
+    }
+  });
+  return bits;
+}
+
+// Utility function to encode text as a Micro QR symbol in the smallest version that fits
+function encodeMicroQR(text, { mode = 'auto', ecc = 'L', version, maskPattern }) {
+  const input = createMatrixSegment(text, mode);
+  let symbolNumber = 0;
+  let spec = null;
+  for (const candidate of MICRO_QR_VERSIONS) {
+    const levels = Object.keys(candidate.dataBits);
+    const bits = getMatrixSegmentBits(input, candidate.modeBits, candidate.countBits[input.mode]);
+    if (levels.includes(ecc) && (!version || version === candidate.name) && bits <= candidate.dataBits[ecc]) {
+      spec = candidate;
+      symbolNumber += levels.indexOf(ecc);
+      break;
+    }
+    symbolNumber += levels.length;
+  }
+  
+  if (!spec) {
+    throw Object.assign(new Error(version
+      ? `Data does not fit in Micro QR version ${version} at ecc ${ecc} in ${input.mode} mode`
+      : `Data is too long for Micro QR at ecc ${ecc}. Use symbology=rmqr or qr`), {
+      status: 422,
+      details: { symbology: 'microqr', version: version || 'M4', ecc, mode: input.mode }
+    });
+  }
+  
+  // One block; M1 and M3 end their data with a 4-bit codeword
+  const capacityBits = spec.dataBits[ecc];
+  const dataCodewords = packMatrixData(input, {
+    modeBits: spec.modeBits,
+    modeIndicator: SEGMENT_MODES.indexOf(input.mode),
+    countBits: spec.countBits[input.mode],
+    terminatorBits: spec.terminatorBits,
+    capacityBits
+  });
+  const ecCodewords = new QRReedSolomonEncoder(spec.totalCodewords - dataCodewords.length).encode(dataCodewords);
+  const bits = [
+    ...codewordBits(dataCodewords, capacityBits % 8 ? dataCodewords.length - 1 : -1),
+    ...codewordBits(ecCodewords)
+  ];
+  
+  // Function patterns: one finder, its separator, timing along the top and left edges, reserved format area
+  const size = spec.size;
+  const matrix = createModuleMatrix(size, size);
+  drawRingPattern(matrix, 0, 0, 7);
+  for (let i = 0; i < 8; i++) {
+    matrix.set(7, i, false);
+    matrix.set(i, 7, false);
+    matrix.set(8, i + 1, false);
+    matrix.set(i + 1, 8, false);
+  }
+  for (let i = 8; i < size; i++) {
+    matrix.set(0, i, i % 2 === 0);
+    matrix.set(i, 0, i % 2 === 0);
+  }
+  placeMatrixData(matrix, bits, size - 1);
+  
+  // Keep the mask with the most dark modules along the right and bottom edges
+  const scoreMask = (mask) => {
+    let right = 0;
+    let bottom = 0;
+    for (let i = 1; i < size; i++) {
+      right += matrix.get(i, size - 1) ^ (matrix.isReserved(i, size - 1) ? 0 : Number(MICRO_QR_MASKS[mask](i, size - 1)));
+      bottom += matrix.get(size - 1, i) ^ (matrix.isReserved(size - 1, i) ? 0 : Number(MICRO_QR_MASKS[mask](size - 1, i)));
+    }
+    return Math.min(right, bottom) * 16 + Math.max(right, bottom);
+  };
+  const mask = maskPattern !== undefined
+    ? maskPattern
+    : [0, 1, 2, 3].reduce((best, candidate) => (scoreMask(candidate) > scoreMask(best) ? candidate : best), 0);
+  applyMatrixMask(matrix, MICRO_QR_MASKS[mask]);
+  
+  // Format information: symbol number and mask, BCH (15,5), with bit 14 nearest the finder
+  const formatBits = getBCHCode((symbolNumber << 2) | mask, 0x537) ^ 0x4445;
+  for (let i = 0; i < 8; i++) {
+    matrix.set(i + 1, 8, (formatBits >> i) & 1);
+    matrix.set(8, i + 1, (formatBits >> (14 - i)) & 1);
+  }
+  
+  return {
+    symbology: 'microqr',
+    version: spec.name,
+    ecc,
+    maskPattern: mask,
+    segments: [{ mode: QRMode.toString(input.segment.mode), length: input.segment.getLength(), bits: getMatrixSegmentBits(input, spec.modeBits, spec.countBits[input.mode]) }],
+    capacity: { dataCodewords: dataCodewords.length, errorCorrectionCodewords: ecCodewords.length, totalBits: capacityBits },
+    modules: matrix
+  };
+}
+
+// Utility function to draw the rMQR function patterns: finders, corners, timing and alignment patterns
+function drawRMQRFunctionPatterns(matrix) {
+  const { width, height } = matrix;
+  
+  // Timing patterns along all four edges first; the other patterns overwrite them where they meet
+  for (let col = height === 7 ? 8 : 0; col < width - 5; col++) {
+    matrix.set(height - 1, col, col % 2 === 0);
+  }
+  for (let col = 8; col < width; col++) {
+    matrix.set(0, col, col % 2 === 0);
+  }
+  for (let row = 8; row < height; row++) {
+    matrix.set(row, 0, row % 2 === 0);
+  }
+  for (let row = 2; row < height - 5; row++) {
+    matrix.set(row, width - 1, row % 2 === 0);
+  }
+  
+  // Finder pattern and its separator; symbols of height 7 have no separator row
+  drawRingPattern(matrix, 0, 0, 7);
+  for (let i = 0; i < 8; i++) {
+    if (i < 7) matrix.set(i, 7, false);
+    if (height > 7) matrix.set(7, i, false);
+  }
+  
+  // Finder sub-pattern and the corner finder patterns
+  drawRingPattern(matrix, height - 5, width - 5, 5);
+  matrix.set(0, width - 2, true);
+  matrix.set(0, width - 1, true);
+  matrix.set(1, width - 2, false);
+  matrix.set(1, width - 1, true);
+  if (height > 7) {
+    for (let col = 0; col < 3; col++) matrix.set(height - 1, col, true);
+  }
+  if (height > 9) {
+    matrix.set(height - 2, 0, true);
+    matrix.set(height - 2, 1, false);
+  }
+  
+  // Alignment patterns on the top and bottom edges, joined by vertical timing patterns
+  for (const center of RMQR_ALIGNMENT_COLUMNS[width]) {
+    for (let r = 0; r < 3; r++) {
+      for (let c = 0; c < 3; c++) {
+        const dark = r !== 1 || c !== 1;
+        matrix.set(r, center - 1 + c, dark);
+        matrix.set(height - 3 + r, center - 1 + c, dark);
+      }
+    }
+    for (let row = 3; row < height - 3; row++) {
+      matrix.set(row, center, row % 2 === 0);
+    }
+  }
+}
+
+// Utility function to write the 18-bit rMQR format information beside both finder patterns
+function drawRMQRFormatInfo(matrix, formatBits) {
+  const { width, height } = matrix;
+  const [finderSide, subFinderSide] = RMQR_FORMAT_MASKS.map((mask) => formatBits ^ mask);
+  for (let n = 0; n < 18; n++) {
+    matrix.set(1 + (n % 5), 8 + Math.floor(n / 5), (finderSide >> n) & 1);
+    if (n < 15) {
+      matrix.set(height - 6 + (n % 5), width - 8 + Math.floor(n / 5), (subFinderSide >> n) & 1);
+    } else {
+      matrix.set(height - 6, width - 5 + (n - 15), (subFinderSide >> n) & 1);
+    }
+  }
+}
+
+// Utility function to encode text as an rMQR symbol: a pinned version, the version with the largest
+// modules inside a bounding box, or else the smallest version that fits
+function encodeRMQR(text, { mode = 'auto', ecc = 'M', version, box }) {
+  const input = createMatrixSegment(text, mode);
+  const capacity = (spec) => spec.blocks[ecc].reduce((sum, [count, , data]) => sum + count * data * 8, 0);
+  const candidates = RMQR_VERSIONS.filter((spec) => (!version || spec.name === version)
+    && getMatrixSegmentBits(input, 3, spec.countBits[input.mode]) <= capacity(spec));
+  
+  if (!candidates.length) {
+    throw Object.assign(new Error(version
+      ? `Data does not fit in rMQR version ${version} at ecc ${ecc} in ${input.mode} mode`
+      : `Data is too long for rMQR at ecc ${ecc}. Use symbology=qr`), {
+      status: 422,
+      details: { symbology: 'rmqr', version: version || 'R17x139', ecc, mode: input.mode }
+    });
+  }
+  
+  const area = (spec) => spec.width * spec.height;
+  const moduleFit = (spec) => (box ? Math.min(box.width / (spec.width + box.qzone * 2), box.height / (spec.height + box.qzone * 2)) : 0);
+  const spec = candidates.reduce((best, candidate) => {
+    const fit = moduleFit(candidate) - moduleFit(best);
+    return fit > 1e-9 || (Math.abs(fit) <= 1e-9 && area(candidate) < area(best)) ? candidate : best;
+  });
+  
+  // Data codewords are split over the blocks, then data and error correction are interleaved
+  const dataCodewords = packMatrixData(input, {
+    modeBits: 3,
+    modeIndicator: SEGMENT_MODES.indexOf(input.mode) + 1,
+    countBits: spec.countBits[input.mode],
+    terminatorBits: 3,
+    capacityBits: capacity(spec)
+  });
+  const blocks = [];
+  let offset = 0;
+  for (const [count, total, dataCount] of spec.blocks[ecc]) {
+    for (let i = 0; i < count; i++) {
+      const data = dataCodewords.slice(offset, offset + dataCount);
+      offset += dataCount;
+      blocks.push({ data, ec: new QRReedSolomonEncoder(total - dataCount).encode(data) });
+    }
+  }
+  const interleave = (key) => {
+    const codewords = [];
+    for (let i = 0; i < Math.max(...blocks.map((block) => block[key].length)); i++) {
+      blocks.filter((block) => i < block[key].length).forEach((block) => codewords.push(block[key][i]));
+    }
+    return codewords;
+  };
+  const ecCodewords = interleave('ec');
+  const bits = codewordBits([...interleave('data'), ...ecCodewords]);
+  
+  // Fixed data mask (QR mask 100); format information carries the ECC level and version indicator
+  const matrix = createModuleMatrix(spec.width, spec.height);
+  drawRMQRFunctionPatterns(matrix);
+  drawRMQRFormatInfo(matrix, 0);
+  placeMatrixData(matrix, bits, spec.width - 2);
+  applyMatrixMask(matrix, MICRO_QR_MASKS[1]);
+  drawRMQRFormatInfo(matrix, getBCHCode(((ecc === 'H' ? 1 : 0) << 5) | RMQR_VERSIONS.indexOf(spec), 0x1F25));
+  
+  return {
+    symbology: 'rmqr',
+    version: spec.name,
+    ecc,
+    maskPattern: null,
+    segments: [{ mode: QRMode.toString(input.segment.mode), length: input.segment.getLength(), bits: getMatrixSegmentBits(input, 3, spec.countBits[input.mode]) }],
+    capacity: { dataCodewords: dataCodewords.length, errorCorrectionCodewords: ecCodewords.length, totalBits: capacity(spec) },
+    modules: matrix
+  };
+}
+
+// Utility function to build log/antilog tables for a Galois field used by the barcode encoders
+function createGaloisField(size, primitive) {
+  const exp = new Array(size * 2);
+  const log = new Array(size);
+  for (let i = 0, x = 1; i < size - 1; i++) {
+    exp[i] = x;
+    log[x] = i;
+    x <<= 1;
+    if (x >= size) x ^= primitive;
+  }
+  for (let i = size - 1; i < size * 2; i++) {
+    exp[i] = exp[i - (size - 1)];
+  }
+  return { exp, log, multiply: (a, b) => (a && b ? exp[log[a] + log[b]] : 0) };
+}
+
+// Utility function to compute Reed-Solomon check words with generator roots a^1..a^count
+function reedSolomonCheckWords(data, count, field) {
+  let generator = [1];
+  for (let i = 1; i <= count; i++) {
+    const next = new Array(generator.length + 1).fill(0);
+    generator.forEach((coefficient, j) => {
+      next[j] ^= coefficient;
+      next[j + 1] ^= field.multiply(coefficient, field.exp[i]);
+    });
+    generator = next;
+  }
+
+  const remainder = new Array(count).fill(0);
+  for (const word of data) {
+    const factor = word ^ remainder.shift();
+    remainder.push(0);
+    for (let j = 0; j < count; j++) {
+      remainder[j] ^= field.multiply(generator[j + 1], factor);
+    }
+  }
+  return remainder;
+}
+
+// Utility function to get barcode data bytes: ISO 8859-1 where possible, else UTF-8 behind ECI 26
+function getBarcodeBytes(text) {
+  const latin1 = [...text].every((char) => char.codePointAt(0) <= 0xFF);
+  return latin1 ? { bytes: [...Buffer.from(text, 'latin1')], eci: null } : { bytes: [...Buffer.from(text, 'utf8')], eci: 26 };
+}
+
+// Utility function to encode bytes in Data Matrix ASCII encodation: digit pairs, ASCII and upper shift
+function encodeDataMatrixASCII(bytes) {
+  const codewords = [];
+  const isDigit = (byte) => byte >= 0x30 && byte <= 0x39;
+  for (let i = 0; i < bytes.length; i++) {
+    if (isDigit(bytes[i]) && isDigit(bytes[i + 1])) {
+      codewords.push(130 + (bytes[i] - 0x30) * 10 + bytes[i + 1] - 0x30);
+      i++;
+    } else if (bytes[i] < 128) {
+      codewords.push(bytes[i] + 1);
+    } else {
+      codewords.push(235, bytes[i] - 127);
+    }
+  }
+  return codewords;
+}
+
+// Utility function to map Data Matrix codeword bits onto the data area (ISO/IEC 16022 Annex F).
+// Each entry is codeword * 8 + bit (bit 0 the most significant), -1 for the fixed corner modules
+function getDataMatrixPlacement(rows, columns) {
+  const placement = new Array(rows * columns).fill(null);
+  const module = (row, col, codeword, bit) => {
+    if (row < 0) {
+      row += rows;
+      col += 4 - ((rows + 4) % 8);
+    }
+    if (col < 0) {
+      col += columns;
+      row += 4 - ((columns + 4) % 8);
+    }
+    placement[row * columns + col] = codeword * 8 + bit;
+  };
+  const shape = (codeword, positions) => positions.forEach(([row, col], bit) => module(row, col, codeword, bit));
+  const utah = (row, col, codeword) => shape(codeword, [
+    [row - 2, col - 2], [row - 2, col - 1], [row - 1, col - 2], [row - 1, col - 1],
+    [row - 1, col], [row, col - 2], [row, col - 1], [row, col]
+  ]);
+  const [last, right] = [rows - 1, columns - 1];
+  const corners = [
+    [[last, 0], [last, 1], [last, 2], [0, right - 1], [0, right], [1, right], [2, right], [3, right]],
+    [[last - 2, 0], [last - 1, 0], [last, 0], [0, right - 3], [0, right - 2], [0, right - 1], [0, right], [1, right]],
+    [[last - 2, 0], [last - 1, 0], [last, 0], [0, right - 1], [0, right], [1, right], [2, right], [3, right]],
+    [[last, 0], [last, right], [0, right - 2], [0, right - 1], [0, right], [1, right - 2], [1, right - 1], [1, right]]
+  ];
+
+  let codeword = 0;
+  let row = 4;
+  let col = 0;
+  do {
+    if (row === rows && col === 0) shape(codeword++, corners[0]);
+    if (row === rows - 2 && col === 0 && columns % 4) shape(codeword++, corners[1]);
+    if (row === rows - 2 && col === 0 && columns % 8 === 4) shape(codeword++, corners[2]);
+    if (row === rows + 4 && col === 2 && !(columns % 8)) shape(codeword++, corners[3]);
+
+    // Sweep up and to the right, then down and to the left
+    do {
+      if (row < rows && col >= 0 && placement[row * columns + col] === null) utah(row, col, codeword++);
+      row -= 2;
+      col += 2;
+    } while (row >= 0 && col < columns);
+    row += 1;
+    col += 3;
+    do {
+      if (row >= 0 && col < columns && placement[row * columns + col] === null) utah(row, col, codeword++);
+      row += 2;
+      col -= 2;
+    } while (row < rows && col >= 0);
+    row += 3;
+    col += 1;
+  } while (row < rows || col < columns);
+
+  // Areas that are not a multiple of 8 modules leave a fixed checkerboard corner
+  if (placement[rows * columns - 1] === null) {
+    placement[rows * columns - 1] = -1;
+    placement[rows * columns - columns - 2] = -1;
+  }
+  return placement;
+}
+
+// Utility function to encode text as a Data Matrix ECC 200 symbol in the smallest size of a shape
+function encodeDataMatrix(text, { shape = 'square', version }) {
+  const { bytes, eci } = getBarcodeBytes(text);
+  const data = [...(eci ? [241, eci + 1] : []), ...encodeDataMatrixASCII(bytes)];
+  const rectangle = (spec) => spec.rows !== spec.columns;
+  const candidates = DATA_MATRIX_SIZES
+    .filter((spec) => (version ? spec.name === version : shape === 'auto' || rectangle(spec) === (shape === 'rectangle')))
+    .filter((spec) => data.length <= spec.dataCodewords)
+    .sort((a, b) => a.rows * a.columns - b.rows * b.columns);
+
+  if (!candidates.length) {
+    throw Object.assign(new Error(version
+      ? `Data does not fit in Data Matrix size ${version}`
+      : `Data is too long for a ${shape === 'auto' ? '' : `${shape} `}Data Matrix symbol`), {
+      status: 422,
+      details: { symbology: 'datamatrix', version: version || null, shape, dataCodewords: data.length }
+    });
+  }
+  const spec = candidates[0];
+
+  // Pad with 129 and then pseudo-random pad codewords from the 253-state algorithm
+  const codewords = [...data];
+  for (let position = codewords.length + 1; codewords.length < spec.dataCodewords; position++) {
+    const pad = codewords.length === data.length ? 129 : 129 + ((149 * position) % 253) + 1;
+    codewords.push(pad > 254 ? pad - 254 : pad);
+  }
+
+  // Codewords are interleaved over the blocks: codeword i belongs to block i % blocks
+  const field = createGaloisField(256, 0x12D);
+  const ecPerBlock = spec.ecCodewords / spec.blocks;
+  for (let block = 0; block < spec.blocks; block++) {
+    const blockData = codewords.slice(0, spec.dataCodewords).filter((_, i) => i % spec.blocks === block);
+    reedSolomonCheckWords(blockData, ecPerBlock, field).forEach((word, i) => {
+      codewords[spec.dataCodewords + i * spec.blocks + block] = word;
+    });
+  }
+
+  // Data regions sit inside an L-shaped finder (left and bottom) and clock track (top and right)
+  const regionsDown = spec.rows / (spec.regionRows + 2);
+  const regionsAcross = spec.columns / (spec.regionColumns + 2);
+  const mappingRows = spec.regionRows * regionsDown;
+  const mappingColumns = spec.regionColumns * regionsAcross;
+  const placement = getDataMatrixPlacement(mappingRows, mappingColumns);
+  const matrix = createModuleMatrix(spec.columns, spec.rows);
+
+  for (let row = 0; row < spec.rows; row++) {
+    for (let col = 0; col < spec.columns; col++) {
+      const regionRow = row % (spec.regionRows + 2);
+      const regionCol = col % (spec.regionColumns + 2);
+      if (regionCol === 0 || regionRow === spec.regionRows + 1) {
+        matrix.set(row, col, true);
+      } else if (regionRow === 0) {
+        matrix.set(row, col, regionCol % 2 === 0);
+      } else if (regionCol === spec.regionColumns + 1) {
+        matrix.set(row, col, regionRow % 2 === 1);
+      } else {
+        const mappingRow = Math.floor(row / (spec.regionRows + 2)) * spec.regionRows + regionRow - 1;
+        const mappingCol = Math.floor(col / (spec.regionColumns + 2)) * spec.regionColumns + regionCol - 1;
+        const entry = placement[mappingRow * mappingColumns + mappingCol];
+        matrix.set(row, col, entry === -1 || (entry !== null && ((codewords[entry >> 3] >> (7 - (entry & 7))) & 1) === 1), false);
+      }
+    }
+  }
+
+  return {
+    symbology: 'datamatrix',
+    version: spec.name,
+    shape: rectangle(spec) ? 'rectangle' : 'square',
+    segments: [{ mode: 'ASCII', length: bytes.length, bits: data.length * 8 }],
+    capacity: { dataCodewords: spec.dataCodewords, errorCorrectionCodewords: spec.ecCodewords, totalBits: spec.dataCodewords * 8 },
+    modules: matrix
+  };
+}
+
+// Utility function to encode bytes with the Aztec character modes: latches between modes, single-character
+// shifts to punctuation and upper case, and binary shift for bytes no mode holds
+function encodeAztecText(bytes, eci) {
+  const bits = [];
+  const append = (value, length) => {
+    for (let bit = length - 1; bit >= 0; bit--) bits.push((value >> bit) & 1);
+  };
+  const modeBits = (mode) => (mode === 'digit' ? 4 : 5);
+  const inMode = (mode, byte) => byte !== undefined && AZTEC_CODES[mode].has(byte);
+  let mode = 'upper';
+
+  // FLG(n) carries the ECI designator as decimal digits
+  if (eci) {
+    append(0, 5);
+    append(0, 5);
+    append(String(eci).length, 3);
+    [...String(eci)].forEach((digit) => append(Number(digit) + 2, 4));
+  }
+
+  for (let i = 0; i < bytes.length; i++) {
+    const [byte, next] = [bytes[i], bytes[i + 1]];
+    if (inMode(mode, byte)) {
+      append(AZTEC_CODES[mode].get(byte), modeBits(mode));
+    } else if (mode !== 'punct' && inMode('punct', byte) && !(inMode('punct', next) && !inMode(mode, next))) {
+      append(0, modeBits(mode));
+      append(AZTEC_CODES.punct.get(byte), 5);
+    } else if ((mode === 'lower' || mode === 'digit') && inMode('upper', byte) && !(inMode('upper', next) && !inMode(mode, next))) {
+      append(mode === 'lower' ? 28 : 15, modeBits(mode));
+      append(AZTEC_CODES.upper.get(byte), 5);
+    } else {
+      const target = ['upper', 'lower', 'digit', 'mixed', 'punct'].find((candidate) => inMode(candidate, byte));
+      if (target) {
+        AZTEC_LATCHES[mode][target].forEach(([code, length]) => append(code, length));
+        mode = target;
+        append(AZTEC_CODES[mode].get(byte), modeBits(mode));
+        continue;
+      }
+
+      // Binary shift is only available from upper, lower and mixed; it returns to that mode afterwards
+      if (mode === 'digit' || mode === 'punct') {
+        AZTEC_LATCHES[mode].upper.forEach(([code, length]) => append(code, length));
+        mode = 'upper';
+      }
+      let end = i;
+      while (end < bytes.length && end - i < 2078 && !['upper', 'lower', 'digit', 'mixed', 'punct'].some((candidate) => inMode(candidate, bytes[end]))) end++;
+      append(31, 5);
+      if (end - i <= 31) {
+        append(end - i, 5);
+      } else {
+        append(0, 5);
+        append(end - i - 31, 11);
+      }
+      bytes.slice(i, end).forEach((value) => append(value, 8));
+      i = end - 1;
+    }
+  }
+  return bits;
+}
+
+// Utility function to split bits into Aztec codewords, padding with ones and stuffing a bit into
+// codewords that would otherwise be all zeros or all ones
+function stuffAztecBits(bits, wordSize) {
+  const words = [];
+  const mask = (1 << wordSize) - 2;
+  for (let i = 0; i < bits.length; i += wordSize) {
+    let word = 0;
+    for (let j = 0; j < wordSize; j++) {
+      if (i + j >= bits.length || bits[i + j]) word |= 1 << (wordSize - 1 - j);
+    }
+    if ((word & mask) === mask) {
+      words.push(word & mask);
+      i--;
+    } else if ((word & mask) === 0) {
+      words.push(word | 1);
+      i--;
+    } else {
+      words.push(word);
+    }
+  }
+  return words;
+}
+
+// Utility function to add Reed-Solomon check words to Aztec codewords and return the bits of a layer area
+function getAztecCheckedBits(words, totalBits, wordSize) {
+  const totalWords = Math.floor(totalBits / wordSize);
+  const checkWords = reedSolomonCheckWords(words, totalWords - words.length, createGaloisField(2 ** wordSize, AZTEC_FIELD_POLYNOMIALS[wordSize]));
+  const bits = new Array(totalBits % wordSize).fill(0);
+  [...words, ...checkWords].forEach((word) => {
+    for (let bit = wordSize - 1; bit >= 0; bit--) bits.push((word >> bit) & 1);
+  });
+  return bits;
+}
+
+// Utility function to encode text as an Aztec symbol: compact (1-4 layers) or full range (1-32 layers)
+// with at least ecPercent of the data area given to error correction
+function encodeAztec(text, { ecPercent = 23, layers: pinnedLayers, compact: pinnedCompact }) {
+  const { bytes, eci } = getBarcodeBytes(text);
+  const dataBits = encodeAztecText(bytes, eci);
+  const eccBits = Math.floor(dataBits.length * ecPercent / 100) + 11;
+  const totalBitsInLayers = (compact, layers) => ((compact ? 88 : 112) + 16 * layers) * layers;
+
+  // Compact symbols first, then full range from 4 layers (1-3 only when full range is asked for), unless layers are pinned
+  const candidates = pinnedLayers
+    ? [{ compact: Boolean(pinnedCompact), layers: pinnedLayers }]
+    : [
+      ...(pinnedCompact === false ? [] : [1, 2, 3, 4].map((layers) => ({ compact: true, layers }))),
+      ...(pinnedCompact === true ? [] : Array.from({ length: 32 }, (_, i) => ({ compact: false, layers: i + 1 })).slice(pinnedCompact === false ? 0 : 3))
+    ];
+
+  let spec = null;
+  for (const { compact, layers } of candidates) {
+    const totalBits = totalBitsInLayers(compact, layers);
+    const wordSize = AZTEC_WORD_SIZES[layers];
+    const words = stuffAztecBits(dataBits, wordSize);
+    if (words.length * wordSize + eccBits <= totalBits - (totalBits % wordSize) && (!compact || words.length <= 64)) {
+      spec = { compact, layers, totalBits, wordSize, words };
+      break;
+    }
+  }
+
+  if (!spec) {
+    throw Object.assign(new Error(pinnedLayers
+      ? `Data does not fit in a ${pinnedCompact ? 'compact' : 'full range'} Aztec symbol with ${pinnedLayers} layers at ${ecPercent}% error correction`
+      : `Data is too long for ${pinnedCompact ? 'a compact ' : ''}Aztec at ${ecPercent}% error correction`), {
+      status: 422,
+      details: { symbology: 'aztec', layers: pinnedLayers || null, compact: pinnedCompact === undefined ? null : pinnedCompact, ecPercent }
+    });
+  }
+
+  const { compact, layers, totalBits, wordSize, words } = spec;
+  const messageBits = getAztecCheckedBits(words, totalBits, wordSize);
+  // Capacity is reported at the requested error correction; unused data words become extra check words
+  const maxDataWords = Math.min(compact ? 64 : 2048, Math.floor((totalBits - (totalBits % wordSize) - eccBits) / wordSize));
+
+  // The mode message holds the layer count and data codeword count, protected in GF(16)
+  const modeData = compact ? ((layers - 1) << 6) | (words.length - 1) : ((layers - 1) << 11) | (words.length - 1);
+  const modeWordCount = compact ? 2 : 4;
+  const modeWords = Array.from({ length: modeWordCount }, (_, i) => (modeData >> ((modeWordCount - 1 - i) * 4)) & 0xF);
+  const modeMessage = getAztecCheckedBits(modeWords, compact ? 28 : 40, 4);
+
+  // Full range symbols insert a reference grid line every 16 modules from the centre
+  const baseSize = (compact ? 11 : 14) + layers * 4;
+  const alignment = Array.from({ length: baseSize }, (_, i) => i);
+  let size = baseSize;
+  if (!compact) {
+    size = baseSize + 1 + 2 * Math.floor((Math.floor(baseSize / 2) - 1) / 15);
+    const [originalCenter, center] = [Math.floor(baseSize / 2), Math.floor(size / 2)];
+    for (let i = 0; i < originalCenter; i++) {
+      const offset = i + Math.floor(i / 15);
+      alignment[originalCenter - i - 1] = center - offset - 1;
+      alignment[originalCenter + i] = center + offset + 1;
+    }
+  }
+  const matrix = createModuleMatrix(size, size);
+  const set = (x, y) => matrix.set(y, x, true);
+
+  // Layers spiral inwards from the outside, two modules deep, one side at a time
+  for (let i = 0, rowOffset = 0; i < layers; i++) {
+    const rowSize = (layers - i) * 4 + (compact ? 9 : 12);
+    for (let j = 0; j < rowSize; j++) {
+      for (let k = 0; k < 2; k++) {
+        const bit = (side) => messageBits[rowOffset + rowSize * side * 2 + j * 2 + k];
+        if (bit(0)) set(alignment[i * 2 + k], alignment[i * 2 + j]);
+        if (bit(1)) set(alignment[i * 2 + j], alignment[baseSize - 1 - i * 2 - k]);
+        if (bit(2)) set(alignment[baseSize - 1 - i * 2 - k], alignment[baseSize - 1 - i * 2 - j]);
+        if (bit(3)) set(alignment[baseSize - 1 - i * 2 - j], alignment[i * 2 + k]);
+      }
+    }
+    rowOffset += rowSize * 8;
+  }
+
+  const center = Math.floor(size / 2);
+  if (compact) {
+    for (let i = 0; i < 7; i++) {
+      const offset = center - 3 + i;
+      if (modeMessage[i]) set(offset, center - 5);
+      if (modeMessage[i + 7]) set(center + 5, offset);
+      if (modeMessage[20 - i]) set(offset, center + 5);
+      if (modeMessage[27 - i]) set(center - 5, offset);
+    }
+  } else {
+    for (let i = 0; i < 10; i++) {
+      const offset = center - 5 + i + Math.floor(i / 5);
+      if (modeMessage[i]) set(offset, center - 7);
+      if (modeMessage[i + 10]) set(center + 7, offset);
+      if (modeMessage[29 - i]) set(offset, center + 7);
+      if (modeMessage[39 - i]) set(center - 7, offset);
+    }
+    for (let i = 0, j = 0; i < Math.floor(baseSize / 2) - 1; i += 15, j += 16) {
+      for (let k = center & 1; k < size; k += 2) {
+        set(center - j, k);
+        set(center + j, k);
+        set(k, center - j);
+        set(k, center + j);
+      }
+    }
+  }
+
+  // Bull's-eye finder rings and the orientation marks at its corners
+  const eyeSize = compact ? 5 : 7;
+  for (let i = 0; i < eyeSize; i += 2) {
+    for (let j = center - i; j <= center + i; j++) {
+      set(j, center - i);
+      set(j, center + i);
+      set(center - i, j);
+      set(center + i, j);
+    }
+  }
+  [[-eyeSize, -eyeSize], [-eyeSize + 1, -eyeSize], [-eyeSize, -eyeSize + 1], [eyeSize, -eyeSize], [eyeSize, -eyeSize + 1], [eyeSize, eyeSize - 1]]
+    .forEach(([dx, dy]) => set(center + dx, center + dy));
+
+  return {
+    symbology: 'aztec',
+    version: `${compact ? 'compact' : 'full'}-${layers}`,
+    compact,
+    layers,
+    ecPercent,
+    segments: [{ mode: 'text', length: bytes.length, bits: dataBits.length }],
+    capacity: { dataCodewords: maxDataWords, errorCorrectionCodewords: Math.floor(totalBits / wordSize) - maxDataWords, totalBits: maxDataWords * wordSize },
+    modules: matrix
+  };
+}
+
+// Utility function to encode a run of printable ASCII, tab, CR and LF in PDF417 text compaction: values 0-29 in
+// four submodes, two to a codeword. Returns the submode at the end of the run, which a byte shift keeps
+function encodePDF417TextRun(bytes, submode, codewords) {
+  const values = [];
+  for (let i = 0; i < bytes.length;) {
+    const char = String.fromCharCode(bytes[i]);
+    const upper = char === ' ' || (char >= 'A' && char <= 'Z');
+    const lower = char === ' ' || (char >= 'a' && char <= 'z');
+    const letter = char === ' ' ? 26 : char.toUpperCase().charCodeAt(0) - 65;
+    const mixed = char === ' ' ? 26 : PDF417_MIXED.indexOf(char);
+    const punctuation = PDF417_PUNCTUATION.indexOf(char);
+    const punctuationNext = i + 1 < bytes.length && PDF417_PUNCTUATION.includes(String.fromCharCode(bytes[i + 1]));
+    
+    // A latch leaves the character for the next pass in the new submode. Upper case from lower (27) and
+    // punctuation from any other submode (29) are shifts for one character
+    let latch = null;
+    if (submode === 'alpha' && !upper) {
+      latch = lower ? ['lower', 27] : (mixed >= 0 ? ['mixed', 28] : null);
+    } else if (submode === 'lower' && !lower) {
+      latch = !upper && mixed >= 0 ? ['mixed', 28] : null;
+    } else if (submode === 'mixed' && mixed < 0) {
+      latch = upper ? ['alpha', 28] : (lower ? ['lower', 27] : (punctuationNext ? ['punctuation', 25] : null));
+    } else if (submode === 'punctuation' && punctuation < 0) {
+      latch = ['alpha', 29];
+    }
+    
+    if (latch) {
+      [submode] = latch;
+      values.push(latch[1]);
+      continue;
+    }
+    
+    if (submode === 'mixed') {
+      values.push(mixed >= 0 ? mixed : [29, punctuation]);
+    } else if (submode === 'punctuation') {
+      values.push(punctuation);
+    } else if (submode === 'alpha' ? upper : lower) {
+      values.push(letter);
+    } else {
+      values.push(upper ? [27, letter] : [29, punctuation]);
+    }
+    i++;
+  }
+  
+  // An odd value count is padded with a punctuation shift
+  const flat = values.flat();
+  if (flat.length % 2) flat.push(29);
+  for (let i = 0; i < flat.length; i += 2) {
+    codewords.push(flat[i] * 30 + flat[i + 1]);
+  }
+  return submode;
+}
+
+// Utility function to encode bytes as PDF417 data codewords, starting in text compaction. Runs of 13 or more
+// digits use numeric compaction and runs of 5 or more text characters text compaction; the rest is byte compaction
+function encodePDF417Data(bytes) {
+  const isDigit = (byte) => byte >= 0x30 && byte <= 0x39;
+  const isText = (byte) => (byte >= 0x20 && byte <= 0x7e) || byte === 9 || byte === 10 || byte === 13;
+  const digitRun = (start) => {
+    let end = start;
+    while (end < bytes.length && isDigit(bytes[end])) end++;
+    return end - start;
+  };
+  // Digits count as text unless 13 or more of them follow each other
+  const textRun = (start) => {
+    let end = start;
+    while (end < bytes.length && isText(bytes[end])) {
+      const digits = digitRun(end);
+      if (digits >= 13) break;
+      end += digits || 1;
+    }
+    return end - start;
+  };
+  const byteRun = (start) => {
+    let end = start;
+    while (end < bytes.length && digitRun(end) < 13 && textRun(end) < 5) end++;
+    return Math.max(1, end - start);
+  };
+  
+  const codewords = [];
+  const segments = [];
+  let mode = 'text';
+  let submode = 'alpha';
+  for (let i = 0; i < bytes.length;) {
+    const start = codewords.length;
+    let count = digitRun(i);
+    let compaction = 'byte';
+    
+    if (count >= 13) {
+      // Groups of up to 44 digits, with a leading 1, in base 900
+      codewords.push(902);
+      for (let j = 0; j < count; j += 44) {
+        let value = BigInt(`1${Buffer.from(bytes.slice(i + j, i + Math.min(count, j + 44))).toString('latin1')}`);
+        const group = [];
+        while (value > 0n) {
+          group.unshift(Number(value % 900n));
+          value /= 900n;
+        }
+        codewords.push(...group);
+      }
+      mode = compaction = 'numeric';
+    } else if ((count = textRun(i)) >= 5) {
+      if (mode !== 'text') {
+        codewords.push(900);
+        submode = 'alpha';
+      }
+      submode = encodePDF417TextRun(bytes.slice(i, i + count), submode, codewords);
+      mode = compaction = 'text';
+    } else {
+      // A single byte in text compaction is shifted; longer runs latch, with 924 when they are whole groups of 6
+      count = byteRun(i);
+      if (count === 1 && mode === 'text') {
+        codewords.push(913, bytes[i]);
+      } else {
+        codewords.push(count % 6 === 0 ? 924 : 901);
+        let j = 0;
+        for (; j + 6 <= count; j += 6) {
+          let value = bytes.slice(i + j, i + j + 6).reduce((total, byte) => total * 256 + byte, 0);
+          const group = [];
+          for (let k = 0; k < 5; k++) {
+            group.unshift(value % 900);
+            value = Math.floor(value / 900);
+          }
+          codewords.push(...group);
+        }
+        codewords.push(...bytes.slice(i + j, i + count));
+        mode = 'byte';
+      }
+    }
+    
+    segments.push({ mode: compaction, length: count, codewords: codewords.length - start });
+    i += count;
+  }
+  return { codewords, segments };
+}
+
+// Utility function to compute PDF417 error correction codewords: Reed-Solomon over the integers modulo 929,
+// with generator roots 3^1..3^count
+function pdf417CheckWords(data, count) {
+  let generator = [1];
+  for (let i = 0, root = 3; i < count; i++, root = (root * 3) % 929) {
+    const next = [...generator, 0];
+    generator.forEach((coefficient, j) => {
+      next[j + 1] = (next[j + 1] + 929 - ((coefficient * root) % 929)) % 929;
+    });
+    generator = next;
+  }
+  
+  const remainder = new Array(count).fill(0);
+  for (const word of data) {
+    const factor = (word + remainder.shift()) % 929;
+    remainder.push(0);
+    for (let j = 0; j < count; j++) {
+      remainder[j] = (remainder[j] + 929 - ((generator[j + 1] * factor) % 929)) % 929;
+    }
+  }
+  return remainder.map((word) => (929 - word) % 929);
+}
+
+// Utility function to encode text as a PDF417 symbol. Without a column count, the symbol is laid out closest to
+// three times as wide as it is tall; the security level defaults to the recommended minimum for the data length
+function encodePDF417(text, { columns: pinnedColumns, securityLevel: pinnedLevel }) {
+  const { bytes, eci } = getBarcodeBytes(text);
+  const encoded = encodePDF417Data(bytes);
+  const data = [...(eci ? [927, eci] : []), ...encoded.codewords];
+  const securityLevel = pinnedLevel !== undefined ? pinnedLevel : (data.length <= 40 ? 2 : data.length <= 160 ? 3 : data.length <= 320 ? 4 : 5);
+  const ecCount = 2 ** (securityLevel + 1);
+  
+  // 3-90 rows of 1-30 columns; the symbol length descriptor counts itself, the data and any padding, up to 928
+  const candidates = (pinnedColumns ? [pinnedColumns] : Array.from({ length: 30 }, (_, i) => i + 1))
+    .map((columns) => ({ columns, rows: Math.max(3, Math.ceil((data.length + 1 + ecCount) / columns)) }))
+    .filter(({ columns, rows }) => rows <= 90 && columns * rows - ecCount <= 928);
+  if (!candidates.length) {
+    throw Object.assign(new Error(pinnedColumns
+      ? `Data does not fit in a PDF417 symbol with ${pinnedColumns} columns at security level ${securityLevel}`
+      : `Data is too long for PDF417 at security level ${securityLevel}`), {
+      status: 422,
+      details: { symbology: 'pdf417', columns: pinnedColumns || null, securityLevel, dataCodewords: data.length }
+    });
+  }
+  const aspect = ({ columns, rows }) => Math.abs((17 * columns + 69) / (rows * PDF417_ROW_HEIGHT) - 3);
+  const { columns, rows } = candidates.reduce((best, candidate) => (aspect(candidate) < aspect(best) ? candidate : best));
+  
+  // Padding codewords are 900 (latch to text)
+  const dataCount = columns * rows - ecCount;
+  const codewords = [dataCount, ...data, ...new Array(dataCount - 1 - data.length).fill(900)];
+  codewords.push(...pdf417CheckWords(codewords, ecCount));
+  
+  // Rows use the clusters 0, 3 and 6 in turn. The row indicators on both sides hold the row count, column count and
+  // security level, one of them in each cluster
+  const width = 17 * (columns + 4) + 1;
+  const matrix = createModuleMatrix(width, rows * PDF417_ROW_HEIGHT);
+  const rowInfo = [Math.floor((rows - 1) / 3), securityLevel * 3 + ((rows - 1) % 3), columns - 1];
+  for (let row = 0; row < rows; row++) {
+    const cluster = row % 3;
+    const base = Math.floor(row / 3) * 30;
+    const patterns = [
+      [PDF417_START, 17],
+      [PDF417_PATTERNS[cluster][base + rowInfo[cluster]], 17],
+      ...codewords.slice(row * columns, (row + 1) * columns).map((word) => [PDF417_PATTERNS[cluster][word], 17]),
+      [PDF417_PATTERNS[cluster][base + rowInfo[(cluster + 2) % 3]], 17],
+      [PDF417_STOP, 18]
+    ];
+    
+    let x = 0;
+    for (const [pattern, length] of patterns) {
+      for (let bit = length - 1; bit >= 0; bit--, x++) {
+        for (let y = 0; y < PDF417_ROW_HEIGHT; y++) {
+          matrix.set(row * PDF417_ROW_HEIGHT + y, x, ((pattern >> bit) & 1) === 1);
+        }
+      }
+    }
+  }
+  
+  return {
+    symbology: 'pdf417',
+    version: `${columns}x${rows}`,
+    columns,
+    rows,
+    securityLevel,
+    // Codewords carry log2(929) bits; capacity counts them as 10 bits so the percentages are codeword ratios
+    segments: [
+      ...(eci ? [{ mode: 'eci', length: 1, bits: 20 }] : []),
+      ...encoded.segments.map(({ mode, length, codewords: count }) => ({ mode, length, bits: count * 10 }))
+    ],
+    capacity: { dataCodewords: dataCount - 1, errorCorrectionCodewords: ecCount, totalBits: (dataCount - 1) * 10 },
+    modules: matrix
+  };
+}
+
+// Utility function to calculate a GTIN (EAN/UPC/ITF-14) check digit: weights 3 and 1 from the right
+function gtinCheckDigit(digits) {
+  const sum = [...digits].reverse().reduce((total, digit, i) => total + Number(digit) * (i % 2 === 0 ? 3 : 1), 0);
+  return String((10 - (sum % 10)) % 10);
+}
+
+// Utility function to validate GTIN digits, adding the check digit or checking the one given
+function completeGTIN(digits, length, name) {
+  const invalid = (message) => Object.assign(new Error(message), { status: 400 });
+  if (!/^\d+$/.test(digits) || (digits.length !== length - 1 && digits.length !== length)) {
+    throw invalid(`${name} needs ${length - 1} digits, or ${length} with the check digit`);
+  }
+  const check = gtinCheckDigit(digits.slice(0, length - 1));
+  if (digits.length === length && digits[length - 1] !== check) {
+    throw Object.assign(new Error(`Invalid ${name} check digit ${digits[length - 1]}: expected ${check}`), {
+      status: 400,
+      details: { expectedCheckDigit: check }
+    });
+  }
+  return { digits: digits.slice(0, length - 1) + check, checkDigit: check };
+}
+
+// Utility function to expand bar/space widths (starting with a bar) into a module string
+function widthsToModules(widths) {
+  return [...widths].map((width, i) => (i % 2 === 0 ? '1' : '0').repeat(Number(width))).join('');
+}
+
+// Utility function to expand narrow/wide patterns (starting with a bar) into a module string
+function narrowWideToModules(pattern, wide) {
+  return widthsToModules([...pattern].map((element) => (element === 'w' ? wide : 1)).join(''));
+}
+
+// Utility function to encode ASCII text as Code 128, switching between code sets A, B and C
+function encodeCode128(text) {
+  if (!/^[\x00-\x7f]+$/.test(text)) {
+    throw Object.assign(new Error('Code 128 supports ASCII characters only'), { status: 400 });
+  }
+
+  const values = [];
+  let set = null;
+  const switchTo = (next) => {
+    values.push(set === null ? { A: 103, B: 104, C: 105 }[next] : { A: 101, B: 100, C: 99 }[next]);
+    set = next;
+  };
+  const pushChar = (code) => {
+    const needed = code < 32 ? 'A' : code >= 96 ? 'B' : null;
+    if (set === null || set === 'C' || (needed && needed !== set)) switchTo(needed || 'B');
+    values.push(set === 'A' && code < 32 ? code + 64 : code - 32);
+  };
+
+  // Code set C packs digit pairs: used for runs of 4 or more digits at either end (2 if the data is
+  // all digits) and 6 or more in the middle; an odd digit goes before the run in the current set
+  for (let i = 0; i < text.length;) {
+    let run = 0;
+    while (/\d/.test(text[i + run] || '')) run++;
+    const [atStart, atEnd] = [i === 0, i + run === text.length];
+    if (set !== 'C' && run >= (atStart && atEnd ? 2 : atStart || atEnd ? 4 : 6)) {
+      if (run % 2 === 1 && !atStart) {
+        pushChar(text.charCodeAt(i++));
+        run--;
+      }
+      switchTo('C');
+    }
+    if (set === 'C' && run >= 2) {
+      values.push(Number(text.substr(i, 2)));
+      i += 2;
+    } else {
+      pushChar(text.charCodeAt(i++));
+    }
+  }
+
+  const checksum = values.reduce((sum, value, i) => sum + value * Math.max(i, 1), 0) % 103;
+  return {
+    symbology: 'code128',
+    data: text,
+    checkDigit: null,
+    modules: [...values, checksum].map((value) => widthsToModules(CODE128_PATTERNS[value])).join('') + widthsToModules(CODE128_PATTERNS[106]),
+    quietZone: [10, 10],
+    texts: [{ content: text.replace(/[\x00-\x1f\x7f]/g, ' '), at: 'center' }]
+  };
+}
+
+// Utility function to encode EAN-13, or UPC-A as the EAN-13 symbol with a leading 0
+function encodeEAN13(text, upc = false) {
+  const { digits, checkDigit } = completeGTIN(text, upc ? 12 : 13, upc ? 'UPC-A' : 'EAN-13');
+  const ean = upc ? `0${digits}` : digits;
+  const parity = EAN_PARITIES[Number(ean[0])];
+  const right = (digit) => [...EAN_L_PATTERNS[digit]].map((bit) => (bit === '1' ? '0' : '1')).join('');
+  const left = (digit, i) => (parity[i] === 'L' ? EAN_L_PATTERNS[digit] : [...right(digit)].reverse().join(''));
+
+  const modules = '101' + [...ean.slice(1, 7)].map(left).join('') + '01010' + [...ean.slice(7)].map(right).join('') + '101';
+
+  // Guard bars (and UPC-A's first and last digits) extend down between the digit groups
+  const guards = [[0, 3], [45, 50], [92, 95], ...(upc ? [[3, 10], [85, 92]] : [])];
+  return {
+    symbology: upc ? 'upca' : 'ean13',
+    data: digits,
+    checkDigit,
+    modules,
+    guards,
+    quietZone: upc ? [9, 9] : [11, 7],
+    texts: upc
+      ? [{ content: digits[0], x: -5, small: true }, { content: digits.slice(1, 6), x: 27.5 }, { content: digits.slice(6, 11), x: 67.5 }, { content: digits[11], x: 100, small: true }]
+      : [{ content: digits[0], x: -6 }, { content: digits.slice(1, 7), x: 24 }, { content: digits.slice(7), x: 71 }]
+  };
+}
+
+// Utility function to encode Code 39 with 3:1 wide bars, start/stop asterisks and an optional mod 43 check character
+function encodeCode39(text, withCheck) {
+  if (!/^[0-9A-Z\-. $/+%]+$/.test(text)) {
+    throw Object.assign(new Error('Code 39 supports 0-9, A-Z, space and - . $ / + % only'), { status: 400 });
+  }
+  const check = withCheck ? CODE39_CHARS[[...text].reduce((sum, char) => sum + CODE39_CHARS.indexOf(char), 0) % 43] : null;
+  const data = text + (check || '');
+
+  // Characters are separated by a narrow space
+  return {
+    symbology: 'code39',
+    data,
+    checkDigit: check,
+    modules: [...`*${data}*`].map((char) => narrowWideToModules(CODE39_PATTERNS[char], 3)).join('0'),
+    quietZone: [10, 10],
+    texts: [{ content: data, at: 'center' }]
+  };
+}
+
+// Utility function to encode ITF-14: Interleaved 2 of 5 with 3:1 wide bars and bearer bars
+function encodeITF14(text) {
+  const { digits, checkDigit } = completeGTIN(text, 14, 'ITF-14');
+  let modules = narrowWideToModules('nnnn', 3);
+  for (let i = 0; i < 14; i += 2) {
+    // The first digit of each pair is drawn in the bars, the second in the spaces
+    const [bars, spaces] = [ITF_PATTERNS[digits[i]], ITF_PATTERNS[digits[i + 1]]];
+    modules += narrowWideToModules([...bars].map((bar, j) => bar + spaces[j]).join(''), 3);
+  }
+  modules += narrowWideToModules('wnn', 3);
+
+  return {
+    symbology: 'itf14',
+    data: digits,
+    checkDigit,
+    modules,
+    bearer: 3,
+    quietZone: [10, 10],
+    texts: [{ content: digits, at: 'center' }]
+  };
+}
+
+// Utility function to check a GS1 date (YYMMDD); a day of 00 means the end of the month
+function isValidGS1Date(value) {
+  const [year, month, day] = [value.slice(0, 2), value.slice(2, 4), value.slice(4, 6)].map(Number);
+  const daysInMonth = new Date(Date.UTC(2000 + year, month, 0)).getUTCDate();
+  return month >= 1 && month <= 12 && day <= daysInMonth;
+}
+
+// Utility function to validate one GS1 element, padding GTIN-8, -12 and -13 to 14 digits
+function validateGS1Element(ai, rawValue) {
+  const definition = GS1_APPLICATION_IDENTIFIERS[ai];
+  const invalid = (message, details = {}) => Object.assign(new Error(message), { status: 400, details: { ai, ...details } });
+  if (!definition) {
+    throw invalid(`Unknown or unsupported GS1 application identifier (${ai})`);
+  }
+  if (typeof rawValue !== 'string' || rawValue === '') {
+    throw invalid(`GS1 (${ai}) ${definition.title} needs a non-empty string value`);
+  }
+
+  const [, type, variable, length] = definition.format.match(/^([NX])(\.\.)?(\d+)$/);
+  const value = ['01', '02'].includes(ai) && /^(\d{8}|\d{12,13})$/.test(rawValue) ? rawValue.padStart(14, '0') : rawValue;
+  const lengthOk = variable ? value.length <= Number(length) : value.length === Number(length);
+  const charsOk = type === 'N' ? /^\d+$/.test(value) : /^[!"%-?A-Z_a-z]+$/.test(value);
+  if (!lengthOk || !charsOk) {
+    const chars = type === 'N' ? 'digits' : 'characters from the GS1 character set (A-Z, a-z, 0-9 and !"%&\'()*+,-./:;<=>?_)';
+    throw invalid(`GS1 (${ai}) ${definition.title} must be ${variable ? 'up to ' : ''}${length} ${chars}`);
+  }
+
+  if (definition.check === 'date' && !isValidGS1Date(value)) {
+    throw invalid(`GS1 (${ai}) ${definition.title} must be a valid YYMMDD date`);
+  }
+  if (definition.check === 'check') {
+    const expected = gtinCheckDigit(value.slice(0, -1));
+    if (value.slice(-1) !== expected) {
+      throw invalid(`Invalid GS1 (${ai}) ${definition.title} check digit ${value.slice(-1)}: expected ${expected}`, { expectedCheckDigit: expected });
+    }
+  }
+
+  return { ai, title: definition.title, value };
+}
+
+// Utility function to parse gs1 as bracketed (01)...(10)... syntax or a JSON object of AIs and values
+function parseGS1Elements(input) {
+  let pairs;
+  if (typeof input === 'string' && input.trim().startsWith('(')) {
+    // A value may itself contain brackets; only (digits) opens a new element
+    const parts = input.trim().split(/\((\d{2,4})\)/);
+    if (parts[0] !== '' || parts.length < 3) {
+      throw Object.assign(new Error('Invalid gs1 parameter. Use bracketed syntax like (01)09506000134352(10)ABC123'), { status: 400 });
+    }
+    pairs = [];
+    for (let i = 1; i < parts.length; i += 2) pairs.push([parts[i], parts[i + 1]]);
+  } else {
+    let object = input;
+    if (typeof input === 'string') {
+      try {
+        object = JSON.parse(input);
+      } catch (error) {
+        object = null;
+      }
+    }
+    if (!object || typeof object !== 'object' || Array.isArray(object) || Object.keys(object).length === 0) {
+      throw Object.assign(new Error('Invalid gs1 parameter. Use a JSON object such as {"01":"09506000134352","10":"ABC123"} or bracketed (01)...(10)... syntax'), { status: 400 });
+    }
+    pairs = Object.entries(object).map(([key, value]) => [GS1_AI_NAMES[key.toLowerCase()] || key, value]);
+  }
+
+  const elements = pairs.map(([ai, value]) => validateGS1Element(ai, value));
+  const duplicate = elements.find((element, i) => elements.findIndex((other) => other.ai === element.ai) !== i);
+  if (duplicate) {
+    throw Object.assign(new Error(`GS1 (${duplicate.ai}) appears more than once`), { status: 400, details: { ai: duplicate.ai } });
+  }
+  return elements;
+}
+
+// Utility function to build the GS1 element string, with a GS (FNC1) after variable-length elements
+// that are followed by more data
+function buildGS1ElementString(elements) {
+  return elements.map(({ ai, value }, i) => {
+    const separated = i < elements.length - 1 && !GS1_PREDEFINED_LENGTH_PREFIXES.includes(ai.slice(0, 2));
+    return ai + value + (separated ? '\x1d' : '');
+  }).join('');
+}
+
+// Utility function to build a GS1 Digital Link URI: primary key and qualifiers in the path, other AIs in the query
+function buildGS1DigitalLink(elements, domain) {
+  const keys = elements.filter(({ ai }) => GS1_DIGITAL_LINK_KEYS[ai]);
+  if (keys.length !== 1) {
+    throw Object.assign(new Error(`A GS1 Digital Link needs exactly one primary key: ${Object.keys(GS1_DIGITAL_LINK_KEYS).sort().map((ai) => `(${ai})`).join(', ')}`), { status: 400 });
+  }
+
+  const qualifiers = GS1_DIGITAL_LINK_KEYS[keys[0].ai];
+  const path = [keys[0], ...qualifiers.map((ai) => elements.find((element) => element.ai === ai)).filter(Boolean)];
+  const query = elements.filter((element) => !path.includes(element));
+  const encode = ({ ai, value }) => [ai, encodeURIComponent(value)];
+  return domain + path.map((element) => `/${encode(element).join('/')}`).join('')
+    + (query.length ? `?${query.map((element) => encode(element).join('=')).join('&')}` : '');
+}
+
+// Utility function to build the QR input for a GS1 element string: the FNC1 first position indicator, then
+// qrcode's segmentation. Under FNC1 a % in alphanumeric mode stands for GS, so a literal % is doubled
+function buildGS1QRInput(data, version) {
+  return [{ fnc1: true }, ...QRSegments.fromString(data, version).map((segment) => (segment.mode === QRMode.ALPHANUMERIC
+    ? { data: segment.data.replace(/%/g, '%%'), mode: segment.mode }
+    : segment))];
+}
+
+// Utility function to read the gs1 options into the data to encode, as an FNC1 element string or a Digital Link
+function parseGS1Options(params, symbology) {
+  const gs1Format = (params.gs1format || 'fnc1').toLowerCase();
+  const domain = (params.gs1domain || GS1_DEFAULT_DOMAIN).replace(/\/+$/, '');
+  const invalid = (message) => Object.assign(new Error(message), { status: 400 });
+
+  if (['data', 'segments', 'type', 'mode', 'charset-target', 'structuredappend'].some((key) => params[key] !== undefined)) {
+    throw invalid('gs1 builds the data itself and cannot be combined with data, segments, type, mode, charset-target or structuredappend');
+  }
+  if (!['fnc1', 'digitallink'].includes(gs1Format)) {
+    throw invalid('Invalid gs1format parameter. Valid values: fnc1, digitallink');
+  }
+  if (gs1Format === 'fnc1' && symbology !== 'qr') {
+    throw invalid('gs1format=fnc1 is supported for symbology=qr only. Use gs1format=digitallink for Micro QR and rMQR');
+  }
+  if (params.gs1domain !== undefined && (gs1Format !== 'digitallink' || !/^https?:\/\/[a-z0-9.-]+(:\d+)?(\/[\w\-.~/%]*)?$/i.test(domain))) {
+    throw invalid('Invalid gs1domain parameter. Use an http or https URL without a query, with gs1format=digitallink');
+  }
+
+  // Predefined-length elements go first, so fewer FNC1 separators are needed
+  const parsed = parseGS1Elements(params.gs1);
+  const predefined = ({ ai }) => GS1_PREDEFINED_LENGTH_PREFIXES.includes(ai.slice(0, 2));
+  const elements = [...parsed.filter(predefined), ...parsed.filter((element) => !predefined(element))];
+  const elementString = elements.map(({ ai, value }) => `(${ai})${value}`).join('');
+  if (gs1Format === 'digitallink') {
+    return { format: gs1Format, elements, elementString, data: buildGS1DigitalLink(elements, domain) };
+  }
+  return { format: gs1Format, elements, elementString, data: buildGS1ElementString(elements) };
+}
+
+// Utility function to read the fields of a typed payload, with errors that name the field
+function payloadFields(type, params) {
+  const field = (name) => (params[name] === undefined || params[name] === null ? '' : String(params[name]));
+  const invalid = (name, message) => Object.assign(new Error(message), { status: 400, details: { field: name } });
+  const required = (name, hint = '') => {
+    if (field(name) === '') throw invalid(name, `type=${type} needs ${name}${hint}`);
+    return field(name);
+  };
+  return { field, invalid, required };
+}
+
+// Utility function to check an optional phone number, dropping spaces, dots, dashes and brackets
+function readPhone({ field, invalid }, name) {
+  const phone = field(name).replace(/[\s().-]/g, '');
+  if (phone && !/^\+?\d{3,20}$/.test(phone)) throw invalid(name, `${name} must be a phone number, e.g. +41 44 668 18 00`);
+  return phone;
+}
+
+// Utility function to check an optional email address (or comma-separated list)
+function readEmail({ field, invalid }, name, list = false) {
+  const addresses = field(name).split(',').map((address) => address.trim()).filter(Boolean);
+  if (addresses.some((address) => !/^[^\s@,;?&]+@[^\s@,;?&]+\.[^\s@,;?&]+$/.test(address)) || (!list && addresses.length > 1)) {
+    throw invalid(name, `${name} must be ${list ? 'a comma-separated list of email addresses' : 'an email address'}`);
+  }
+  return addresses.join(',');
+}
+
+// Utility function to check an optional absolute URI: a scheme, then no spaces or control characters
+function readURL({ field, invalid }, name) {
+  const url = field(name);
+  if (url && !/^[a-z][a-z0-9+.-]*:[^\s\x00-\x1f\x7f]+$/i.test(url)) {
+    throw invalid(name, `${name} must be an absolute URI (https://example.com) without spaces or line breaks`);
+  }
+  return url;
+}
+
+// Utility function to escape WIFI: and MECARD: field values
+function escapeMeCardText(text) {
+  return text.replace(/([\\;,:"])/g, '\\$1');
+}
+
+// Utility function to escape vCard and iCalendar text values
+function escapeContentText(text) {
+  return text.replace(/([\\;,])/g, '\\$1').replace(/\r\n|\r|\n/g, '\\n');
+}
+
+// Utility function to join vCard and iCalendar lines with CRLF, folding lines longer than 75 octets
+// without splitting a UTF-8 character
+function foldContentLines(lines) {
+  return lines.map((line) => {
+    const parts = [''];
+    let octets = 0;
+    for (const char of line) {
+      const size = Buffer.byteLength(char);
+      // Continuation lines start with a space, which counts towards the limit
+      if (octets + size > (parts.length === 1 ? 75 : 74)) {
+        parts.push('');
+        octets = 0;
+      }
+      parts[parts.length - 1] += char;
+      octets += size;
+    }
+    return parts.join('\r\n ');
+  }).join('\r\n') + '\r\n';
+}
+
+// Utility function to build a Wi-Fi network payload (WIFI:T:...;S:...;P:...;;)
+function buildWifiPayload(params) {
+  const fields = payloadFields('wifi', params);
+  const { field, invalid, required } = fields;
+  const ssid = required('ssid');
+  const encryption = required('encryption', ' (WPA, WEP or nopass)').toUpperCase();
+  const password = field('password');
+  const hidden = ['true', '1'].includes(field('hidden'));
+
+  if (!['WPA', 'WEP', 'NOPASS'].includes(encryption)) {
+    throw invalid('encryption', 'Invalid encryption. Valid values: WPA (also WPA2 and WPA3 personal), WEP, nopass');
+  }
+  if (encryption === 'NOPASS' && password) {
+    throw invalid('password', 'An open network (encryption=nopass) has no password');
+  }
+  if (encryption === 'WPA' && !(/^.{8,63}$/.test(password) || /^[0-9a-f]{64}$/i.test(password))) {
+    throw invalid('password', 'A WPA password must be 8-63 characters, or 64 hex digits');
+  }
+  if (encryption === 'WEP' && !(/^(.{5}|.{13})$/.test(password) || /^([0-9a-f]{10}|[0-9a-f]{26})$/i.test(password))) {
+    throw invalid('password', 'A WEP key must be 5 or 13 characters, or 10 or 26 hex digits');
+  }
+
+  const type = encryption === 'NOPASS' ? 'nopass' : encryption;
+  return `WIFI:T:${type};S:${escapeMeCardText(ssid)};${password ? `P:${escapeMeCardText(password)};` : ''}${hidden ? 'H:true;' : ''};`;
+}
+
+// Utility function to build a contact as a vCard 3.0 or a MeCard
+function buildContactPayload(type, params) {
+  const fields = payloadFields(type, params);
+  const { field, invalid } = fields;
+  const [firstName, lastName] = [field('firstname'), field('lastname')];
+  if (!firstName && !lastName) {
+    throw invalid('firstname', `type=${type} needs firstname or lastname`);
+  }
+  const contact = {
+    org: field('org'),
+    title: field('title'),
+    phone: readPhone(fields, 'phone'),
+    email: readEmail(fields, 'email'),
+    url: readURL(fields, 'url'),
+    address: ['street', 'city', 'region', 'postcode', 'country'].map(field),
+    note: field('note')
+  };
+
+  if (type === 'mecard') {
+    // MeCard has no title; the address follows the MeCard order after an empty PO box and extended address
+    const entries = [
+      ['N', [lastName, firstName].map(escapeMeCardText).join(',')],
+      ['ORG', escapeMeCardText(contact.org)],
+      ['TEL', contact.phone],
+      ['EMAIL', contact.email],
+      ['URL', escapeMeCardText(contact.url)],
+      ['ADR', contact.address.some(Boolean) ? ['', '', ...contact.address].map(escapeMeCardText).join(',') : ''],
+      ['NOTE', escapeMeCardText(contact.note)]
+    ];
+    return `MECARD:${entries.filter(([, value]) => value).map(([key, value]) => `${key}:${value};`).join('')};`;
+  }
+
+  const lines = [
+    'BEGIN:VCARD',
+    'VERSION:3.0',
+    `N:${escapeContentText(lastName)};${escapeContentText(firstName)};;;`,
+    `FN:${escapeContentText([firstName, lastName].filter(Boolean).join(' '))}`,
+    contact.org && `ORG:${escapeContentText(contact.org)}`,
+    contact.title && `TITLE:${escapeContentText(contact.title)}`,
+    contact.phone && `TEL:${contact.phone}`,
+    contact.email && `EMAIL:${contact.email}`,
+    contact.url && `URL:${contact.url}`,
+    contact.address.some(Boolean) && `ADR:;;${contact.address.map(escapeContentText).join(';')}`,
+    contact.note && `NOTE:${escapeContentText(contact.note)}`,
+    'END:VCARD'
+  ];
+  return foldContentLines(lines.filter(Boolean));
+}
+
+// Utility function to build a geo: URI from latitude, longitude and an optional altitude
+function buildGeoPayload(params) {
+  const { field, invalid, required } = payloadFields('geo', params);
+  const coordinate = (name, limit) => {
+    const value = required(name);
+    if (!/^-?\d+(\.\d+)?$/.test(value) || Math.abs(Number(value)) > limit) {
+      throw invalid(name, `${name} must be a number from -${limit} to ${limit}`);
+    }
+    return value;
+  };
+  const altitude = field('altitude');
+  if (altitude && !/^-?\d+(\.\d+)?$/.test(altitude)) {
+    throw invalid('altitude', 'altitude must be a number of metres');
+  }
+  return `geo:${coordinate('latitude', 90)},${coordinate('longitude', 180)}${altitude ? `,${altitude}` : ''}`;
+}
+
+// Utility function to build an SMS payload (SMSTO:number:message)
+function buildSMSPayload(params) {
+  const fields = payloadFields('sms', params);
+  fields.required('phone');
+  return `SMSTO:${readPhone(fields, 'phone')}:${fields.field('message')}`;
+}
+
+// Utility function to build a mailto: URI with a percent-encoded subject and body
+function buildEmailPayload(params) {
+  const fields = payloadFields('email', params);
+  fields.required('to');
+  const query = ['subject', 'body']
+    .filter((name) => fields.field(name))
+    .map((name) => `${name}=${encodeURIComponent(fields.field(name).replace(/\r?\n/g, '\r\n'))}`);
+  return `mailto:${readEmail(fields, 'to', true)}${query.length ? `?${query.join('&')}` : ''}`;
+}
+
+// Utility function to convert an ISO 8601 date or date-time to an iCalendar value: a DATE, a UTC
+// time when a zone is given, or a floating local time
+function toICalendarDate(value, name, invalid) {
+  const match = value.match(/^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2})(?::(\d{2}))?(Z|[+-]\d{2}:\d{2})?)?$/);
+  const [, year, month, day, hour, minute, second = '00', zone] = match || [];
+  const check = match && new Date(Date.UTC(year, month - 1, day, hour || 0, minute || 0, second));
+  if (!check || check.getUTCMonth() !== month - 1 || check.getUTCDate() !== Number(day) || check.getUTCHours() !== Number(hour || 0)
+    || check.getUTCMinutes() !== Number(minute || 0)) {
+    throw invalid(name, `${name} must be an ISO 8601 date (2026-10-19) or date-time (2026-10-19T14:30, 2026-10-19T14:30:00+02:00)`);
+  }
+
+  // UTC offsets run from -12:00 to +14:00 in practice; anything past 14 hours is a typo
+  const [offsetHours, offsetMinutes] = zone && zone !== 'Z' ? zone.slice(1).split(':').map(Number) : [0, 0];
+  if (offsetHours > 14 || offsetMinutes > 59) {
+    throw invalid(name, `${name} has an invalid UTC offset ${zone}. Offsets are at most 14:00 either way`);
+  }
+
+  if (hour === undefined) return { kind: 'date', text: `${year}${month}${day}` };
+  if (!zone) return { kind: 'floating', text: `${year}${month}${day}T${hour}${minute}${second}` };
+  return { kind: 'utc', text: new Date(value).toISOString().replace(/[-:]|\.\d+/g, '') };
+}
+
+// Utility function to build a calendar event (BEGIN:VEVENT ... END:VEVENT)
+function buildEventPayload(params) {
+  const { field, invalid, required } = payloadFields('event', params);
+  const summary = required('summary');
+  const start = toICalendarDate(required('start'), 'start', invalid);
+  const end = field('end') ? toICalendarDate(field('end'), 'end', invalid) : null;
+
+  if (end && end.kind !== start.kind) {
+    throw invalid('end', 'start and end must both be dates, both have a time zone, or both have none');
+  }
+  if (end && end.text <= start.text) {
+    throw invalid('end', 'end must be after start');
+  }
+
+  const dateLine = (key, date) => (date.kind === 'date' ? `${key};VALUE=DATE:${date.text}` : `${key}:${date.text}`);
+  const lines = [
+    'BEGIN:VEVENT',
+    `SUMMARY:${escapeContentText(summary)}`,
+    dateLine('DTSTART', start),
+    end && dateLine('DTEND', end),
+    field('location') && `LOCATION:${escapeContentText(field('location'))}`,
+    field('description') && `DESCRIPTION:${escapeContentText(field('description'))}`,
+    'END:VEVENT'
+  ];
+  return foldContentLines(lines.filter(Boolean));
+}
+
+// Utility function to calculate an ISO 7064 mod 97 remainder, with letters counted as 10-35
+function mod97(text) {
+  const digits = [...text].map((char) => parseInt(char, 36)).join('');
+  return [...digits].reduce((remainder, digit) => (remainder * 10 + Number(digit)) % 97, 0);
+}
+
+// Utility function to check an IBAN (spaces allowed) for a SEPA country, length and check digits
+function readIBAN({ invalid, required }, name, countries = Object.keys(SEPA_IBAN_LENGTHS)) {
+  const iban = required(name).replace(/\s/g, '').toUpperCase();
+  const country = iban.slice(0, 2);
+  if (!/^[A-Z]{2}\d{2}[A-Z0-9]+$/.test(iban) || !countries.includes(country)) {
+    throw invalid(name, `${name} must be an IBAN from ${countries.length > 2 ? 'a SEPA country' : countries.join(' or ')}`);
+  }
+  if (iban.length !== SEPA_IBAN_LENGTHS[country] || mod97(iban.slice(4) + iban.slice(0, 4)) !== 1) {
+    throw invalid(name, `${name} is not a valid ${country} IBAN: check the length and check digits`);
+  }
+  return iban;
+}
+
+// Utility function to check an ISO 11649 creditor reference (RF and two check digits)
+function isCreditorReference(reference) {
+  return /^RF\d{2}[A-Z0-9]{1,21}$/.test(reference) && mod97(reference.slice(4) + reference.slice(0, 4)) === 1;
+}
+
+// Utility function to calculate the recursive mod 10 check digit of a Swiss QR reference
+function qrReferenceCheckDigit(digits) {
+  const table = [0, 9, 4, 6, 8, 2, 7, 1, 3, 5];
+  const carry = [...digits].reduce((previous, digit) => table[(previous + Number(digit)) % 10], 0);
+  return String((10 - carry) % 10);
+}
+
+// Utility function to check an optional payment amount, returned with two decimals
+function readAmount({ field, invalid }, name) {
+  const amount = field(name);
+  if (!amount) return '';
+  if (!/^\d{1,9}(\.\d{1,2})?$/.test(amount) || Number(amount) < 0.01) {
+    throw invalid(name, `${name} must be from 0.01 to 999999999.99, with at most two decimals`);
+  }
+  return Number(amount).toFixed(2);
+}
+
+// Utility function to check the length of an optional text field
+function readText({ field, invalid }, name, maxLength) {
+  const text = field(name);
+  if ([...text].length > maxLength) throw invalid(name, `${name} must be at most ${maxLength} characters`);
+  return text;
+}
+
+// Utility function to build an EPC069-12 SEPA credit transfer payload (version 002, UTF-8)
+function buildEPCPayload(params) {
+  const fields = payloadFields('epc', params);
+  const { field, invalid, required } = fields;
+  required('name');
+  const iban = readIBAN(fields, 'iban');
+  const bic = field('bic').replace(/\s/g, '').toUpperCase();
+  const purpose = field('purpose').toUpperCase();
+  const reference = field('reference').replace(/\s/g, '').toUpperCase();
+  const message = readText(fields, 'message', 140);
+
+  // Elements are separated by line breaks, so text is one line of the Latin characters SEPA accepts
+  const notLatin = ['name', 'message', 'info'].find((name) => !PAYMENT_TEXT.test(field(name)));
+  if (notLatin) {
+    throw invalid(notLatin, `${notLatin} must be a single line of Latin characters (EPC069-12). Line breaks and control characters are not allowed`);
+  }
+  if (bic && !/^[A-Z]{6}[A-Z2-9][A-NP-Z0-9]([A-Z0-9]{3})?$/.test(bic)) {
+    throw invalid('bic', 'bic must be an 8 or 11 character BIC');
+  }
+  if (purpose && !/^[A-Z0-9]{4}$/.test(purpose)) {
+    throw invalid('purpose', 'purpose must be a 4 character ISO 20022 purpose code');
+  }
+  if (reference && !isCreditorReference(reference)) {
+    throw invalid('reference', 'reference must be an ISO 11649 creditor reference (RF and check digits)');
+  }
+  if (reference && message) {
+    throw invalid('message', 'Use either reference or message, not both');
+  }
+
+  const amount = readAmount(fields, 'amount');
+  const lines = [
+    'BCD', '002', '1', 'SCT', bic, readText(fields, 'name', 70), iban, amount && `EUR${amount}`,
+    purpose, reference, message, readText(fields, 'info', 70)
+  ];
+  // The last populated element is not followed by a separator
+  while (!lines[lines.length - 1]) lines.pop();
+
+  const data = lines.join('\n');
+  if (Buffer.byteLength(data) > 331) {
+    throw invalid('message', `The EPC payload is ${Buffer.byteLength(data)} bytes, over the 331 byte limit. Shorten the name or message`);
+  }
+  return data;
+}
+
+// Utility function to build a Swiss QR-bill payload (SPC 0200) with structured addresses
+function buildSwissQRPayload(params) {
+  const fields = payloadFields('swissqr', params);
+  const { field, invalid, required } = fields;
+  const iban = readIBAN(fields, 'iban', ['CH', 'LI']);
+  const currency = (field('currency') || 'CHF').toUpperCase();
+  const reference = field('reference').replace(/\s/g, '').toUpperCase();
+
+  // Text must stay within the Latin character set of the Swiss payment standards
+  const notLatin = Object.keys(params).find((key) => typeof params[key] === 'string' && !PAYMENT_TEXT.test(params[key]));
+  if (notLatin) {
+    throw invalid(notLatin, `${notLatin} contains characters outside the Latin character set of the Swiss QR-bill`);
+  }
+
+  // Addresses are structured (type S): name, street, building number, postcode, town and country
+  const address = (prefix, optional) => {
+    const names = ['name', 'street', 'building', 'postcode', 'city', 'country'].map((name) => prefix + name);
+    if (optional && names.every((name) => !field(name))) return ['', '', '', '', '', '', ''];
+    [names[0], names[3], names[4], names[5]].forEach((name) => required(name));
+    if (!/^[A-Z]{2}$/.test(field(names[5]))) throw invalid(names[5], `${names[5]} must be a two-letter ISO country code`);
+    return ['S', readText(fields, names[0], 70), readText(fields, names[1], 70), readText(fields, names[2], 16),
+      readText(fields, names[3], 16), readText(fields, names[4], 35), field(names[5])];
+  };
+
+  if (!['CHF', 'EUR'].includes(currency)) {
+    throw invalid('currency', 'currency must be CHF or EUR');
+  }
+
+  // A QR-IBAN (institution ID 30000-31999) takes a QR reference; other IBANs a creditor reference or none
+  const qrIBAN = Number(iban.slice(4, 9)) >= 30000 && Number(iban.slice(4, 9)) <= 31999;
+  let referenceType = 'NON';
+  if (qrIBAN) {
+    if (!/^\d{27}$/.test(reference)) {
+      throw invalid('reference', 'A QR-IBAN needs a 27-digit QR reference');
+    }
+    const expected = qrReferenceCheckDigit(reference.slice(0, 26));
+    if (reference[26] !== expected) {
+      throw Object.assign(invalid('reference', `Invalid QR reference check digit ${reference[26]}: expected ${expected}`), {
+        details: { field: 'reference', expectedCheckDigit: expected }
+      });
+    }
+    referenceType = 'QRR';
+  } else if (reference) {
+    if (!isCreditorReference(reference)) {
+      throw invalid('reference', 'reference must be an ISO 11649 creditor reference (RF and check digits); QR references need a QR-IBAN');
+    }
+    referenceType = 'SCOR';
+  }
+
+  const message = readText(fields, 'message', 140);
+  const billInfo = readText(fields, 'billinfo', 140);
+  if ([...message].length + [...billInfo].length > 140) {
+    throw invalid('billinfo', 'message and billinfo together must be at most 140 characters');
+  }
+
+  const lines = [
+    'SPC', '0200', '1', iban, ...address('', false), '', '', '', '', '', '', '',
+    readAmount(fields, 'amount'), currency, ...address('debtor', true),
+    referenceType, reference, message, 'EPD', ...(billInfo ? [billInfo] : [])
+  ];
+  const data = lines.join('\n');
+  if ([...data].length > 997) {
+    throw invalid('message', 'The QR-bill payload is over the 997 character limit');
+  }
+  return data;
+}
+
+// Utility function to place the Swiss cross rectangles in module coordinates at the centre of a symbol
+function getSwissCrossRects(symbolSize) {
+  const side = symbolSize * SWISS_CROSS_RATIO;
+  const start = (symbolSize - side) / 2;
+  return SWISS_CROSS_RECTS.map(({ x, y, width, height, dark }) => ({
+    x: start + x * side, y: start + y * side, width: width * side, height: height * side, dark
+  }));
+}
+
+// Utility function to draw Swiss cross rectangles as SVG elements, scaled and offset
+function swissCrossSVGElements(rects, { offset = 0, scale = 1, color, bgcolor }) {
+  return rects.map(({ x, y, width, height, dark }) => (
+    `<rect x="${offset + x * scale}" y="${offset + y * scale}" width="${width * scale}" height="${height * scale}" fill="${svgColor(dark ? color : bgcolor)}"/>`
+  )).join('');
+}
+
+// Utility function to draw the Swiss cross as an SVG logo for raster output
+function generateSwissCrossSVG(color, bgcolor) {
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="700" height="700" viewBox="0 0 700 700">${swissCrossSVGElements(SWISS_CROSS_RECTS, { scale: 700, color, bgcolor })}</svg>`;
+}
+
+// Utility function to build the data for a typed payload (type=wifi, vcard, mecard, geo, sms, email, event,
+// epc or swissqr); payment payloads also fix the ecc level
+function buildTypedPayload(params) {
+  const type = String(params.type).toLowerCase();
+  if (['data', 'segments', 'gs1'].some((key) => params[key] !== undefined)) {
+    throw Object.assign(new Error('type builds the data itself and cannot be combined with data, segments or gs1'), { status: 400 });
+  }
+
+  switch (type) {
+    case 'wifi':
+      return { type, data: buildWifiPayload(params) };
+    case 'vcard':
+    case 'mecard':
+      return { type, data: buildContactPayload(type, params) };
+    case 'geo':
+      return { type, data: buildGeoPayload(params) };
+    case 'sms':
+      return { type, data: buildSMSPayload(params) };
+    case 'email':
+      return { type, data: buildEmailPayload(params) };
+    case 'event':
+      return { type, data: buildEventPayload(params) };
+    case 'epc':
+      return { type, data: buildEPCPayload(params), ecc: 'M' };
+    case 'swissqr':
+      return { type, data: buildSwissQRPayload(params), ecc: 'M', swissCross: true };
+    default:
+      throw Object.assign(new Error(`Invalid type parameter. Valid values: ${PAYLOAD_TYPES.join(', ')}`), { status: 400 });
+  }
+}
+
+// Utility function to format a number for PostScript/PDF output
+function psNumber(value) {
+  return Number(value.toFixed(3)).toString();
+}
+
+// Utility function to get the columns and rows of a square QR or rectangular rMQR module matrix
+function matrixDimensions(modules) {
+  return { columns: modules.width || modules.size, rows: modules.height || modules.size };
+}
+
+// Utility function to collect horizontal runs of dark modules
+function getDarkRuns(modules) {
+  const runs = [];
+  const { columns, rows } = matrixDimensions(modules);
+
+  for (let row = 0; row < rows; row++) {
+    let col = 0;
+
+    while (col < columns) {
+      if (!modules.get(row, col)) {
+        col++;
+        continue;
+      }
+
+      const start = col;
+      while (col < columns && modules.get(row, col)) {
+        col++;
+      }
+
+      runs.push({ row, col: start, length: col - start });
+    }
+  }
+
+  return runs;
+}
+
+// Utility function to get CMYK ink percentages for a colour
+function toCMYK(color) {
+  if (color.cmyk) return color.cmyk;
+  
+  // Naive conversion for colours given as RGB
+  const k = 1 - Math.max(color.r, color.g, color.b) / 255;
+  if (k === 1) return { c: 0, m: 0, y: 0, k: 100 };
+  
+  const ink = (value) => Math.round(((1 - value / 255 - k) / (1 - k)) * 1000) / 10;
+  return { c: ink(color.r), m: ink(color.g), y: ink(color.b), k: Math.round(k * 1000) / 10 };
+}
+
+// Utility function to get the colour operands for PostScript/PDF colour operators
+function colorOperands(color, cmyk) {
+  if (cmyk) {
+    const { c, m, y, k } = toCMYK(color);
+    return [c, m, y, k].map((value) => psNumber(value / 100)).join(' ');
+  }
+  return [color.r, color.g, color.b].map((value) => psNumber(value / 255)).join(' ');
+}
+
+// Utility function to render a QR module matrix as vector EPS
+function generateEPS(modules, { color, bgcolor, qzone, margin, size, cmyk, spot, overlay }) {
+  const { columns, rows } = matrixDimensions(modules);
+  const moduleSize = size.width / (columns + qzone * 2);
+  const width = size.width + margin * 2;
+  const height = size.height + margin * 2;
+  const offset = margin + qzone * moduleSize;
+  const setColor = cmyk ? 'setcmykcolor' : 'setrgbcolor';
+
+  const lines = [
+    '%!PS-Adobe-3.0 EPSF-3.0',
+    `%%BoundingBox: 0 0 ${Math.ceil(width)} ${Math.ceil(height)}`,
+    `%%HiResBoundingBox: 0 0 ${psNumber(width)} ${psNumber(height)}`,
+    '%%Creator: QR Code Generator API',
+    `%%Title: QR Code (${columns}x${rows} modules)`,
+    '%%Pages: 1'
+  ];
+
+  if (cmyk) {
+    lines.push('%%DocumentProcessColors: Cyan Magenta Yellow Black');
+  }
+  if (spot) {
+    lines.push(`%%DocumentCustomColors: (${pdfString(spot)})`, `%%CMYKCustomColor: ${colorOperands(color, true)} (${pdfString(spot)})`);
+  }
+
+  lines.push(
+    '%%EndComments',
+    '/R { newpath 4 2 roll moveto 1 index 0 rlineto 0 exch rlineto neg 0 rlineto closepath fill } bind def'
+  );
+  
+  // A transparent background is simply not painted
+  if (bgcolor.alpha !== 0) {
+    lines.push(`${colorOperands(bgcolor, cmyk)} ${setColor}`, `0 0 ${psNumber(width)} ${psNumber(height)} R`);
+  }
+
+  // Separation colour space with the CMYK equivalent as the alternate
+  const [c, m, y, k] = colorOperands(color, true).split(' ');
+  const darkColor = spot
+    ? [`[/Separation (${pdfString(spot)}) /DeviceCMYK { dup ${c} mul exch dup ${m} mul exch dup ${y} mul exch ${k} mul }] setcolorspace`, '1 setcolor']
+    : [`${colorOperands(color, cmyk)} ${setColor}`];
+  lines.push(...darkColor);
+
+  // One filled path per horizontal run of dark modules
+  for (const run of getDarkRuns(modules)) {
+    const x = offset + run.col * moduleSize;
+    const y = height - offset - (run.row + 1) * moduleSize;
+    lines.push(`${psNumber(x)} ${psNumber(y)} ${psNumber(run.length * moduleSize)} ${psNumber(moduleSize)} R`);
+  }
+
+  // Overlay rectangles (the Swiss QR-bill cross) in module coordinates, drawn over the modules
+  for (const rect of overlay || []) {
+    lines.push(
+      ...(rect.dark ? darkColor : [`${colorOperands(bgcolor, cmyk)} ${setColor}`]),
+      `${psNumber(offset + rect.x * moduleSize)} ${psNumber(height - offset - (rect.y + rect.height) * moduleSize)} ${psNumber(rect.width * moduleSize)} ${psNumber(rect.height * moduleSize)} R`
+    );
+  }
+
+  lines.push('showpage', '%%EOF');
+  return lines.join('\n') + '\n';
+}
+
+// Named PDF page sizes in points
+const PDF_PAGE_SIZES = {
+  A3: [842, 1191],
+  A4: [595, 842],
+  A5: [420, 595],
+  A6: [298, 420],
+  LETTER: [612, 792],
+  LEGAL: [612, 1008]
+};
+
+// Utility function to encode a string as a PDF name object
+function pdfName(value) {
+  return '/' + value.replace(/[^!-~]|[#%()<>[\]{}/]/g, (char) => '#' + char.charCodeAt(0).toString(16).padStart(2, '0'));
+}
+
+// Utility function to render a QR module matrix as a single-page vector PDF
+function generatePDF(modules, { color, bgcolor, qzone, margin, size, dpi, pageSize, cmyk, spot, frame, overlay }) {
+  // Physical size in points: pixels at the requested DPI (a frame layout is in the same pixels)
+  let scale = 72 / dpi;
+  const canvasWidth = frame ? frame.width : size.width + margin * 2;
+  const canvasHeight = frame ? frame.height : size.height + margin * 2;
+  let pageWidth = canvasWidth * scale;
+  let pageHeight = canvasHeight * scale;
+
+  if (pageSize) {
+    const [codeWidth, codeHeight] = [pageWidth, pageHeight];
+    [pageWidth, pageHeight] = PDF_PAGE_SIZES[pageSize];
+    // Shrink to fit if the code is larger than the page
+    scale *= Math.min(1, pageWidth / codeWidth, pageHeight / codeHeight);
+  }
+
+  const moduleSize = size.width * scale / (matrixDimensions(modules).columns + qzone * 2);
+  const width = canvasWidth * scale;
+  const height = canvasHeight * scale;
+  const left = (pageWidth - width) / 2;
+  const bottom = (pageHeight - height) / 2;
+  const codeLeft = left + (frame ? frame.codeX * scale : 0);
+  const codeTop = bottom + height - (frame ? frame.codeY * scale : 0);
+  const codeWidth = (size.width + margin * 2) * scale;
+  const codeHeight = (size.height + margin * 2) * scale;
+  const offset = (margin * scale) + qzone * moduleSize;
+
+  const fillOperator = cmyk ? 'k' : 'rg';
+  const content = [];
+  
+  // Frame rectangles and caption use pixel coordinates from the top-left corner
+  const rect = (x, y, w, h) => `${psNumber(left + x * scale)} ${psNumber(bottom + height - (y + h) * scale)} ${psNumber(w * scale)} ${psNumber(h * scale)} re f`;
+  if (frame) {
+    for (const frameRect of frame.rects.filter((frameRect) => frameRect.color.alpha !== 0)) {
+      content.push(`${colorOperands(frameRect.color, cmyk)} ${fillOperator}`, rect(frameRect.x, frameRect.y, frameRect.width, frameRect.height));
+    }
+    if (frame.text) {
+      const { content: text, x, baseline, fontSize, color: textColor } = frame.text;
+      const textWidth = captionWidth(text) * fontSize;
+      content.push(
+        `${colorOperands(textColor, cmyk)} ${fillOperator}`,
+        `BT /F1 ${psNumber(fontSize * scale)} Tf ${psNumber(left + (x - textWidth / 2) * scale)} ${psNumber(bottom + height - baseline * scale)} Td (${pdfString(text)}) Tj ET`
+      );
+    }
+  }
+  
+  // A transparent background is simply not painted
+  if (bgcolor.alpha !== 0) {
+    content.push(
+      `${colorOperands(bgcolor, cmyk)} ${fillOperator}`,
+      `${psNumber(codeLeft)} ${psNumber(codeTop - codeHeight)} ${psNumber(codeWidth)} ${psNumber(codeHeight)} re f`
+    );
+  }
+  const darkColor = spot ? '/CS0 cs 1 scn' : `${colorOperands(color, cmyk)} ${fillOperator}`;
+  content.push(darkColor);
+  
+  // Spot colour: Separation colour space tinting from white to the CMYK equivalent
+  const resourceEntries = [];
+  if (spot) {
+    resourceEntries.push(`/ColorSpace << /CS0 [/Separation ${pdfName(spot)} /DeviceCMYK << /FunctionType 2 /Domain [0 1] /C0 [0 0 0 0] /C1 [${colorOperands(color, true)}] /N 1 >>] >>`);
+  }
+  if (frame && frame.text) {
+    resourceEntries.push('/Font << /F1 << /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >> >>');
+  }
+  const resources = `<< ${resourceEntries.join(' ')}${resourceEntries.length ? ' ' : ''}>>`;
+
+  for (const run of getDarkRuns(modules)) {
+    const x = codeLeft + offset + run.col * moduleSize;
+    const y = codeTop - offset - (run.row + 1) * moduleSize;
+    content.push(`${psNumber(x)} ${psNumber(y)} ${psNumber(run.length * moduleSize)} ${psNumber(moduleSize)} re`);
+  }
+  content.push('f');
+
+  // Overlay rectangles (the Swiss QR-bill cross) in module coordinates, drawn over the modules
+  for (const overlayRect of overlay || []) {
+    const x = codeLeft + offset + overlayRect.x * moduleSize;
+    const y = codeTop - offset - (overlayRect.y + overlayRect.height) * moduleSize;
+    content.push(
+      overlayRect.dark ? darkColor : `${colorOperands(bgcolor, cmyk)} ${fillOperator}`,
+      `${psNumber(x)} ${psNumber(y)} ${psNumber(overlayRect.width * moduleSize)} ${psNumber(overlayRect.height * moduleSize)} re f`
+    );
+  }
+
+  return writePDFDocument(content, resources, pageWidth, pageHeight);
+}
+
+// Utility function to escape text for a PDF or PostScript string in WinAnsi/Latin-1; printable
+// Latin-1 is kept and anything else becomes "?"
+function pdfString(text) {
+  return Array.from(text).map((char) => {
+    const code = char.codePointAt(0);
+    if (code === 0x28 || code === 0x29 || code === 0x5c) return '\\' + char;
+    if (code >= 32 && code <= 126) return char;
+    if (code >= 160 && code <= 255) return '\\' + code.toString(8);
+    return '?';
+  }).join('');
+}
+
+// Utility function to write a single-page PDF around a content stream and its resources
+function writePDFDocument(content, resources, pageWidth, pageHeight) {
+  const stream = zlib.deflateSync(Buffer.from(content.join('\n'), 'latin1'));
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${psNumber(pageWidth)} ${psNumber(pageHeight)}] /Resources ${resources} /Contents 4 0 R >>`,
+    Buffer.concat([
+      Buffer.from(`<< /Length ${stream.length} /Filter /FlateDecode >>\nstream\n`, 'latin1'),
+      stream,
+      Buffer.from('\nendstream', 'latin1')
+    ]),
+    '<< /Producer (QR Code Generator API) >>'
+  ];
+
+  const chunks = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+  const offsets = [];
+  let length = chunks[0].length;
+
+  objects.forEach((object, i) => {
+    const body = Buffer.isBuffer(object) ? object : Buffer.from(object, 'latin1');
+    const chunk = Buffer.concat([Buffer.from(`${i + 1} 0 obj\n`, 'latin1'), body, Buffer.from('\nendobj\n', 'latin1')]);
+    offsets.push(length);
+    chunks.push(chunk);
+    length += chunk.length;
+  });
+
+  const xref = [
+    'xref',
+    `0 ${objects.length + 1}`,
+    '0000000000 65535 f ',
+    ...offsets.map((position) => `${String(position).padStart(10, '0')} 00000 n `),
+    'trailer',
+    `<< /Size ${objects.length + 1} /Root 1 0 R /Info ${objects.length} 0 R >>`,
+    'startxref',
+    String(length),
+    '%%EOF'
+  ];
+  chunks.push(Buffer.from(xref.join('\n') + '\n', 'latin1'));
+
+  return Buffer.concat(chunks);
+}
+
+// Utility function to LZW-compress palette indices into GIF data sub-blocks
+function lzwEncode(indices, minCodeSize) {
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+  const bytes = [];
+  const dictionary = new Map();
+  let codeSize = minCodeSize + 1;
+  let nextCode = endCode + 1;
+  let bitBuffer = 0;
+  let bitCount = 0;
+
+  const writeCode = (code) => {
+    bitBuffer |= code << bitCount;
+    bitCount += codeSize;
+    while (bitCount >= 8) {
+      bytes.push(bitBuffer & 0xff);
+      bitBuffer >>>= 8;
+      bitCount -= 8;
+    }
+  };
+
+  writeCode(clearCode);
+
+  let prefix = indices[0];
+  for (let i = 1; i < indices.length; i++) {
+    const index = indices[i];
+    const key = (prefix << 8) | index;
+    const code = dictionary.get(key);
+
+    if (code !== undefined) {
+      prefix = code;
+      continue;
+    }
+
+    writeCode(prefix);
+
+    if (nextCode < 4096) {
+      dictionary.set(key, nextCode++);
+      if (nextCode > (1 << codeSize) && codeSize < 12) {
+        codeSize++;
+      }
+    } else {
+      // Code table is full - start over with a fresh dictionary
+      writeCode(clearCode);
+      dictionary.clear();
+      codeSize = minCodeSize + 1;
+      nextCode = endCode + 1;
+    }
+
+    prefix = index;
+  }
+
+  writeCode(prefix);
+  writeCode(endCode);
+  if (bitCount > 0) {
+    bytes.push(bitBuffer & 0xff);
+  }
+
+  // Split into sub-blocks of at most 255 bytes
+  const blocks = [];
+  for (let i = 0; i < bytes.length; i += 255) {
+    const chunk = bytes.slice(i, i + 255);
+    blocks.push(chunk.length, ...chunk);
+  }
+  blocks.push(0);
+
+  return Buffer.from(blocks);
+}
+
+// Utility function to encode palette indices as a GIF89a image
+function encodeGIF(indices, width, height, palette, transparentIndex) {
+  // Palette size must be a power of two (minimum 2 entries)
+  let sizeBits = 1;
+  while ((1 << sizeBits) < palette.length) {
+    sizeBits++;
+  }
+  const tableSize = 1 << sizeBits;
+  const minCodeSize = Math.max(2, sizeBits);
+
+  const header = Buffer.alloc(13);
+  header.write('GIF89a', 0, 'ascii');
+  header.writeUInt16LE(width, 6);
+  header.writeUInt16LE(height, 8);
+  header[10] = 0x80 | ((sizeBits - 1) << 4) | (sizeBits - 1);
+  header[11] = transparentIndex >= 0 ? transparentIndex : 0;
+  header[12] = 0;
+
+  const colorTable = Buffer.alloc(tableSize * 3);
+  palette.forEach((entry, i) => {
+    colorTable[i * 3] = entry.r;
+    colorTable[i * 3 + 1] = entry.g;
+    colorTable[i * 3 + 2] = entry.b;
+  });
+
+  const parts = [header, colorTable];
+
+  // Graphic Control Extension marks the transparent colour index
+  if (transparentIndex >= 0) {
+    parts.push(Buffer.from([0x21, 0xf9, 0x04, 0x01, 0x00, 0x00, transparentIndex, 0x00]));
+  }
+
+  const descriptor = Buffer.alloc(10);
+  descriptor[0] = 0x2c;
+  descriptor.writeUInt16LE(0, 1);
+  descriptor.writeUInt16LE(0, 3);
+  descriptor.writeUInt16LE(width, 5);
+  descriptor.writeUInt16LE(height, 7);
+  descriptor[9] = 0;
+
+  parts.push(descriptor, Buffer.from([minCodeSize]), lzwEncode(indices, minCodeSize), Buffer.from([0x3b]));
+  return Buffer.concat(parts);
+}
+
+// Utility function to convert a rendered QR image into a GIF
+async function convertToGIF(buffer, { depth, color, bgcolor, transparent }) {
+  let sharpInstance = sharp(buffer).removeAlpha();
+  let background = bgcolor;
+
+  // 8-bit keeps the greyscale meaning it has for PNG and JPEG
+  if (depth === 8) {
+    sharpInstance = sharpInstance.greyscale();
+    const grey = Math.round(0.2126 * bgcolor.r + 0.7152 * bgcolor.g + 0.0722 * bgcolor.b);
+    background = { r: grey, g: grey, b: grey };
+  }
+
+  const { data, info } = await sharpInstance.raw().toBuffer({ resolveWithObject: true });
+  const pixel = (i, channel) => data[i * info.channels + (info.channels >= 3 ? channel : 0)];
+  const pixelCount = info.width * info.height;
+  const indices = new Uint8Array(pixelCount);
+  let palette = [];
+
+  if (depth === 1) {
+    // 1-bit: snap every pixel to the nearer of bgcolor (index 0) and color (index 1)
+    palette = [bgcolor, color];
+    for (let i = 0; i < pixelCount; i++) {
+      const r = pixel(i, 0), g = pixel(i, 1), b = pixel(i, 2);
+      const toBg = (r - bgcolor.r) ** 2 + (g - bgcolor.g) ** 2 + (b - bgcolor.b) ** 2;
+      const toFg = (r - color.r) ** 2 + (g - color.g) ** 2 + (b - color.b) ** 2;
+      indices[i] = toFg < toBg ? 1 : 0;
+    }
+  } else {
+    // Exact palette when the image has at most 256 colours, RGB332 otherwise
+    const lookup = new Map();
+    for (let i = 0; i < pixelCount && palette; i++) {
+      const r = pixel(i, 0), g = pixel(i, 1), b = pixel(i, 2);
+      const key = (r << 16) | (g << 8) | b;
+      let index = lookup.get(key);
+      if (index === undefined) {
+        if (palette.length === 256) {
+          palette = null;
+          break;
+        }
+        index = palette.length;
+        lookup.set(key, index);
+        palette.push({ r, g, b });
+      }
+      indices[i] = index;
+    }
+
+    if (!palette) {
+      palette = [];
+      for (let i = 0; i < 256; i++) {
+        palette.push({ r: Math.round((i >> 5) * 255 / 7), g: Math.round(((i >> 2) & 7) * 255 / 7), b: Math.round((i & 3) * 255 / 3) });
+      }
+      for (let i = 0; i < pixelCount; i++) {
+        indices[i] = (pixel(i, 0) & 0xe0) | ((pixel(i, 1) >> 3) & 0x1c) | (pixel(i, 2) >> 6);
+      }
+    }
+  }
+
+  // The background colour's palette entry becomes the transparent index
+  let backgroundIndex = 0;
+  palette.forEach((entry, i) => {
+    const best = palette[backgroundIndex];
+    const distance = (entry.r - background.r) ** 2 + (entry.g - background.g) ** 2 + (entry.b - background.b) ** 2;
+    if (distance < (best.r - background.r) ** 2 + (best.g - background.g) ** 2 + (best.b - background.b) ** 2) {
+      backgroundIndex = i;
+    }
+  });
+
+  return encodeGIF(indices, info.width, info.height, palette, transparent ? backgroundIndex : -1);
+}
+
+// Utility function to look up a module with the quiet zone around the symbol
+function moduleWithQuietZone(modules, qzone) {
+  const { columns, rows } = matrixDimensions(modules);
+  return (row, col) => {
+    const r = row - qzone;
+    const c = col - qzone;
+    return r >= 0 && c >= 0 && r < rows && c < columns && Boolean(modules.get(r, c));
+  };
+}
+
+// Utility function to render a QR module matrix as Unicode half-block text
+function generateText(modules, { qzone }) {
+  const total = modules.size + qzone * 2;
+  const isDark = moduleWithQuietZone(modules, qzone);
+  const blocks = [' ', '\u2584', '\u2580', '\u2588']; // none, lower, upper, full
+  const lines = [];
+
+  // Each character cell covers two module rows
+  for (let row = 0; row < total; row += 2) {
+    let line = '';
+    for (let col = 0; col < total; col++) {
+      line += blocks[(isDark(row, col) ? 2 : 0) | (isDark(row + 1, col) ? 1 : 0)];
+    }
+    lines.push(line);
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+// Utility function to render a QR module matrix as 24-bit ANSI terminal output
+function generateANSI(modules, { color, bgcolor, qzone }) {
+  const total = modules.size + qzone * 2;
+  const isDark = moduleWithQuietZone(modules, qzone);
+  const rgb = (c) => `${c.r};${c.g};${c.b}`;
+  const lines = [];
+
+  // Upper half block: foreground paints the top module, background the bottom one
+  for (let row = 0; row < total; row += 2) {
+    let line = '';
+    let lastStyle = null;
+    for (let col = 0; col < total; col++) {
+      const top = isDark(row, col) ? color : bgcolor;
+      const bottom = row + 1 < total ? (isDark(row + 1, col) ? color : bgcolor) : null;
+      const style = `\x1b[38;2;${rgb(top)}m` + (bottom ? `\x1b[48;2;${rgb(bottom)}m` : '\x1b[49m');
+      
+      // Only emit escape codes when the colours change
+      if (style !== lastStyle) {
+        line += style;
+        lastStyle = style;
+      }
+      line += '\u2580';
+    }
+    lines.push(line + '\x1b[0m');
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+// Utility function to render a QR module matrix as a self-contained HTML table
+function generateHTML(modules, { color, bgcolor, qzone, margin, size }) {
+  const total = modules.size + qzone * 2;
+  const isDark = moduleWithQuietZone(modules, qzone);
+  const moduleSize = psNumber(size.width / total);
+  const rows = [];
+
+  for (let row = 0; row < total; row++) {
+    let cells = '';
+    for (let col = 0; col < total; col++) {
+      cells += isDark(row, col) ? '<td class="d"></td>' : '<td></td>';
+    }
+    rows.push(`<tr>${cells}</tr>`);
+  }
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>QR Code</title>
+<style>
+.qr { border-collapse: collapse; border-spacing: 0; background: ${svgColor(bgcolor)}; border: ${margin}px solid ${svgColor(bgcolor)}; }
+.qr td { width: ${moduleSize}px; height: ${moduleSize}px; padding: 0; }
+.qr td.d { background: ${svgColor(color)}; }
+</style>
+</head>
+<body>
+<table class="qr" role="img" aria-label="QR code">
+${rows.join('\n')}
+</table>
+</body>
+</html>
+`;
+}
+
+// Utility function to describe a QR symbol: version, ECC, mask, segments and capacity
+function describeSymbol(qrData) {
+  const { version, errorCorrectionLevel, maskPattern, segments } = qrData;
+  const ecc = ['L', 'M', 'Q', 'H'].find((level) => QRErrorCorrectionLevel[level] === errorCorrectionLevel);
+  const totalCodewords = QRUtils.getSymbolTotalCodewords(version);
+  const ecCodewords = QRErrorCorrectionCode.getTotalCodewordsCount(version, errorCorrectionLevel);
+  const capacityBits = (totalCodewords - ecCodewords) * 8;
+
+  const segmentInfo = segments.map((segment) => ({
+    mode: QRMode.toString(segment.mode),
+    length: segment.getLength(),
+    bits: 4 + QRMode.getCharCountIndicator(segment.mode, version) + segment.getBitsLength()
+  }));
+  const usedBits = segmentInfo.reduce((sum, segment) => sum + segment.bits, 0);
+
+  return {
+    version,
+    ecc,
+    maskPattern,
+    modules: qrData.modules.size,
+    segments: segmentInfo,
+    capacity: {
+      dataCodewords: totalCodewords - ecCodewords,
+      errorCorrectionCodewords: ecCodewords,
+      totalBits: capacityBits,
+      usedBits,
+      remainingBits: capacityBits - usedBits,
+      usedPercent: Math.round((usedBits / capacityBits) * 1000) / 10
+    }
+  };
+}
+
+// Utility function to export the module matrix as a bitmap or run-length rows
+function exportMatrix(modules, encoding) {
+  const rows = [];
+  const { columns, rows: rowCount } = matrixDimensions(modules);
+
+  for (let row = 0; row < rowCount; row++) {
+    const bits = [];
+    for (let col = 0; col < columns; col++) {
+      bits.push(modules.get(row, col) ? 1 : 0);
+    }
+
+    if (encoding === 'rle') {
+      // Alternating run lengths, always starting with a (possibly empty) light run
+      const runs = [];
+      let current = 0;
+      let length = 0;
+      for (const bit of bits) {
+        if (bit !== current) {
+          runs.push(length);
+          current = bit;
+          length = 0;
+        }
+        length++;
+      }
+      runs.push(length);
+      rows.push(runs);
+    } else {
+      rows.push(bits);
+    }
+  }
+
+  return rows;
+}
+
+// Utility function to encode WebP, AVIF or TIFF output with depth and DPI
+async function convertToSharpFormat(buffer, format, { depth, dpi, quality, lossless, alpha }) {
+  let sharpInstance = alpha ? sharp(buffer).ensureAlpha() : sharp(buffer).removeAlpha();
+
+  if (depth === 1) {
+    sharpInstance = sharpInstance.threshold(128).toColourspace('b-w');
+  } else if (depth === 8) {
+    sharpInstance = sharpInstance.greyscale();
+  } else if (depth === 16) {
+    // Only TIFF stores 16 bits per sample; parseOutputOptions turns away 16-bit WebP and AVIF
+    sharpInstance = sharpInstance.toColourspace('grey16');
+  }
+
+  if (format === 'tiff') {
+    // TIFF carries resolution natively (in pixels per mm here); 1-bit uses CCITT Group 4
+    return sharpInstance
+      .tiff({
+        compression: depth === 1 ? 'ccittfax4' : 'lzw',
+        bitdepth: depth === 1 ? 1 : 8,
+        xres: dpi / 25.4,
+        yres: dpi / 25.4,
+        resolutionUnit: 'inch'
+      })
+      .toBuffer();
+  }
+
+  // WebP and AVIF only carry resolution in EXIF
+  sharpInstance = sharpInstance.withExif({
+    IFD0: { XResolution: `${dpi}/1`, YResolution: `${dpi}/1`, ResolutionUnit: '2' }
+  });
+
+  if (format === 'webp') {
+    return sharpInstance.webp({ quality, lossless, smartSubsample: true, effort: 6 }).toBuffer();
+  }
+
+  // Full chroma resolution keeps module edges sharp
+  return sharpInstance.avif({ quality, lossless, chromaSubsampling: '4:4:4' }).toBuffer();
+}
+
+// Utility function to encode the final PNG at the requested bit depth
+async function encodePNG(buffer, { depth, dpi, optimize, alpha }) {
+  let sharpInstance = sharp(buffer);
+
+  if (depth === 1) {
+    // 1-bit (monochrome) palette
+    sharpInstance = sharpInstance
+      .removeAlpha()
+      .threshold(128)
+      .png({ palette: true, colors: 2, compressionLevel: 9, effort: 10 });
+  } else if (depth === 8) {
+    // 8-bit greyscale, with an 8-bit alpha channel for transparent colours
+    sharpInstance = (alpha ? sharpInstance : sharpInstance.removeAlpha())
+      .toColourspace('b-w')
+      .png({ compressionLevel: 9 });
+  } else if (depth === 16) {
+    // 16 bits per channel greyscale, with a 16-bit alpha channel for transparent colours
+    sharpInstance = (alpha ? sharpInstance : sharpInstance.removeAlpha())
+      .toColourspace('grey16')
+      .png({ compressionLevel: 9 });
+  } else if (depth === 32) {
+    // RGBA
+    sharpInstance = sharpInstance.ensureAlpha().png({ compressionLevel: 9 });
+  } else {
+    // 24-bit RGB
+    sharpInstance = sharpInstance.removeAlpha().png({ compressionLevel: 9 });
+  }
+
+  // sharp's withMetadata() would convert back to sRGB, so the resolution is written directly
+  const output = setPNGDensity(await sharpInstance.toBuffer(), dpi);
+
+  // pngquant writes 8-bit palettes, which would undo a 16-bit depth
+  return optimize && depth !== 16 ? optimizePNG(output, depth) : output;
+}
+
+// CRC-32 lookup table (reflected polynomial 0xEDB88320), as used by PNG chunks and ZIP entries
+const CRC32_TABLE = Array.from({ length: 256 }, (value, index) => {
+  let crc = index;
+  for (let bit = 0; bit < 8; bit++) {
+    crc = crc & 1 ? 0xEDB88320 ^ (crc >>> 1) : crc >>> 1;
+  }
+  return crc >>> 0;
+});
+
+// Utility function to compute the CRC-32 of a buffer (zlib.crc32 needs Node 20.15 or 22.2)
+function crc32(buffer) {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC32_TABLE[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// Utility function to set a PNG's resolution with a pHYs chunk, leaving the pixel data alone
+function setPNGDensity(buffer, dpi) {
+  const pixelsPerMetre = Math.round(dpi / 0.0254);
+  const body = Buffer.alloc(13);
+  body.write('pHYs', 0, 'latin1');
+  body.writeUInt32BE(pixelsPerMetre, 4);
+  body.writeUInt32BE(pixelsPerMetre, 8);
+  body[12] = 1;
+  const chunk = Buffer.alloc(21);
+  chunk.writeUInt32BE(9, 0);
+  body.copy(chunk, 4);
+  chunk.writeUInt32BE(crc32(body), 17);
+
+  // Keep every chunk except an existing pHYs, and put the new one straight after IHDR
+  const chunks = [buffer.subarray(0, 8)];
+  for (let offset = 8; offset < buffer.length;) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    if (type !== 'pHYs') chunks.push(buffer.subarray(offset, offset + length + 12));
+    if (type === 'IHDR') chunks.push(chunk);
+    offset += length + 12;
+  }
+  return Buffer.concat(chunks);
+}
+
+// Utility function to wrap raw CMYK pixels in a minimal uncompressed TIFF
+function encodeCMYKTIFF(width, height, pixels) {
+  // Tag, type (3 = SHORT, 4 = LONG), value
+  const entries = [
+    [256, 4, width],
+    [257, 4, height],
+    [258, 3, null], // BitsPerSample, stored out of line
+    [259, 3, 1], // No compression
+    [262, 3, 5], // Separated (CMYK)
+    [273, 4, null], // StripOffsets
+    [277, 3, 4],
+    [278, 4, height],
+    [279, 4, pixels.length],
+    [284, 3, 1],
+    [332, 3, 1] // InkSet: CMYK
+  ];
+  const ifdOffset = 8;
+  const bitsOffset = ifdOffset + 2 + entries.length * 12 + 4;
+  const dataOffset = bitsOffset + 8;
+  const tiff = Buffer.alloc(dataOffset + pixels.length);
+
+  tiff.write('II', 0, 'ascii');
+  tiff.writeUInt16LE(42, 2);
+  tiff.writeUInt32LE(ifdOffset, 4);
+  tiff.writeUInt16LE(entries.length, ifdOffset);
+
+  entries.forEach(([tag, type, value], i) => {
+    const position = ifdOffset + 2 + i * 12;
+    tiff.writeUInt16LE(tag, position);
+    tiff.writeUInt16LE(type, position + 2);
+    tiff.writeUInt32LE(tag === 258 ? 4 : 1, position + 4);
+    if (tag === 258) {
+      tiff.writeUInt32LE(bitsOffset, position + 8);
+    } else if (tag === 273) {
+      tiff.writeUInt32LE(dataOffset, position + 8);
+    } else if (type === 3) {
+      tiff.writeUInt16LE(value, position + 8);
+    } else {
+      tiff.writeUInt32LE(value, position + 8);
+    }
+  });
+
+  for (let i = 0; i < 4; i++) {
+    tiff.writeUInt16LE(8, bitsOffset + i * 2);
+  }
+  pixels.copy(tiff, dataOffset);
+
+  return tiff;
+}
+
+// Utility function to convert a rendered QR image to CMYK TIFF or JPEG with exact ink values
+async function convertToCMYK(buffer, format, { color, bgcolor, dpi, quality }) {
+  const { data, info } = await sharp(buffer)
+    .removeAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const inks = [toCMYK(bgcolor), toCMYK(color)].map(({ c, m, y, k }) =>
+    [c, m, y, k].map((value) => Math.round(value * 2.55))
+  );
+  const pixelCount = info.width * info.height;
+  const pixels = Buffer.alloc(pixelCount * 4);
+
+  // Each pixel takes the inks of whichever of bgcolor/color it is nearer to
+  for (let i = 0; i < pixelCount; i++) {
+    const r = data[i * 3], g = data[i * 3 + 1], b = data[i * 3 + 2];
+    const toBg = (r - bgcolor.r) ** 2 + (g - bgcolor.g) ** 2 + (b - bgcolor.b) ** 2;
+    const toFg = (r - color.r) ** 2 + (g - color.g) ** 2 + (b - color.b) ** 2;
+    pixels.set(inks[toFg < toBg ? 1 : 0], i * 4);
+  }
+
+  // Keep the pipeline in CMYK so sharp does not round-trip through sRGB
+  const sharpInstance = sharp(encodeCMYKTIFF(info.width, info.height, pixels))
+    .pipelineColourspace('cmyk')
+    .toColourspace('cmyk');
+
+  if (format === 'tiff') {
+    return sharpInstance
+      .tiff({ compression: 'lzw', xres: dpi / 25.4, yres: dpi / 25.4, resolutionUnit: 'inch' })
+      .toBuffer();
+  }
+
+  return sharpInstance
+    .withExif({ IFD0: { XResolution: `${dpi}/1`, YResolution: `${dpi}/1`, ResolutionUnit: '2' } })
+    .jpeg({ quality, chromaSubsampling: '4:4:4' })
+    .toBuffer();
+}
+
+// Utility function to encode a rendered PNG in the requested raster format and bit depth
+async function encodeRasterOutput(buffer, format, { cmyk, color, bgcolor, dpi, quality, depth, transparent, translucent, lossless, optimize }) {
+  if (cmyk && ['jpeg', 'jpg', 'tiff'].includes(format)) {
+    // Print workflows get CMYK with the ink values exactly as given
+    return {
+      buffer: await convertToCMYK(buffer, format, { color, bgcolor, dpi, quality }),
+      contentType: format === 'tiff' ? 'image/tiff' : 'image/jpeg'
+    };
+  }
+  
+  if (format === 'jpeg' || format === 'jpg') {
+    let sharpInstance = sharp(buffer).jpeg({ quality });
+    
+    // Apply bit depth conversion if specified
+    if (depth === 8) {
+      sharpInstance = sharpInstance.greyscale();
+    }
+    
+    // Apply DPI metadata after conversion for JPEG
+    const jpeg = await sharp(await sharpInstance.toBuffer())
+      .withMetadata({ density: dpi })
+      .jpeg({ quality })
+      .toBuffer();
+    
+    return { buffer: jpeg, contentType: 'image/jpeg' };
+  }
+  
+  if (format === 'gif') {
+    // Palette-based GIF89a with LZW compression
+    return { buffer: await convertToGIF(buffer, { depth, color, bgcolor, transparent }), contentType: 'image/gif' };
+  }
+  
+  if (format === 'webp' || format === 'avif' || format === 'tiff') {
+    return {
+      buffer: await convertToSharpFormat(buffer, format, { depth, dpi, quality, lossless, alpha: depth === 32 || translucent }),
+      contentType: `image/${format}`
+    };
+  }
+  
+  // Default to PNG with bit depth control
+  return { buffer: await encodePNG(buffer, { depth, dpi, optimize, alpha: translucent }), contentType: 'image/png' };
+}
+
+// Utility function to format a colour as an SVG/CSS value (hex, or rgba() with alpha)
+function svgColor(color) {
+  if (isTranslucent(color)) {
+    return `rgba(${color.r},${color.g},${color.b},${psNumber(color.alpha / 255)})`;
+  }
+  return `#${color.r.toString(16).padStart(2, '0')}${color.g.toString(16).padStart(2, '0')}${color.b.toString(16).padStart(2, '0')}`;
+}
+
+// Utility function to parse the module, finder-eye and gradient style options
+function parseStyleOptions(params) {
+  const moduleShape = (params.moduleshape || 'square').toLowerCase();
+  const eyeShape = (params.eyeshape || 'square').toLowerCase();
+  const eyeInnerShape = (params.eyeinnershape || 'square').toLowerCase();
+  const eyeColor = params.eyecolor ? parseColor(params.eyecolor) : null;
+  const eyeInnerColor = params.eyeinnercolor ? parseColor(params.eyeinnercolor) : null;
+  const gradientType = params.gradient ? params.gradient.toLowerCase() : null;
+  const gradientColor = params.gradientcolor ? parseColor(params.gradientcolor) : null;
+  const gradientAngle = params.gradientangle !== undefined ? parseFloat(params.gradientangle) : 0;
+
+  if (!['square', 'dot', 'rounded', 'classy'].includes(moduleShape)) {
+    return { error: 'Invalid moduleshape parameter. Valid values: square, dot, rounded, classy' };
+  }
+  if (!['square', 'rounded', 'circle'].includes(eyeShape)) {
+    return { error: 'Invalid eyeshape parameter. Valid values: square, rounded, circle' };
+  }
+  if (!['square', 'rounded', 'circle'].includes(eyeInnerShape)) {
+    return { error: 'Invalid eyeinnershape parameter. Valid values: square, rounded, circle' };
+  }
+  if ((params.eyecolor && !eyeColor) || (params.eyeinnercolor && !eyeInnerColor) || (params.gradientcolor && !gradientColor)) {
+    return { error: 'Invalid eyecolor, eyeinnercolor or gradientcolor parameter. Use RGB decimal (255-0-0) or hex (ff0000, f00)' };
+  }
+  if (gradientType && !['linear', 'radial'].includes(gradientType)) {
+    return { error: 'Invalid gradient parameter. Valid values: linear, radial' };
+  }
+  if (gradientType && !gradientColor) {
+    return { error: 'gradientcolor is required with gradient (the gradient runs from color to gradientcolor)' };
+  }
+  if (!(gradientAngle >= 0 && gradientAngle <= 360)) {
+    return { error: 'Invalid gradientangle parameter. Valid range: 0-360 degrees' };
+  }
+
+  return {
+    moduleShape,
+    eyeShape,
+    eyeInnerShape,
+    eyeColor,
+    eyeInnerColor,
+    gradient: gradientType ? { type: gradientType, color: gradientColor, angle: gradientAngle } : null
+  };
+}
+
+// Utility function to draw a square with individually rounded corners [tl, tr, br, bl]
+function roundedSquarePath(x, y, side, [tl, tr, br, bl]) {
+  const arc = (r, endX, endY) => (r ? `A${psNumber(r)} ${psNumber(r)} 0 0 1 ${psNumber(endX)} ${psNumber(endY)}` : '');
+  return `M${psNumber(x + tl)} ${psNumber(y)}H${psNumber(x + side - tr)}${arc(tr, x + side, y + tr)}` +
+    `V${psNumber(y + side - br)}${arc(br, x + side - br, y + side)}` +
+    `H${psNumber(x + bl)}${arc(bl, x, y + side - bl)}` +
+    `V${psNumber(y + tl)}${arc(tl, x + tl, y)}Z`;
+}
+
+// Utility function to draw a circle as a path
+function circlePath(cx, cy, r) {
+  return `M${psNumber(cx - r)} ${psNumber(cy)}a${psNumber(r)} ${psNumber(r)} 0 1 0 ${psNumber(r * 2)} 0` +
+    `a${psNumber(r)} ${psNumber(r)} 0 1 0 ${psNumber(-r * 2)} 0Z`;
+}
+
+// Utility function to draw a finder-eye ring or centre in one of the eye shapes
+function eyeShapePath(x, y, side, shape) {
+  if (shape === 'circle') {
+    return circlePath(x + side / 2, y + side / 2, side / 2);
+  }
+  const radius = shape === 'rounded' ? side * 0.3 : 0;
+  return roundedSquarePath(x, y, side, [radius, radius, radius, radius]);
+}
+
+// Utility function to draw a QR symbol as SVG with styled modules, finder eyes and gradients
+function generateStyledSVG(modules, version, { color, bgcolor, qzone, size, style }) {
+  const symbolSize = modules.size;
+  const total = symbolSize + qzone * 2;
+  const isDark = (row, col) => row >= 0 && col >= 0 && row < symbolSize && col < symbolSize && modules.get(row, col);
+
+  // Finder patterns become eyes; timing and alignment patterns always stay plain squares
+  const finders = QRFinderPattern.getPositions(version);
+  const inFinder = (row, col) => finders.some(([r, c]) => row >= r && row < r + 7 && col >= c && col < c + 7);
+  const alignments = QRAlignmentPattern.getPositions(version);
+  const inAlignment = (row, col) => alignments.some(([r, c]) => Math.abs(row - r) <= 2 && Math.abs(col - c) <= 2);
+  const inTiming = (row, col) => row === 6 || col === 6;
+
+  const squares = [];
+  const shaped = [];
+  for (let row = 0; row < symbolSize; row++) {
+    for (let col = 0; col < symbolSize; col++) {
+      if (!isDark(row, col) || inFinder(row, col)) continue;
+
+      const x = col + qzone;
+      const y = row + qzone;
+      if (style.moduleShape === 'square' || inTiming(row, col) || inAlignment(row, col)) {
+        squares.push(`M${x} ${y}h1v1h-1z`);
+      } else if (style.moduleShape === 'dot') {
+        shaped.push(circlePath(x + 0.5, y + 0.5, 0.45));
+      } else {
+        // Round only the corners with no dark neighbour on either side, so joined modules stay joined
+        const free = (dRow, dCol) => !isDark(row + dRow, col) && !isDark(row, col + dCol);
+        const corners = [free(-1, -1), free(-1, 1), free(1, 1), free(1, -1)];
+        if (style.moduleShape === 'classy') {
+          corners[1] = false;
+          corners[3] = false;
+        }
+        shaped.push(roundedSquarePath(x, y, 1, corners.map((round) => (round ? 0.5 : 0))));
+      }
+    }
+  }
+
+  // Gradient runs across the symbol, from color to gradientcolor
+  let defs = '';
+  let fill = svgColor(color);
+  if (style.gradient) {
+    const stops = `<stop offset="0" stop-color="${svgColor(color)}"/><stop offset="1" stop-color="${svgColor(style.gradient.color)}"/>`;
+    const centre = total / 2;
+    if (style.gradient.type === 'radial') {
+      defs = `<defs><radialGradient id="qr-gradient" gradientUnits="userSpaceOnUse" cx="${centre}" cy="${centre}" r="${psNumber(symbolSize / Math.SQRT2)}">${stops}</radialGradient></defs>`;
+    } else {
+      const angle = (style.gradient.angle * Math.PI) / 180;
+      const dx = (Math.cos(angle) * symbolSize) / 2;
+      const dy = (Math.sin(angle) * symbolSize) / 2;
+      defs = `<defs><linearGradient id="qr-gradient" gradientUnits="userSpaceOnUse" x1="${psNumber(centre - dx)}" y1="${psNumber(centre - dy)}" x2="${psNumber(centre + dx)}" y2="${psNumber(centre + dy)}">${stops}</linearGradient></defs>`;
+    }
+    fill = 'url(#qr-gradient)';
+  }
+  const eyeFill = style.eyeColor ? svgColor(style.eyeColor) : fill;
+  const eyeInnerFill = style.eyeInnerColor ? svgColor(style.eyeInnerColor) : eyeFill;
+
+  // Each eye is a 7x7 ring (outer minus a 5x5 hole) around a 3x3 centre
+  const rings = finders.map(([row, col]) =>
+    eyeShapePath(col + qzone, row + qzone, 7, style.eyeShape) + eyeShapePath(col + qzone + 1, row + qzone + 1, 5, style.eyeShape)
+  ).join('');
+  const centres = finders.map(([row, col]) => eyeShapePath(col + qzone + 2, row + qzone + 2, 3, style.eyeInnerShape)).join('');
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${size.width}" height="${size.width}" viewBox="0 0 ${total} ${total}">` +
+    defs +
+    `<rect width="${total}" height="${total}" fill="${svgColor(bgcolor)}"/>` +
+    (squares.length ? `<path fill="${fill}" shape-rendering="crispEdges" d="${squares.join('')}"/>` : '') +
+    (shaped.length ? `<path fill="${fill}" d="${shaped.join('')}"/>` : '') +
+    `<path fill="${eyeFill}" fill-rule="evenodd" d="${rings}"/>` +
+    `<path fill="${eyeInnerFill}" d="${centres}"/>` +
+    '</svg>';
+}
+
+// Helvetica advance widths for ASCII 32-126, in 1/1000 em (from the standard AFM metrics)
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+
+// Utility function to estimate the width of a caption in Helvetica, in em
+function captionWidth(text) {
+  let width = 0;
+  for (const char of text) {
+    const code = char.codePointAt(0);
+    width += code >= 32 && code <= 126 ? HELVETICA_WIDTHS[code - 32] : 556;
+  }
+  return width / 1000;
+}
+
+// Utility function to parse the caption and frame options for an output format
+function parseFrameOptions(params, format) {
+  const caption = params.caption ? String(params.caption) : '';
+  const captionSize = params.captionsize !== undefined ? parseInt(params.captionsize) : null;
+  const captionColor = params.captioncolor ? parseColor(params.captioncolor) : null;
+  const position = (params.captionposition || 'bottom').toLowerCase();
+  const frame = (params.frame || 'none').toLowerCase();
+  const frameColor = params.framecolor ? parseColor(params.framecolor) : null;
+
+  if (caption.length > 100 || /[\x00-\x1f\x7f]/.test(caption)) {
+    return { error: 'Invalid caption parameter. Use up to 100 characters without control characters' };
+  }
+  // PDF captions use the built-in Helvetica, whose WinAnsi encoding only covers printable Latin-1
+  if (format === 'pdf' && /[^\x20-\x7e\xa0-\xff]/.test(caption)) {
+    return { error: 'PDF captions are limited to Latin-1 characters. Use png or svg output for other scripts' };
+  }
+  if (captionSize !== null && !(captionSize >= 6 && captionSize <= 200)) {
+    return { error: 'Invalid captionsize parameter. Valid range: 6-200 pixels' };
+  }
+  if ((params.captioncolor && !captionColor) || (params.framecolor && !frameColor)) {
+    return { error: 'Invalid captioncolor or framecolor parameter. Use RGB decimal (255-0-0), hex (ff0000, f00) or CMYK percentages (cmyk:0-0-0-100)' };
+  }
+  if (!['top', 'bottom'].includes(position)) {
+    return { error: 'Invalid captionposition parameter. Valid values: top, bottom' };
+  }
+  if (!['none', 'box', 'banner'].includes(frame)) {
+    return { error: 'Invalid frame parameter. Valid values: none, box, banner' };
+  }
+
+  return { caption, captionSize, captionColor, position, frame, frameColor };
+}
+
+// Utility function to lay out the canvas around a code of codeSide pixels: frame rectangles, caption and code position
+function getFrameLayout(codeSide, { caption, captionSize, captionColor, position, frame, frameColor }, { color, bgcolor }) {
+  const border = frame === 'none' ? 0 : Math.max(2, Math.round(codeSide * 0.04));
+
+  // The caption band is twice the font size; long captions shrink to fit the width of the code,
+  // with room for fallback fonts up to 15% wider than Helvetica when rasterising
+  const baseSize = captionSize || Math.max(10, Math.round(codeSide / 12));
+  const band = caption || frame === 'banner' ? Math.round(baseSize * 2) : 0;
+  const fontSize = caption ? Math.min(baseSize, (codeSide * 0.92) / (captionWidth(caption) * 1.15)) : baseSize;
+
+  // Frames keep a background-coloured gap as wide as the border, so they never touch the modules
+  const inset = border * 2;
+  const width = codeSide + inset * 2;
+  const height = codeSide + inset * 2 + band;
+  const codeX = inset;
+  const codeY = position === 'top' ? inset + band : inset;
+  const ink = frameColor || color;
+  let bandTop = position === 'top' ? inset : inset + codeSide;
+
+  // The background fills the canvas; the frame is drawn as rectangles around a hole, so a
+  // transparent background stays transparent inside the frame
+  const rects = [{ x: 0, y: 0, width, height, color: bgcolor }];
+  let hole = null;
+  if (frame === 'box') {
+    hole = { x: border, y: border, width: width - border * 2, height: height - border * 2 };
+  } else if (frame === 'banner') {
+    // The banner joins the border on its side of the code
+    hole = { x: border, y: codeY - border, width: codeSide + border * 2, height: codeSide + border * 2 };
+    bandTop = position === 'top' ? border : codeY + codeSide + border;
+  }
+  if (hole) {
+    rects.push(
+      { x: 0, y: 0, width, height: hole.y, color: ink },
+      { x: 0, y: hole.y + hole.height, width, height: height - hole.y - hole.height, color: ink },
+      { x: 0, y: hole.y, width: hole.x, height: hole.height, color: ink },
+      { x: hole.x + hole.width, y: hole.y, width: width - hole.x - hole.width, height: hole.height, color: ink }
+    );
+  }
+
+  return {
+    width,
+    height,
+    codeX,
+    codeY,
+    rects,
+    text: caption ? {
+      content: caption,
+      x: width / 2,
+      baseline: bandTop + band / 2 + fontSize * 0.35,
+      fontSize,
+      color: captionColor || (frame === 'banner' ? bgcolor : ink)
+    } : null
+  };
+}
+
+// Utility function to escape text for SVG/XML
+function escapeXML(text) {
+  return text.replace(/[&<>"']/g, (char) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' })[char]);
+}
+
+// Utility function to draw the frame rectangles and caption as SVG elements
+function frameSVGElements(layout) {
+  const elements = layout.rects.map((rect) =>
+    `<rect x="${rect.x}" y="${rect.y}" width="${rect.width}" height="${rect.height}" fill="${svgColor(rect.color)}"/>`
+  );
+  if (layout.text) {
+    const { content, x, baseline, fontSize, color } = layout.text;
+    elements.push(`<text x="${psNumber(x)}" y="${psNumber(baseline)}" font-family="Helvetica, Arial, sans-serif" font-size="${psNumber(fontSize)}" text-anchor="middle" fill="${svgColor(color)}">${escapeXML(content)}</text>`);
+  }
+  return elements.join('');
+}
+
+// Utility function to place a rendered raster code on its framed canvas
+async function applyFrame(buffer, layout) {
+  const canvas = `<svg xmlns="http://www.w3.org/2000/svg" width="${layout.width}" height="${layout.height}">${frameSVGElements(layout)}</svg>`;
+  return sharp(Buffer.from(canvas))
+    .composite([{ input: buffer, left: layout.codeX, top: layout.codeY }])
+    .png()
+    .toBuffer();
+}
+
+// Utility function to place an SVG code on its framed canvas
+function applyFrameSVG(svgString, layout) {
+  const nested = svgString.replace('<svg ', `<svg x="${layout.codeX}" y="${layout.codeY}" `);
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${layout.width}" height="${layout.height}" viewBox="0 0 ${layout.width} ${layout.height}">` +
+    `${frameSVGElements(layout)}${nested}</svg>`;
+}
+
+// Utility function to give an SVG physical dimensions in points, keeping its viewBox
+function setSVGPhysicalSize(svgString, dpi) {
+  return svgString.replace(/<svg\b[^>]*>/, (tag) => tag
+    .replace(/\swidth="([\d.]+)"/, (match, width) => ` width="${psNumber(width * 72 / dpi)}pt"`)
+    .replace(/\sheight="([\d.]+)"/, (match, height) => ` height="${psNumber(height * 72 / dpi)}pt"`));
+}
+
+// Utility function to work out a grid for structured append symbols, in reading order
+function getSymbolGrid(count, side, gap) {
+  const columns = Math.ceil(Math.sqrt(count));
+  const rows = Math.ceil(count / columns);
+  return {
+    width: columns * side + (columns - 1) * gap,
+    height: rows * side + (rows - 1) * gap,
+    positions: Array.from({ length: count }, (value, index) => ({
+      x: (index % columns) * (side + gap),
+      y: Math.floor(index / columns) * (side + gap)
+    }))
+  };
+}
+
+// Utility function to lay out raster structured append symbols on one canvas
+async function composeSymbolGrid(images, { side, gap, bgcolor }) {
+  const grid = getSymbolGrid(images.length, side, gap);
+  return sharp({
+    create: {
+      width: grid.width,
+      height: grid.height,
+      channels: 4,
+      background: { r: bgcolor.r, g: bgcolor.g, b: bgcolor.b, alpha: bgcolor.alpha === undefined ? 1 : bgcolor.alpha / 255 }
+    }
+  })
+    .composite(images.map((input, index) => ({ input, left: grid.positions[index].x, top: grid.positions[index].y })))
+    .png()
+    .toBuffer();
+}
+
+// Utility function to lay out SVG structured append symbols in one SVG
+function composeSymbolGridSVG(svgStrings, { side, gap, bgcolor }) {
+  const grid = getSymbolGrid(svgStrings.length, side, gap);
+  const background = bgcolor.alpha === 0 ? '' : `<rect x="0" y="0" width="${grid.width}" height="${grid.height}" fill="${svgColor(bgcolor)}"/>`;
+  const symbols = svgStrings.map((svgString, index) => svgString.replace('<svg ', `<svg x="${grid.positions[index].x}" y="${grid.positions[index].y}" `));
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${grid.width}" height="${grid.height}" viewBox="0 0 ${grid.width} ${grid.height}">` +
+    `${background}${symbols.join('')}</svg>`;
+}
+
+// Utility function to get the current time as ZIP (MS-DOS) time and date fields
+function getZipTimestamp() {
+  const now = new Date();
+  return {
+    dosTime: (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2),
+    dosDate: ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate()
+  };
+}
+
+// Utility function to build the local record (header, name, deflated data) and central directory record of a ZIP entry.
+// Entries may bring their data already deflated as compressed
+function createZipEntry(entry, offset, { dosTime, dosDate }) {
+  const name = Buffer.from(entry.name, 'utf8');
+  const data = Buffer.isBuffer(entry.data) ? entry.data : Buffer.from(entry.data);
+  const compressed = entry.compressed || zlib.deflateRawSync(data);
+  const crc = crc32(data);
+  
+  const local = Buffer.alloc(30);
+  local.writeUInt32LE(0x04034b50, 0);
+  local.writeUInt16LE(20, 4);
+  local.writeUInt16LE(0x0800, 6);
+  local.writeUInt16LE(8, 8);
+  local.writeUInt16LE(dosTime, 10);
+  local.writeUInt16LE(dosDate, 12);
+  local.writeUInt32LE(crc, 14);
+  local.writeUInt32LE(compressed.length, 18);
+  local.writeUInt32LE(data.length, 22);
+  local.writeUInt16LE(name.length, 26);
+  
+  const central = Buffer.alloc(46);
+  central.writeUInt32LE(0x02014b50, 0);
+  central.writeUInt16LE(20, 4);
+  central.writeUInt16LE(20, 6);
+  central.writeUInt16LE(0x0800, 8);
+  central.writeUInt16LE(8, 10);
+  central.writeUInt16LE(dosTime, 12);
+  central.writeUInt16LE(dosDate, 14);
+  central.writeUInt32LE(crc, 16);
+  central.writeUInt32LE(compressed.length, 20);
+  central.writeUInt32LE(data.length, 24);
+  central.writeUInt16LE(name.length, 28);
+  central.writeUInt32LE(offset, 42);
+  
+  return { local: Buffer.concat([local, name, compressed]), central: Buffer.concat([central, name]) };
+}
+
+// Utility function to build the end of central directory record for a ZIP archive
+function createZipEnd(count, centralDirectory, offset) {
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(count, 8);
+  end.writeUInt16LE(count, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return end;
+}
+
+// Utility function to build a ZIP archive of { name, data } entries (deflate, UTF-8 names)
+function createZip(entries) {
+  const timestamp = getZipTimestamp();
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+  
+  for (const entry of entries) {
+    const { local, central } = createZipEntry(entry, offset, timestamp);
+    localParts.push(local);
+    centralParts.push(central);
+    offset += local.length;
+  }
+  
+  const centralDirectory = Buffer.concat(centralParts);
+  return Buffer.concat([...localParts, centralDirectory, createZipEnd(entries.length, centralDirectory, offset)]);
+}
+
+// Utility function to write ZIP entries to a stream as they become ready. add() deflates off the main thread and
+// resolves to false, writing nothing, if the entry would end past limit; otherwise it resolves to true once the
+// stream can take more. finish() writes the central directory and ends the stream
+function createZipWriter(stream) {
+  const timestamp = getZipTimestamp();
+  const centralParts = [];
+  let offset = 0;
+  
+  const write = (chunk) => new Promise((resolve) => {
+    if (stream.destroyed || stream.write(chunk)) return resolve();
+    const done = () => {
+      stream.off('drain', done);
+      stream.off('close', done);
+      resolve();
+    };
+    stream.on('drain', done);
+    stream.on('close', done);
+  });
+  
+  return {
+    async add(entry, limit = MAX_ZIP_BYTES) {
+      const data = Buffer.isBuffer(entry.data) ? entry.data : Buffer.from(entry.data);
+      const compressed = await new Promise((resolve, reject) => {
+        zlib.deflateRaw(data, (error, result) => (error ? reject(error) : resolve(result)));
+      });
+      
+      // Offsets are taken and the record written in one step, so concurrent adds stay in order
+      const { local, central } = createZipEntry({ name: entry.name, data, compressed }, offset, timestamp);
+      if (offset + local.length > limit) return false;
+      centralParts.push(central);
+      offset += local.length;
+      await write(local);
+      return true;
+    },
+    finish() {
+      const centralDirectory = Buffer.concat(centralParts);
+      stream.end(Buffer.concat([centralDirectory, createZipEnd(centralParts.length, centralDirectory, offset)]));
+    }
+  };
+}
+
+// Utility function to zip structured append symbols with a manifest of their order and data
+function createStructuredAppendZip(appendParts, files, extension) {
+  const names = appendParts.parts.map((part) => `symbol-${String(part.index + 1).padStart(2, '0')}-of-${String(appendParts.total).padStart(2, '0')}.${extension}`);
+  const manifest = {
+    structuredAppend: { total: appendParts.total, parity: appendParts.parity, version: appendParts.version },
+    symbols: appendParts.parts.map((part, index) => ({ file: names[index], index: part.index, data: part.text }))
+  };
+  
+  return createZip([
+    ...files.map((data, index) => ({ name: names[index], data })),
+    { name: 'manifest.json', data: JSON.stringify(manifest, null, 2) }
+  ]);
+}
+
+// Utility function to render a Micro QR, rMQR or 2D barcode matrix as SVG at the given size
+function generateMatrixSVG(modules, { color, bgcolor, qzone, size }) {
+  const { columns, rows } = matrixDimensions(modules);
+  const [width, height] = [columns + qzone * 2, rows + qzone * 2];
+  const path = getDarkRuns(modules).map((run) => `M${run.col + qzone} ${run.row + qzone}h${run.length}v1h-${run.length}z`).join('');
+  
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${psNumber(size.width)}" height="${psNumber(size.height)}" viewBox="0 0 ${width} ${height}" shape-rendering="crispEdges">`
+    + `<path fill="${svgColor(bgcolor)}" d="M0 0h${width}v${height}H0z"/><path fill="${svgColor(color)}" d="${path}"/></svg>\n`;
+}
+
+// Utility function to draw a Micro QR, rMQR or 2D barcode matrix as a PNG, mapping each pixel to its module
+async function renderMatrixRaster(modules, { color, bgcolor, qzone, width, height }) {
+  const { columns, rows } = matrixDimensions(modules);
+  const isDark = moduleWithQuietZone(modules, qzone);
+  const pixels = Buffer.alloc(width * height * 4);
+  
+  for (let y = 0; y < height; y++) {
+    const row = Math.floor(y * (rows + qzone * 2) / height);
+    for (let x = 0; x < width; x++) {
+      const { r, g, b, alpha = 255 } = isDark(row, Math.floor(x * (columns + qzone * 2) / width)) ? color : bgcolor;
+      pixels.set([r, g, b, alpha], (y * width + x) * 4);
+    }
+  }
+  
+  return sharp(pixels, { raw: { width, height, channels: 4 } }).png().toBuffer();
+}
+
+// Utility function to describe a Micro QR, rMQR or 2D barcode symbol in the same shape as describeSymbol,
+// keeping any symbology-specific fields (ecc and mask, or shape, layers and ecPercent)
+function describeMatrixSymbol(symbol) {
+  const { modules, segments, capacity, ...info } = symbol;
+  const { columns, rows } = matrixDimensions(modules);
+  const { dataCodewords, errorCorrectionCodewords, totalBits } = capacity;
+  const usedBits = segments.reduce((sum, segment) => sum + segment.bits, 0);
+  
+  return {
+    ...info,
+    modules: { width: columns, height: rows },
+    segments,
+    capacity: {
+      dataCodewords,
+      errorCorrectionCodewords,
+      totalBits,
+      usedBits,
+      remainingBits: totalBits - usedBits,
+      usedPercent: Math.round((usedBits / totalBits) * 1000) / 10
+    }
+  };
+}
+
+// Utility function to encode and render Micro QR or rMQR output. These symbologies have their own
+// encoder and keep their proportions inside size; styling, logos, frames and ECI are QR only
+async function createMatrixSymbologyOutput(symbology, data, params, options) {
+  const { format, logo } = options;
+  const name = symbology === 'microqr' ? 'Micro QR' : 'rMQR';
+  const invalid = (message) => Object.assign(new Error(message), { status: 400 });
+  
+  if (!['png', 'gif', 'jpeg', 'jpg', 'svg', 'eps', 'pdf', 'webp', 'avif', 'tiff', 'json'].includes(format)) {
+    throw invalid(`${name} is supported for png, gif, jpeg, jpg, svg, eps, pdf, webp, avif, tiff and json output`);
+  }
+  
+  const qrOnly = ['segments', 'structuredappend', 'charset-target', 'moduleshape', 'eyeshape', 'eyeinnershape', 'eyecolor', 'eyeinnercolor', 'gradient', 'gradientcolor', 'gradientangle', 'logo', 'logoname', 'caption', 'captionsize', 'captioncolor', 'captionposition', 'frame', 'framecolor'];
+  if (logo || qrOnly.some((key) => params[key] !== undefined)) {
+    throw invalid(`${name} cannot be combined with segments, structured append, charset-target, styling, logos, captions or frames`);
+  }
+  
+  return renderMatrixSymbolOutput(encodeMatrixSymbology(symbology, data, params, options), options);
+}
+
+// Utility function to check the Micro QR or rMQR ecc, version and mask parameters and encode the data
+function encodeMatrixSymbology(symbology, data, params, { size, qzone }) {
+  const name = symbology === 'microqr' ? 'Micro QR' : 'rMQR';
+  const invalid = (message) => Object.assign(new Error(message), { status: 400 });
+  
+  // Micro QR has ECC L, M and Q depending on version; rMQR has M and H
+  const levels = symbology === 'rmqr' ? ['M', 'H'] : ['L', 'M', 'Q'];
+  const ecc = params.ecc ? params.ecc.toUpperCase() : levels[0];
+  if (!levels.includes(ecc)) {
+    throw invalid(`Invalid ecc parameter for ${name}. Valid values: ${levels.join(', ')}`);
+  }
+  
+  const versions = symbology === 'rmqr' ? RMQR_VERSIONS : MICRO_QR_VERSIONS;
+  const spec = params.version !== undefined
+    ? versions.find((candidate) => candidate.name.toUpperCase() === String(params.version).toUpperCase())
+    : null;
+  if (params.version !== undefined && !spec) {
+    throw invalid(`Invalid version parameter for ${name}. Valid values: ${versions.map((candidate) => candidate.name).join(', ')}`);
+  }
+  if (spec && symbology === 'microqr' && !spec.dataBits[ecc]) {
+    throw invalid(`Micro QR version ${spec.name} supports ecc ${Object.keys(spec.dataBits).join(', ')} only`);
+  }
+  
+  if (params.mask !== undefined && (symbology === 'rmqr' || !/^[0-3]$/.test(String(params.mask)))) {
+    throw invalid(symbology === 'rmqr' ? 'rMQR always uses the same data mask; mask is not supported' : 'Invalid mask parameter for Micro QR. Valid range: 0-3');
+  }
+  
+  const segmentOptions = parseSegmentOptions(params, data, null);
+  if (segmentOptions.error) {
+    throw invalid(segmentOptions.error);
+  }
+  
+  // rMQR picks the version with the largest modules inside an explicit size, else the smallest that fits
+  const mode = (params.mode || 'auto').toLowerCase();
+  return symbology === 'rmqr'
+    ? encodeRMQR(data, { mode, ecc, version: spec && spec.name, box: params.size ? { width: size.width, height: size.height, qzone } : null })
+    : encodeMicroQR(data, { mode, ecc, version: spec && spec.name, maskPattern: params.mask !== undefined ? parseInt(params.mask) : undefined });
+}
+
+// Utility function to render an encoded Micro QR, rMQR or 2D barcode symbol in the requested format.
+// Modules stay square, so the symbol keeps its proportions inside size
+async function renderMatrixSymbolOutput(symbol, options) {
+  const { format, size, sizeResult, dpi, margin, physicalMargin, qzoneLength, minModuleLength, crisp, color, bgcolor, cmyk, spot, pageSize, matrixEncoding, rasterOptions } = options;
+  const invalid = (message) => Object.assign(new Error(message), { status: 400 });
+  const { columns, rows } = matrixDimensions(symbol.modules);
+  
+  // Physical quiet zones become whole modules
+  let qzone = options.qzone;
+  if (qzoneLength && qzoneLength.physical) {
+    const moduleWidth = Math.min((size.width - qzoneLength.pixels * 2) / columns, (size.height - qzoneLength.pixels * 2) / rows);
+    if (moduleWidth <= 0) {
+      throw invalid('Invalid qzone parameter. The quiet zone leaves no room for the code at this size');
+    }
+    qzone = Math.min(100, Math.round(qzoneLength.pixels / moduleWidth));
+  }
+  
+  // Modules are square, so the code fills size in one direction; crisp output uses whole pixels per module
+  const headers = {};
+  let modulePixels = Math.min(size.width / (columns + qzone * 2), size.height / (rows + qzone * 2));
+  if (crisp) {
+    modulePixels = Math.floor(modulePixels);
+    if (modulePixels < 1) {
+      throw invalid(`size is too small for crisp output: the code needs at least ${columns + qzone * 2}x${rows + qzone * 2} pixels`);
+    }
+    headers['X-QR-Module-Pixels'] = String(modulePixels);
+    headers['Access-Control-Expose-Headers'] = 'X-QR-Module-Pixels';
+  }
+  const codeSize = { width: modulePixels * (columns + qzone * 2), height: modulePixels * (rows + qzone * 2) };
+  
+  let moduleSizeMm = null;
+  if (sizeResult.physical) {
+    const minModuleMm = minModuleLength ? minModuleLength.mm : MIN_MODULE_MM;
+    moduleSizeMm = modulePixels * 25.4 / dpi;
+    
+    if (moduleSizeMm < minModuleMm) {
+      throw Object.assign(new Error(`Modules would print at ${moduleSizeMm.toFixed(3)} mm, below the ${minModuleMm} mm minimum. Use a larger size, a lower ecc or shorter data`), {
+        status: 422,
+        details: { version: symbol.version, moduleSizeMm: Number(moduleSizeMm.toFixed(4)), minModuleMm }
+      });
+    }
+  }
+  
+  if (format === 'json') {
+    return {
+      headers,
+      json: {
+        ...describeMatrixSymbol(symbol),
+        dimensions: {
+          width: codeSize.width + margin * 2,
+          height: codeSize.height + margin * 2,
+          moduleSize: modulePixels,
+          qzone,
+          margin,
+          moduleSizeMm: moduleSizeMm === null ? undefined : Number(moduleSizeMm.toFixed(4))
+        },
+        matrixEncoding,
+        matrix: exportMatrix(symbol.modules, matrixEncoding)
+      }
+    };
+  }
+  
+  if (format === 'svg') {
+    const svgString = generateMatrixSVG(symbol.modules, { color, bgcolor, qzone, size: codeSize });
+    return { headers, contentType: 'image/svg+xml', body: sizeResult.physical ? setSVGPhysicalSize(svgString, dpi) : svgString };
+  }
+  
+  if (format === 'eps') {
+    // Same units as QR EPS output: points for physical lengths, plain numbers as points
+    const pointsPerPixel = sizeResult.physical ? 72 / dpi : 1;
+    const epsSize = { width: codeSize.width * pointsPerPixel, height: codeSize.height * pointsPerPixel };
+    const epsMargin = physicalMargin ? margin * 72 / dpi : margin;
+    return { headers, contentType: 'application/postscript', body: generateEPS(symbol.modules, { color, bgcolor, qzone, margin: epsMargin, size: epsSize, cmyk, spot }) };
+  }
+  
+  if (format === 'pdf') {
+    return { headers, contentType: 'application/pdf', body: generatePDF(symbol.modules, { color, bgcolor, qzone, margin, size: codeSize, dpi, pageSize, cmyk, spot, frame: null }) };
+  }
+  
+  let buffer = await renderMatrixRaster(symbol.modules, { color, bgcolor, qzone, width: Math.round(codeSize.width), height: Math.round(codeSize.height) });
+  if (margin > 0) {
+    buffer = await sharp(buffer)
+      .extend({ top: margin, bottom: margin, left: margin, right: margin, background: { r: bgcolor.r, g: bgcolor.g, b: bgcolor.b, alpha: bgcolor.alpha === undefined ? 1 : bgcolor.alpha / 255 } })
+      .toBuffer();
+  }
+  
+  const output = await encodeRasterOutput(buffer, format, rasterOptions);
+  return { headers, contentType: output.contentType, body: output.buffer };
+}
+
+// Utility function to lay out a linear barcode in pixels: bars, bearer bars and human-readable text.
+// Bars fill the height above the text band; EAN/UPC guard bars reach halfway into it
+function getLinearLayout(barcode, { width, height, humanReadable }) {
+  const [quietLeft, quietRight] = barcode.quietZone;
+  const totalModules = quietLeft + barcode.modules.length + quietRight;
+  const modulePixels = width / totalModules;
+  const guarded = Boolean(barcode.guards);
+
+  // EAN/UPC digits are about 9 modules high; other text shrinks to fit under the bars
+  let fontSize = 0;
+  if (humanReadable) {
+    const widest = Math.max(...barcode.texts.map((text) => captionWidth(text.content)));
+    fontSize = Math.min(height * 0.2, guarded ? modulePixels * 9 : Math.min(modulePixels * 10, (barcode.modules.length * modulePixels * 0.95) / (widest * 1.15)));
+  }
+  const band = fontSize * 1.25;
+  const barBottom = height - band;
+  const bearer = (barcode.bearer || 0) * modulePixels;
+
+  const rects = [];
+  for (let i = 0; i < barcode.modules.length; i++) {
+    if (barcode.modules[i] !== '1' || barcode.modules[i - 1] === '1') continue;
+    let end = i;
+    while (barcode.modules[end] === '1') end++;
+    const guard = humanReadable && guarded && barcode.guards.some(([from, to]) => i >= from && i < to);
+    const barEnd = guard ? barBottom + band / 2 : barBottom - bearer;
+    rects.push({ x: (quietLeft + i) * modulePixels, y: bearer, width: (end - i) * modulePixels, height: barEnd - bearer });
+  }
+  if (bearer) {
+    rects.push({ x: 0, y: 0, width, height: bearer }, { x: 0, y: barBottom - bearer, width, height: bearer });
+  }
+
+  return {
+    width,
+    height,
+    modulePixels,
+    barHeight: barBottom - bearer * 2,
+    rects,
+    texts: humanReadable ? barcode.texts.map((text) => ({
+      content: text.content,
+      x: text.at === 'center' ? width / 2 : (quietLeft + text.x) * modulePixels,
+      baseline: height - band * 0.2,
+      fontSize: fontSize * (text.small ? 0.75 : 1)
+    })) : []
+  };
+}
+
+// Utility function to render a linear barcode layout as SVG
+function generateLinearSVG(layout, { color, bgcolor, margin }) {
+  const [width, height] = [layout.width + margin * 2, layout.height + margin * 2];
+  const path = layout.rects.map((rect) => `M${psNumber(rect.x + margin)} ${psNumber(rect.y + margin)}h${psNumber(rect.width)}v${psNumber(rect.height)}h-${psNumber(rect.width)}z`).join('');
+  const texts = layout.texts.map((text) =>
+    `<text x="${psNumber(text.x + margin)}" y="${psNumber(text.baseline + margin)}" font-family="Helvetica, Arial, sans-serif" font-size="${psNumber(text.fontSize)}" text-anchor="middle" fill="${svgColor(color)}">${escapeXML(text.content)}</text>`
+  ).join('');
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${psNumber(width)}" height="${psNumber(height)}" viewBox="0 0 ${psNumber(width)} ${psNumber(height)}">`
+    + `<path fill="${svgColor(bgcolor)}" d="M0 0h${psNumber(width)}v${psNumber(height)}H0z"/><path fill="${svgColor(color)}" shape-rendering="crispEdges" d="${path}"/>${texts}</svg>\n`;
+}
+
+// Utility function to render a linear barcode layout as vector EPS, in points
+function generateLinearEPS(layout, { color, bgcolor, margin, scale, cmyk, spot, title }) {
+  const width = (layout.width + margin * 2) * scale;
+  const height = (layout.height + margin * 2) * scale;
+  const setColor = cmyk ? 'setcmykcolor' : 'setrgbcolor';
+  const x = (value) => psNumber((value + margin) * scale);
+  const y = (value) => psNumber(height - (value + margin) * scale);
+
+  const lines = [
+    '%!PS-Adobe-3.0 EPSF-3.0',
+    `%%BoundingBox: 0 0 ${Math.ceil(width)} ${Math.ceil(height)}`,
+    `%%HiResBoundingBox: 0 0 ${psNumber(width)} ${psNumber(height)}`,
+    '%%Creator: QR Code Generator API',
+    // DSC comments are single lines, so control characters in the data are dropped from the title
+    `%%Title: ${title.replace(/[\x00-\x1f\x7f-\x9f]/g, '')}`,
+    '%%Pages: 1'
+  ];
+  if (cmyk) {
+    lines.push('%%DocumentProcessColors: Cyan Magenta Yellow Black');
+  }
+  if (spot) {
+    lines.push(`%%DocumentCustomColors: (${pdfString(spot)})`, `%%CMYKCustomColor: ${colorOperands(color, true)} (${pdfString(spot)})`);
+  }
+  if (layout.texts.length) {
+    lines.push('%%DocumentNeededResources: font Helvetica');
+  }
+  lines.push(
+    '%%EndComments',
+    '/R { newpath 4 2 roll moveto 1 index 0 rlineto 0 exch rlineto neg 0 rlineto closepath fill } bind def',
+    '/C { moveto dup stringwidth pop 2 div neg 0 rmoveto show } bind def'
+  );
+
+  if (bgcolor.alpha !== 0) {
+    lines.push(`${colorOperands(bgcolor, cmyk)} ${setColor}`, `0 0 ${psNumber(width)} ${psNumber(height)} R`);
+  }
+  if (spot) {
+    const [c, m, yellow, k] = colorOperands(color, true).split(' ');
+    lines.push(
+      `[/Separation (${pdfString(spot)}) /DeviceCMYK { dup ${c} mul exch dup ${m} mul exch dup ${yellow} mul exch ${k} mul }] setcolorspace`,
+      '1 setcolor'
+    );
+  } else {
+    lines.push(`${colorOperands(color, cmyk)} ${setColor}`);
+  }
+
+  // Rectangles are given by their bottom-left corner in PostScript
+  for (const rect of layout.rects) {
+    lines.push(`${x(rect.x)} ${y(rect.y + rect.height)} ${psNumber(rect.width * scale)} ${psNumber(rect.height * scale)} R`);
+  }
+  for (const text of layout.texts) {
+    lines.push(`/Helvetica findfont ${psNumber(text.fontSize * scale)} scalefont setfont`, `(${pdfString(text.content)}) ${x(text.x)} ${y(text.baseline)} C`);
+  }
+
+  lines.push('showpage', '%%EOF');
+  return lines.join('\n') + '\n';
+}
+
+// Utility function to render a linear barcode layout as a single-page vector PDF
+function generateLinearPDF(layout, { color, bgcolor, margin, dpi, pageSize, cmyk, spot }) {
+  let scale = 72 / dpi;
+  let pageWidth = (layout.width + margin * 2) * scale;
+  let pageHeight = (layout.height + margin * 2) * scale;
+  if (pageSize) {
+    const [codeWidth, codeHeight] = [pageWidth, pageHeight];
+    [pageWidth, pageHeight] = PDF_PAGE_SIZES[pageSize];
+    scale *= Math.min(1, pageWidth / codeWidth, pageHeight / codeHeight);
+  }
+
+  const width = (layout.width + margin * 2) * scale;
+  const height = (layout.height + margin * 2) * scale;
+  const left = (pageWidth - width) / 2;
+  const bottom = (pageHeight - height) / 2;
+  const x = (value) => psNumber(left + (value + margin) * scale);
+  const y = (value) => psNumber(bottom + height - (value + margin) * scale);
+  const fillOperator = cmyk ? 'k' : 'rg';
+
+  const content = [];
+  if (bgcolor.alpha !== 0) {
+    content.push(`${colorOperands(bgcolor, cmyk)} ${fillOperator}`, `${psNumber(left)} ${psNumber(bottom)} ${psNumber(width)} ${psNumber(height)} re f`);
+  }
+  content.push(spot ? '/CS0 cs 1 scn' : `${colorOperands(color, cmyk)} ${fillOperator}`);
+  for (const rect of layout.rects) {
+    content.push(`${x(rect.x)} ${y(rect.y + rect.height)} ${psNumber(rect.width * scale)} ${psNumber(rect.height * scale)} re`);
+  }
+  content.push('f');
+  for (const text of layout.texts) {
+    const textWidth = captionWidth(text.content) * text.fontSize;
+    content.push(`BT /F1 ${psNumber(text.fontSize * scale)} Tf ${x(text.x - textWidth / 2)} ${y(text.baseline)} Td (${pdfString(text.content)}) Tj ET`);
+  }
+
+  const resourceEntries = [];
+  if (spot) {
+    resourceEntries.push(`/ColorSpace << /CS0 [/Separation ${pdfName(spot)} /DeviceCMYK << /FunctionType 2 /Domain [0 1] /C0 [0 0 0 0] /C1 [${colorOperands(color, true)}] /N 1 >>] >>`);
+  }
+  if (layout.texts.length) {
+    resourceEntries.push('/Font << /F1 << /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >> >>');
+  }
+  return writePDFDocument(content, `<< ${resourceEntries.join(' ')}${resourceEntries.length ? ' ' : ''}>>`, pageWidth, pageHeight);
+}
+
+// Utility function to render a linear barcode in the requested format. The bars fill the width of size
+// (whole pixels per module with crisp), and text sits in a band under the bars
+async function renderLinearBarcodeOutput(barcode, options) {
+  const { format, size, sizeResult, explicitSize, dpi, margin, qzone, minModuleLength, crisp, humanReadable, color, bgcolor, cmyk, spot, pageSize, rasterOptions } = options;
+  const invalid = (message) => Object.assign(new Error(message), { status: 400 });
+
+  // The quiet zone is at least the symbology's minimum, wider if qzone asks for it
+  barcode = { ...barcode, quietZone: barcode.quietZone.map((modules) => Math.max(modules, qzone)) };
+  const totalModules = barcode.quietZone[0] + barcode.modules.length + barcode.quietZone[1];
+
+  // Without size: 2 pixels per module and 100 pixels high
+  const headers = {};
+  let modulePixels = explicitSize ? size.width / totalModules : 2;
+  if (crisp) {
+    modulePixels = Math.floor(modulePixels);
+    if (modulePixels < 1) {
+      throw invalid(`size is too small for crisp output: the barcode needs at least ${totalModules} pixels across`);
+    }
+    headers['X-QR-Module-Pixels'] = String(modulePixels);
+    headers['Access-Control-Expose-Headers'] = 'X-QR-Module-Pixels';
+  }
+  const layout = getLinearLayout(barcode, { width: modulePixels * totalModules, height: explicitSize ? size.height : 100, humanReadable });
+  if (layout.barHeight < modulePixels * 5) {
+    throw invalid('size is too short: leave room for bars at least 5 modules high above the text');
+  }
+
+  let moduleSizeMm = null;
+  if (sizeResult.physical) {
+    const minModuleMm = minModuleLength ? minModuleLength.mm : MIN_MODULE_MM;
+    moduleSizeMm = modulePixels * 25.4 / dpi;
+    if (moduleSizeMm < minModuleMm) {
+      throw Object.assign(new Error(`Bars would print ${moduleSizeMm.toFixed(3)} mm wide, below the ${minModuleMm} mm minimum. Use a larger size or shorter data`), {
+        status: 422,
+        details: { symbology: barcode.symbology, moduleSizeMm: Number(moduleSizeMm.toFixed(4)), minModuleMm }
+      });
+    }
+  }
+
+  if (format === 'json') {
+    return {
+      headers,
+      json: {
+        symbology: barcode.symbology,
+        data: barcode.data,
+        checkDigit: barcode.checkDigit,
+        humanReadable: humanReadable ? barcode.texts.map((text) => text.content).join(' ') : null,
+        modules: { width: barcode.modules.length, quietZone: barcode.quietZone },
+        dimensions: {
+          width: layout.width + margin * 2,
+          height: layout.height + margin * 2,
+          moduleSize: modulePixels,
+          barHeight: layout.barHeight,
+          margin,
+          moduleSizeMm: moduleSizeMm === null ? undefined : Number(moduleSizeMm.toFixed(4))
+        },
+        bars: barcode.modules
+      }
+    };
+  }
+
+  if (format === 'svg') {
+    const svgString = generateLinearSVG(layout, { color, bgcolor, margin });
+    return { headers, contentType: 'image/svg+xml', body: sizeResult.physical ? setSVGPhysicalSize(svgString, dpi) : svgString };
+  }
+
+  if (format === 'eps') {
+    // Same units as QR EPS output: points for physical lengths, plain numbers as points
+    const scale = sizeResult.physical ? 72 / dpi : 1;
+    return { headers, contentType: 'application/postscript', body: generateLinearEPS(layout, { color, bgcolor, margin, scale, cmyk, spot, title: `${barcode.symbology} ${barcode.data}` }) };
+  }
+
+  if (format === 'pdf') {
+    return { headers, contentType: 'application/pdf', body: generateLinearPDF(layout, { color, bgcolor, margin, dpi, pageSize, cmyk, spot }) };
+  }
+
+  // Raster output rasterises the SVG at one pixel per unit
+  const buffer = await sharp(Buffer.from(generateLinearSVG(layout, { color, bgcolor, margin }))).png().toBuffer();
+  const output = await encodeRasterOutput(buffer, format, rasterOptions);
+  return { headers, contentType: output.contentType, body: output.buffer };
+}
+
+// Utility function to wrap a multer single-file upload with JSON errors
+function acceptUpload(field) {
+  return (req, res, next) => {
+    upload.single(field)(req, res, (error) => {
+      if (error) {
+        return res.status(error.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({ error: `Invalid upload: ${error.message}` });
+      }
+      next();
+    });
+  };
+}
+
+// Utility function to parse the logo sizing and plate options
+function parseLogoOptions(params) {
+  const ratio = params.logosize !== undefined ? parseFloat(params.logosize) : 0.2;
+  const padding = params.logopadding !== undefined ? parseFloat(params.logopadding) : 1;
+  const plate = (params.logoplate || 'rounded').toLowerCase();
+  const knockout = params.logoknockout === 'true' || params.logoknockout === '1';
+
+  if (!(ratio >= 0.05 && ratio <= 0.3)) {
+    return { error: 'Invalid logosize parameter. Valid range: 0.05-0.3 (fraction of the symbol width)' };
+  }
+  if (!(padding >= 0 && padding <= 5)) {
+    return { error: 'Invalid logopadding parameter. Valid range: 0-5 modules' };
+  }
+  if (!['none', 'square', 'rounded'].includes(plate)) {
+    return { error: 'Invalid logoplate parameter. Valid values: none, square, rounded' };
+  }
+  return { ratio, padding, plate, knockout };
+}
+
+// Utility function to load the logo from an upload, a base64 parameter or the named logo directory
+async function loadLogo(params, file) {
+  let logo;
+
+  if (file) {
+    logo = file.buffer;
+  } else if (params.logoname) {
+    if (!/^[A-Za-z0-9_-]{1,64}$/.test(params.logoname)) {
+      throw Object.assign(new Error('Invalid logoname parameter. Use letters, digits, "-" and "_"'), { status: 400 });
+    }
+    const logoPath = ['png', 'svg', 'jpg', 'jpeg', 'webp']
+      .map((ext) => path.join(LOGO_DIR, `${params.logoname}.${ext}`))
+      .find((candidate) => fs.existsSync(candidate));
+    if (!logoPath) {
+      throw Object.assign(new Error(`Unknown logo: ${params.logoname}`), { status: 404 });
+    }
+    logo = fs.readFileSync(logoPath);
+  } else {
+    // Query strings turn "+" into spaces, so put them back before decoding
+    const encoded = String(params.logo).replace(/^data:[^,]*;base64,/, '').replace(/ /g, '+');
+    logo = Buffer.from(encoded, 'base64');
+  }
+
+  if (logo.length > MAX_UPLOAD_BYTES) {
+    throw Object.assign(new Error('Logo image is too large'), { status: 413 });
+  }
+
+  let metadata;
+  try {
+    metadata = await sharp(logo).metadata();
+  } catch (error) {
+    metadata = {};
+  }
+  if (!['png', 'jpeg', 'webp', 'gif', 'svg'].includes(metadata.format)) {
+    throw Object.assign(new Error('Unsupported logo format. Use PNG, JPEG, WebP, GIF or SVG'), { status: 415 });
+  }
+  return { buffer: logo, format: metadata.format };
+}
+
+// Utility function to work out the centred logo and plate area in module units
+function getLogoArea(symbolSize, { ratio, padding }) {
+  const logoModules = symbolSize * ratio;
+  const plate = logoModules + padding * 2;
+  const start = (symbolSize - plate) / 2;
+
+  // Whole modules touched by the plate
+  return {
+    logoModules,
+    plate,
+    start,
+    first: Math.floor(start),
+    last: Math.ceil(start + plate) - 1
+  };
+}
+
+// Codewords reserved for misdecode protection in the smallest symbols (ISO/IEC 18004 table 9)
+const MISDECODE_PROTECTION = {
+  1: { L: 3, M: 2, Q: 1, H: 1 },
+  2: { L: 2 },
+  3: { L: 1 }
+};
+
+// Utility function to map each codeword of the interleaved stream to its Reed-Solomon block
+function getCodewordBlocks(version, errorCorrectionLevel) {
+  const totalCodewords = QRUtils.getSymbolTotalCodewords(version);
+  const ecTotalCodewords = QRErrorCorrectionCode.getTotalCodewordsCount(version, errorCorrectionLevel);
+  const blockCount = QRErrorCorrectionCode.getBlocksCount(version, errorCorrectionLevel);
+  const blocksInGroup1 = blockCount - (totalCodewords % blockCount);
+  const dataCodewordsInGroup1 = Math.floor((totalCodewords - ecTotalCodewords) / blockCount);
+  const ecCount = Math.floor(totalCodewords / blockCount) - dataCodewordsInGroup1;
+  const blocks = [];
+
+  // Data codewords are interleaved first (group 2 blocks hold one extra), then the EC codewords
+  for (let i = 0; i <= dataCodewordsInGroup1; i++) {
+    for (let b = 0; b < blockCount; b++) {
+      if (i < dataCodewordsInGroup1 || b >= blocksInGroup1) blocks.push(b);
+    }
+  }
+  for (let i = 0; i < ecCount; i++) {
+    for (let b = 0; b < blockCount; b++) blocks.push(b);
+  }
+
+  return { blocks, blockCount, ecCount };
+}
+
+// Utility function to check that a logo area stays within the error correction budget
+function checkLogoBudget(qrData, ecc, area) {
+  const { modules, version, errorCorrectionLevel } = qrData;
+  const size = modules.size;
+  const { blocks, blockCount, ecCount } = getCodewordBlocks(version, errorCorrectionLevel);
+  const correctable = Math.floor((ecCount - ((MISDECODE_PROTECTION[version] || {})[ecc] || 0)) / 2);
+  const covered = (row, col) => row >= area.first && row <= area.last && col >= area.first && col <= area.last;
+
+  // Finder patterns, separators, format info and timing sit within 9 modules of the edges
+  const coversFunctionPatterns = area.first < 9;
+
+  // Walk the data modules in placement order and note every codeword the logo touches
+  const damaged = new Set();
+  let bitIndex = 0;
+  let row = size - 1;
+  let inc = -1;
+  for (let col = size - 1; col > 0; col -= 2) {
+    if (col === 6) col--;
+
+    while (true) {
+      for (let c = 0; c < 2; c++) {
+        if (!modules.isReserved(row, col - c)) {
+          if (covered(row, col - c)) damaged.add(Math.floor(bitIndex / 8));
+          bitIndex++;
+        }
+      }
+
+      row += inc;
+      if (row < 0 || size <= row) {
+        row -= inc;
+        inc = -inc;
+        break;
+      }
+    }
+  }
+
+  const perBlock = new Array(blockCount).fill(0);
+  for (const codeword of damaged) {
+    // Remainder bits past the last codeword carry no data
+    if (codeword < blocks.length) perBlock[blocks[codeword]]++;
+  }
+  const worstBlock = Math.max(...perBlock);
+
+  return {
+    ok: !coversFunctionPatterns && worstBlock <= correctable,
+    coversFunctionPatterns,
+    damagedCodewords: damaged.size,
+    worstBlock,
+    correctable
+  };
+}
+
+// Utility function to describe why a logo does not fit the symbol
+function logoBudgetError(budget, ecc, version, pinned) {
+  if (budget.coversFunctionPatterns) {
+    return `Logo covers the finder, timing or format modules of version ${version}. ` +
+      (pinned ? 'Use a higher version or a smaller logosize or logopadding' : 'Use a smaller logosize or logopadding');
+  }
+  return `Logo covers too much of the code: up to ${budget.worstBlock} damaged codewords in one block, ` +
+    `but ECC ${ecc} can only correct ${budget.correctable}. ` +
+    (ecc === 'H' ? 'Use a smaller logosize or logopadding' : 'Use ecc=H or a smaller logosize or logopadding');
+}
+
+// Utility function to build the knock-out and backing plate shapes as SVG
+function logoPlateShapes(area, { plate, knockout, bgcolor }, toPixels, fill = svgColor(bgcolor)) {
+  const shapes = [];
+
+  if (knockout) {
+    // Clear whole modules so none are left cut in half around the plate
+    const x = toPixels(area.first);
+    const end = toPixels(area.last + 1);
+    shapes.push(`<rect x="${x}" y="${x}" width="${end - x}" height="${end - x}" fill="${fill}"/>`);
+  }
+  if (plate !== 'none') {
+    const x = toPixels(area.start);
+    const side = toPixels(area.start + area.plate) - x;
+    const radius = plate === 'rounded' ? side * 0.2 : 0;
+    shapes.push(`<rect x="${x}" y="${x}" width="${side}" height="${side}" rx="${radius}" fill="${fill}" shape-rendering="geometricPrecision"/>`);
+  }
+  return shapes.join('');
+}
+
+// Utility function to composite the logo onto a rendered raster code
+async function applyLogo(buffer, logo, symbolSize, { qzone, margin, size, bgcolor, ratio, padding, plate, knockout }) {
+  // Match the qrcode renderer: fractional module scale, quiet zone rounded down
+  const scale = size.width / (symbolSize + qzone * 2);
+  const origin = margin + Math.floor(qzone * scale);
+  const toPixels = (modulePosition) => origin + Math.ceil(modulePosition * scale);
+  const area = getLogoArea(symbolSize, { ratio, padding });
+  const { width, height } = await sharp(buffer).metadata();
+  const overlays = [];
+
+  const shapes = logoPlateShapes(area, { plate, knockout, bgcolor }, toPixels);
+  if (shapes) {
+    const canvas = (content) => Buffer.from(`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">${content}</svg>`);
+    if (isTranslucent(bgcolor)) {
+      // Painting a see-through plate would leave the modules showing, so cut them out first
+      overlays.push({ input: canvas(logoPlateShapes(area, { plate, knockout, bgcolor }, toPixels, '#000')), left: 0, top: 0, blend: 'dest-out' });
+    }
+    overlays.push({ input: canvas(shapes), left: 0, top: 0 });
+  }
+
+  const logoPixels = Math.max(1, Math.round(area.logoModules * scale));
+  const logoOffset = origin + Math.round((area.start + padding) * scale);
+  overlays.push({
+    input: await sharp(logo.buffer)
+      .resize(logoPixels, logoPixels, { fit: 'contain', background: { r: 0, g: 0, b: 0, alpha: 0 } })
+      .png()
+      .toBuffer(),
+    left: logoOffset,
+    top: logoOffset
+  });
+
+  return sharp(buffer).composite(overlays).png().toBuffer();
+}
+
+// Utility function to add the logo to an SVG code from the qrcode renderer
+async function applyLogoSVG(svgString, logo, symbolSize, { qzone, bgcolor, ratio, padding, plate, knockout }) {
+  const area = getLogoArea(symbolSize, { ratio, padding });
+  const shapes = logoPlateShapes(area, { plate, knockout, bgcolor }, (modulePosition) => qzone + modulePosition);
+
+  // Raster logos are embedded as PNG, SVG logos as they are
+  const href = logo.format === 'svg'
+    ? `data:image/svg+xml;base64,${logo.buffer.toString('base64')}`
+    : `data:image/png;base64,${(await sharp(logo.buffer).png().toBuffer()).toString('base64')}`;
+  const position = qzone + area.start + padding;
+  const image = `<image x="${position}" y="${position}" width="${area.logoModules}" height="${area.logoModules}" preserveAspectRatio="xMidYMid meet" href="${href}"/>`;
+
+  if (shapes && isTranslucent(bgcolor)) {
+    // Mask the modules out under a see-through plate instead of painting over them
+    const total = symbolSize + qzone * 2;
+    const cutout = logoPlateShapes(area, { plate, knockout, bgcolor }, (modulePosition) => qzone + modulePosition, '#000');
+    const open = svgString.indexOf('>') + 1;
+    return svgString.slice(0, open) +
+      `<defs><mask id="logo-cutout"><rect width="${total}" height="${total}" fill="#fff"/>${cutout}</mask></defs>` +
+      `<g mask="url(#logo-cutout)">${svgString.slice(open, svgString.lastIndexOf('</svg>'))}</g>${shapes}${image}</svg>`;
+  }
+  return svgString.replace('</svg>', `${shapes}${image}</svg>`);
+}
+
+// Utility function to map module coordinates onto a located symbol (perspective transform)
+function createModuleMapper(location, dimension) {
+  const p1 = location.topLeftCorner;
+  const p2 = location.topRightCorner;
+  const p3 = location.bottomRightCorner;
+  const p4 = location.bottomLeftCorner;
+  const dx3 = p1.x - p2.x + p3.x - p4.x;
+  const dy3 = p1.y - p2.y + p3.y - p4.y;
+  let a13 = 0;
+  let a23 = 0;
+
+  if (dx3 !== 0 || dy3 !== 0) {
+    const dx1 = p2.x - p3.x, dx2 = p4.x - p3.x;
+    const dy1 = p2.y - p3.y, dy2 = p4.y - p3.y;
+    const denominator = dx1 * dy2 - dx2 * dy1;
+    a13 = (dx3 * dy2 - dx2 * dy3) / denominator;
+    a23 = (dx1 * dy3 - dx3 * dy1) / denominator;
+  }
+
+  const a11 = p2.x - p1.x + a13 * p2.x, a21 = p4.x - p1.x + a23 * p4.x;
+  const a12 = p2.y - p1.y + a13 * p2.y, a22 = p4.y - p1.y + a23 * p4.y;
+
+  // Returns the image position of the centre of module (row, col)
+  return (row, col) => {
+    const u = (col + 0.5) / dimension;
+    const v = (row + 0.5) / dimension;
+    const w = a13 * u + a23 * v + 1;
+    return { x: (a11 * u + a21 * v + p1.x) / w, y: (a12 * u + a22 * v + p1.y) / w };
+  };
+}
+
+// Utility function to sample the modules of a located symbol: returns whether module (row, col) is dark,
+// with inverted (light on dark) symbols turned the right way round
+function createModuleSampler(pixels, width, height, location, version) {
+  const dimension = version * 4 + 17;
+  const mapModule = createModuleMapper(location, dimension);
+  const luminance = (x, y) => {
+    const px = Math.min(width - 1, Math.max(0, Math.round(x)));
+    const py = Math.min(height - 1, Math.max(0, Math.round(y)));
+    const i = (py * width + px) * 4;
+    return 0.299 * pixels[i] + 0.587 * pixels[i + 1] + 0.114 * pixels[i + 2];
+  };
+
+  // Threshold halfway between the darkest and lightest module in the symbol
+  let darkest = 255;
+  let lightest = 0;
+  for (let row = 0; row < dimension; row += 2) {
+    for (let col = 0; col < dimension; col += 2) {
+      const { x, y } = mapModule(row, col);
+      const value = luminance(x, y);
+      darkest = Math.min(darkest, value);
+      lightest = Math.max(lightest, value);
+    }
+  }
+  const threshold = (darkest + lightest) / 2;
+  const isDark = (row, col) => {
+    const { x, y } = mapModule(row, col);
+    return luminance(x, y) < threshold;
+  };
+
+  // Finder pattern centres are dark (corners may be rounded off by styling), so a light centre means an inverted symbol
+  const inverted = !isDark(3, 3);
+  return (row, col) => isDark(row, col) !== inverted;
+}
+
+// Utility function to read a decoded symbol's ECC level and mask from its format information
+function readFormatInfo(pixels, width, height, location, version) {
+  const dimension = version * 4 + 17;
+  const isDark = createModuleSampler(pixels, width, height, location, version);
+
+  // Both copies of the 15 format bits (see ISO/IEC 18004 7.9)
+  let first = 0;
+  let second = 0;
+  for (let i = 0; i < 15; i++) {
+    const firstRow = i < 6 ? i : i < 8 ? i + 1 : dimension - 15 + i;
+    const secondCol = i < 8 ? dimension - i - 1 : i < 9 ? 15 - i : 14 - i;
+    first |= (isDark(firstRow, 8) ? 1 : 0) << i;
+    second |= (isDark(8, secondCol) ? 1 : 0) << i;
+  }
+
+  // Pick the valid format code closest to either copy
+  const bitCount = (value) => value.toString(2).replace(/0/g, '').length;
+  let best = null;
+  for (const ecc of ['L', 'M', 'Q', 'H']) {
+    for (let mask = 0; mask < 8; mask++) {
+      const code = QRFormatInfo.getEncodedBits(QRErrorCorrectionLevel[ecc], mask);
+      const distance = Math.min(bitCount(code ^ first), bitCount(code ^ second));
+      if (!best || distance < best.distance) {
+        best = { ecc, mask, distance };
+      }
+    }
+  }
+
+  return best.distance <= 3 ? { ecc: best.ecc, mask: best.mask } : { ecc: null, mask: null };
+}
+
+// Utility function to paint over a decoded symbol so the next scan finds the others
+function eraseSymbol(pixels, width, height, corners) {
+  const centre = {
+    x: corners.reduce((sum, corner) => sum + corner.x, 0) / 4,
+    y: corners.reduce((sum, corner) => sum + corner.y, 0) / 4
+  };
+  // Grow the quad a little so no finder pattern fragments survive
+  const quad = corners.map((corner) => ({ x: centre.x + (corner.x - centre.x) * 1.1, y: centre.y + (corner.y - centre.y) * 1.1 }));
+  const minX = Math.max(0, Math.floor(Math.min(...quad.map((p) => p.x))));
+  const maxX = Math.min(width - 1, Math.ceil(Math.max(...quad.map((p) => p.x))));
+  const minY = Math.max(0, Math.floor(Math.min(...quad.map((p) => p.y))));
+  const maxY = Math.min(height - 1, Math.ceil(Math.max(...quad.map((p) => p.y))));
+
+  for (let y = minY; y <= maxY; y++) {
+    for (let x = minX; x <= maxX; x++) {
+      let inside = false;
+      for (let i = 0, j = 3; i < 4; j = i++) {
+        if ((quad[i].y > y) !== (quad[j].y > y) &&
+            x < (quad[j].x - quad[i].x) * (y - quad[i].y) / (quad[j].y - quad[i].y) + quad[i].x) {
+          inside = !inside;
+        }
+      }
+      if (inside) {
+        pixels.fill(255, (y * width + x) * 4, (y * width + x) * 4 + 4);
+      }
+    }
+  }
+}
+
+// Utility function to find separate blobs of ink that may each hold a symbol
+function findCandidateRegions(pixels, width, height) {
+  // Work on a coarse grid: a cell is inked if any pixel in it is dark
+  const step = Math.max(1, Math.ceil(Math.max(width, height) / 256));
+  const gridWidth = Math.ceil(width / step);
+  const gridHeight = Math.ceil(height / step);
+  const inked = new Uint8Array(gridWidth * gridHeight);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      if (0.299 * pixels[i] + 0.587 * pixels[i + 1] + 0.114 * pixels[i + 2] < 128) {
+        inked[Math.floor(y / step) * gridWidth + Math.floor(x / step)] = 1;
+      }
+    }
+  }
+
+  // Label connected blobs, bridging small gaps between modules
+  const labels = new Int32Array(gridWidth * gridHeight).fill(-1);
+  const regions = [];
+  for (let start = 0; start < inked.length; start++) {
+    if (!inked[start] || labels[start] !== -1) continue;
+
+    const box = { minX: gridWidth, minY: gridHeight, maxX: 0, maxY: 0 };
+    const stack = [start];
+    labels[start] = regions.length;
+    while (stack.length) {
+      const cell = stack.pop();
+      const cx = cell % gridWidth;
+      const cy = Math.floor(cell / gridWidth);
+      box.minX = Math.min(box.minX, cx);
+      box.maxX = Math.max(box.maxX, cx);
+      box.minY = Math.min(box.minY, cy);
+      box.maxY = Math.max(box.maxY, cy);
+
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) {
+          const nx = cx + dx;
+          const ny = cy + dy;
+          const next = ny * gridWidth + nx;
+          if (nx >= 0 && ny >= 0 && nx < gridWidth && ny < gridHeight && inked[next] && labels[next] === -1) {
+            labels[next] = regions.length;
+            stack.push(next);
+          }
+        }
+      }
+    }
+    regions.push(box);
+  }
+
+  // Blobs of one symbol can be split by long light runs; their boxes overlap, so merge them
+  let merged = true;
+  while (merged) {
+    merged = false;
+    for (let i = 0; i < regions.length && !merged; i++) {
+      for (let j = i + 1; j < regions.length && !merged; j++) {
+        const a = regions[i];
+        const b = regions[j];
+        if (a.minX <= b.maxX + 1 && b.minX <= a.maxX + 1 && a.minY <= b.maxY + 1 && b.minY <= a.maxY + 1) {
+          regions[i] = {
+            minX: Math.min(a.minX, b.minX),
+            minY: Math.min(a.minY, b.minY),
+            maxX: Math.max(a.maxX, b.maxX),
+            maxY: Math.max(a.maxY, b.maxY)
+          };
+          regions.splice(j, 1);
+          merged = true;
+        }
+      }
+    }
+  }
+
+  // Keep roughly square blobs big enough for a symbol, padded back in pixels
+  return regions
+    .filter((box) => {
+      const boxWidth = box.maxX - box.minX + 1;
+      const boxHeight = box.maxY - box.minY + 1;
+      return boxWidth >= 4 && boxHeight >= 4 && Math.max(boxWidth, boxHeight) <= 3 * Math.min(boxWidth, boxHeight);
+    })
+    .map((box) => {
+      const padding = Math.ceil(Math.max(box.maxX - box.minX, box.maxY - box.minY) * 0.1 + 2) * step;
+      const left = Math.max(0, box.minX * step - padding);
+      const top = Math.max(0, box.minY * step - padding);
+      return {
+        left,
+        top,
+        width: Math.min(width, (box.maxX + 1) * step + padding) - left,
+        height: Math.min(height, (box.maxY + 1) * step + padding) - top
+      };
+    });
+}
+
+// Utility function to find upright structured append symbols by their finder patterns. jsQR locates those
+// symbols but drops them when the header's index reads as a mode it cannot finish, so versions near the
+// finder spacing are tried and only a reading whose blocks pass the Reed-Solomon check is kept
+function findUprightStructuredAppend(pixels, width, height) {
+  const isDark = (x, y) => {
+    const i = (y * width + x) * 4;
+    return 0.299 * pixels[i] + 0.587 * pixels[i + 1] + 0.114 * pixels[i + 2] < 128;
+  };
+
+  // Rows through a finder pattern's centre run dark, light, dark, light, dark in the ratio 1:1:3:1:1
+  const clusters = [];
+  for (let y = 0; y < height; y++) {
+    const runs = [];
+    let x = 0;
+    while (x < width) {
+      const dark = isDark(x, y);
+      const start = x;
+      while (x < width && isDark(x, y) === dark) x++;
+      runs.push({ dark, start, length: x - start });
+    }
+    for (let i = 0; i + 4 < runs.length; i++) {
+      if (!runs[i].dark) continue;
+      const total = runs.slice(i, i + 5).reduce((sum, run) => sum + run.length, 0);
+      const moduleSize = total / 7;
+      const ratios = [1, 1, 3, 1, 1];
+      if (moduleSize < 2 || !ratios.every((ratio, r) => Math.abs(runs[i + r].length - ratio * moduleSize) <= moduleSize * 0.7)) continue;
+
+      const centreX = runs[i].start + total / 2;
+      const cluster = clusters.find((c) => Math.abs(c.x - centreX) < moduleSize && y - c.lastY <= 2);
+      if (cluster) {
+        cluster.x = (cluster.x * cluster.count + centreX) / (cluster.count + 1);
+        cluster.moduleSize = (cluster.moduleSize * cluster.count + moduleSize) / (cluster.count + 1);
+        cluster.ySum += y;
+        cluster.lastY = y;
+        cluster.count++;
+      } else {
+        clusters.push({ x: centreX, moduleSize, ySum: y, lastY: y, count: 1 });
+      }
+    }
+  }
+  // The centre band of a finder pattern is three modules tall
+  const finders = clusters
+    .filter((c) => c.count >= c.moduleSize * 1.5)
+    .map((c) => ({ x: c.x, y: c.ySum / c.count, moduleSize: c.moduleSize }));
+
+  for (const topLeft of finders) {
+    const tolerance = topLeft.moduleSize * 2;
+    const topRight = finders.find((f) => f.x > topLeft.x && Math.abs(f.y - topLeft.y) < tolerance);
+    const bottomLeft = finders.find((f) => f.y > topLeft.y && Math.abs(f.x - topLeft.x) < tolerance);
+    if (!topRight || !bottomLeft || Math.abs((topRight.x - topLeft.x) - (bottomLeft.y - topLeft.y)) > tolerance) continue;
+
+    const moduleSize = (topLeft.moduleSize + topRight.moduleSize + bottomLeft.moduleSize) / 3;
+    const edge = moduleSize * 3.5;
+    const location = {
+      topLeftCorner: { x: topLeft.x - edge, y: topLeft.y - edge },
+      topRightCorner: { x: topRight.x + edge, y: topRight.y - edge },
+      bottomRightCorner: { x: topRight.x + edge, y: bottomLeft.y + edge },
+      bottomLeftCorner: { x: bottomLeft.x - edge, y: bottomLeft.y + edge }
+    };
+    const estimate = Math.round(((topRight.x - topLeft.x) / moduleSize + 7 - 17) / 4);
+    for (const version of [estimate, estimate - 1, estimate + 1]) {
+      if (version < 1 || version > 40) continue;
+      const formatInfo = readFormatInfo(pixels, width, height, location, version);
+      const content = decodeStructuredAppend(pixels, width, height, location, version, formatInfo);
+      if (content && !content.error) {
+        return { location, version, formatInfo, content };
+      }
+    }
+  }
+  return null;
+}
+
+// Utility function to decode symbol text: ECI designators pick the charset, otherwise bytes that
+// are not valid UTF-8 are read as ISO-8859-1, the QR default (jsQR only tries UTF-8)
+function decodeSymbolText(result) {
+  const utf8 = new TextDecoder('utf-8', { fatal: true });
+  let charset = null;
+  let text = '';
+  
+  for (const chunk of result.chunks) {
+    if (chunk.type === 'eci') {
+      charset = Object.keys(QR_CHARSETS).find((name) => QR_CHARSETS[name] === chunk.assignmentNumber) || null;
+    } else if (chunk.type === 'byte') {
+      const bytes = Buffer.from(chunk.bytes);
+      if (charset) {
+        text += iconv.decode(bytes, charset);
+      } else {
+        try {
+          text += utf8.decode(bytes);
+        } catch (error) {
+          text += bytes.toString('latin1');
+        }
+      }
+    } else {
+      text += chunk.text || '';
+    }
+  }
+  
+  return charset ? { data: text, charset } : { data: text };
+}
+
+// Data mask conditions by mask reference (see ISO/IEC 18004 7.8.2)
+const QR_MASK_CONDITIONS = [
+  (i, j) => (i + j) % 2 === 0,
+  (i, j) => i % 2 === 0,
+  (i, j) => j % 3 === 0,
+  (i, j) => (i + j) % 3 === 0,
+  (i, j) => (Math.floor(i / 2) + Math.floor(j / 3)) % 2 === 0,
+  (i, j) => (i * j) % 2 + (i * j) % 3 === 0,
+  (i, j) => ((i * j) % 2 + (i * j) % 3) % 2 === 0,
+  (i, j) => ((i * j) % 3 + (i + j) % 2) % 2 === 0
+];
+
+// Utility function to read the data codewords of a located symbol and check every block with its Reed-Solomon syndromes
+function readDataCodewords(pixels, width, height, location, version, ecc, mask) {
+  const isDark = createModuleSampler(pixels, width, height, location, version);
+  const errorCorrectionLevel = QRErrorCorrectionLevel[ecc];
+  // A symbol of the same version, level and mask marks the function modules the data flows around
+  const { modules } = QRCode.create('0', { version, errorCorrectionLevel, maskPattern: mask });
+  const size = modules.size;
+
+  // Walk the two-module columns upwards and downwards in turn, as the codewords were placed
+  const codewords = new Uint8Array(QRUtils.getSymbolTotalCodewords(version));
+  let bitIndex = 0;
+  let upwards = true;
+  for (let col = size - 1; col > 0; col -= 2) {
+    if (col === 6) col--;
+    for (let step = 0; step < size; step++) {
+      const row = upwards ? size - 1 - step : step;
+      for (let c = 0; c < 2; c++) {
+        if (modules.isReserved(row, col - c) || bitIndex >= codewords.length * 8) continue;
+        if (isDark(row, col - c) !== QR_MASK_CONDITIONS[mask](row, col - c)) {
+          codewords[bitIndex >> 3] |= 0x80 >> (bitIndex & 7);
+        }
+        bitIndex++;
+      }
+    }
+    upwards = !upwards;
+  }
+
+  // De-interleave the blocks (group 2 blocks carry one more data codeword)
+  const totalCodewords = codewords.length;
+  const dataTotalCodewords = totalCodewords - QRErrorCorrectionCode.getTotalCodewordsCount(version, errorCorrectionLevel);
+  const blockCount = QRErrorCorrectionCode.getBlocksCount(version, errorCorrectionLevel);
+  const group2Blocks = totalCodewords % blockCount;
+  const group1DataCodewords = Math.floor(dataTotalCodewords / blockCount);
+  const ecCodewords = Math.floor(totalCodewords / blockCount) - group1DataCodewords;
+  const blocks = Array.from({ length: blockCount }, (_, b) => ({
+    data: new Array(group1DataCodewords + (b >= blockCount - group2Blocks ? 1 : 0)),
+    ec: new Array(ecCodewords)
+  }));
+  let index = 0;
+  for (let i = 0; i <= group1DataCodewords; i++) {
+    for (const block of blocks) {
+      if (i < block.data.length) block.data[i] = codewords[index++];
+    }
+  }
+  for (let i = 0; i < ecCodewords; i++) {
+    for (const block of blocks) block.ec[i] = codewords[index++];
+  }
+
+  // Every syndrome is zero for an undamaged block
+  const intact = blocks.every((block) => {
+    const all = block.data.concat(block.ec);
+    for (let i = 0; i < ecCodewords; i++) {
+      const root = QRGaloisField.exp(i);
+      if (all.reduce((sum, codeword) => QRGaloisField.mul(sum, root) ^ codeword, 0) !== 0) return false;
+    }
+    return true;
+  });
+
+  return { dataCodewords: blocks.flatMap((block) => block.data), intact };
+}
+
+// Utility function to split a structured append symbol's bit stream into segments shaped like jsQR's chunks
+function parseStructuredAppend(dataCodewords, version) {
+  let position = 0;
+  const read = (bits) => {
+    let value = 0;
+    for (let i = 0; i < bits; i++, position++) {
+      if (position >= dataCodewords.length * 8) throw new Error('Bit stream ended early');
+      value = (value << 1) | ((dataCodewords[position >> 3] >> (7 - (position & 7))) & 1);
+    }
+    return value;
+  };
+  const remaining = () => dataCodewords.length * 8 - position;
+  const ALPHANUMERIC = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ $%*+-./:';
+
+  read(4);
+  const header = read(16);
+  const structuredAppend = { index: header >> 12, total: ((header >> 8) & 0x0f) + 1, parity: header & 0xff };
+
+  const chunks = [];
+  while (remaining() >= 4) {
+    const mode = read(4);
+    if (mode === 0) break;
+    if (mode === QR_ECI_MODE.bit) {
+      const first = read(8);
+      const assignmentNumber = (first & 0x80) === 0 ? first
+        : (first & 0xc0) === 0x80 ? ((first & 0x3f) << 8) | read(8)
+          : ((first & 0x1f) << 16) | read(16);
+      chunks.push({ type: 'eci', assignmentNumber });
+    } else if (mode === QRMode.NUMERIC.bit) {
+      let count = read(QRMode.getCharCountIndicator(QRMode.NUMERIC, version));
+      let text = '';
+      for (; count >= 3; count -= 3) text += String(read(10)).padStart(3, '0');
+      if (count === 2) text += String(read(7)).padStart(2, '0');
+      if (count === 1) text += String(read(4));
+      chunks.push({ type: 'numeric', text });
+    } else if (mode === QRMode.ALPHANUMERIC.bit) {
+      let count = read(QRMode.getCharCountIndicator(QRMode.ALPHANUMERIC, version));
+      let text = '';
+      for (; count >= 2; count -= 2) {
+        const pair = read(11);
+        text += ALPHANUMERIC[Math.floor(pair / 45)] + ALPHANUMERIC[pair % 45];
+      }
+      if (count === 1) text += ALPHANUMERIC[read(6)];
+      chunks.push({ type: 'alphanumeric', text });
+    } else if (mode === QRMode.BYTE.bit) {
+      const count = read(QRMode.getCharCountIndicator(QRMode.BYTE, version));
+      chunks.push({ type: 'byte', bytes: Array.from({ length: count }, () => read(8)) });
+    } else if (mode === QRMode.KANJI.bit) {
+      const count = read(QRMode.getCharCountIndicator(QRMode.KANJI, version));
+      const bytes = [];
+      for (let i = 0; i < count; i++) {
+        const value = read(13);
+        const code = ((Math.floor(value / 0xc0) << 8) | (value % 0xc0)) + (value < 0x1f00 ? 0x8140 : 0xc140);
+        bytes.push(code >> 8, code & 0xff);
+      }
+      chunks.push({ type: 'kanji', bytes, text: new TextDecoder('shift_jis').decode(Uint8Array.from(bytes)) });
+    } else {
+      throw new Error(`Unsupported mode indicator ${mode}`);
+    }
+  }
+
+  return { structuredAppend, chunks };
+}
+
+// Utility function to decode a structured append symbol, which jsQR has no branch for: it takes the
+// header's index for a mode indicator and returns empty or garbled data, so those symbols are read here
+function decodeStructuredAppend(pixels, width, height, location, version, formatInfo) {
+  if (formatInfo.ecc === null) return null;
+  const { dataCodewords, intact } = readDataCodewords(pixels, width, height, location, version, formatInfo.ecc, formatInfo.mask);
+  if (dataCodewords[0] >> 4 !== QR_STRUCTURED_APPEND_MODE.bit) return null;
+
+  // No error correction here, so a damaged structured append symbol is reported rather than guessed at
+  if (!intact) {
+    return { error: 'Structured append symbol could not be read: it is damaged and needs error correction' };
+  }
+
+  let parsed;
+  try {
+    parsed = parseStructuredAppend(dataCodewords, version);
+  } catch (error) {
+    return { error: `Structured append symbol could not be read: ${error.message}` };
+  }
+
+  const bytes = parsed.chunks.reduce((sum, chunk) => sum + (chunk.bytes ? chunk.bytes.length : chunk.text ? chunk.text.length : 0), 0);
+  return { ...decodeSymbolText(parsed), bytes, structuredAppend: parsed.structuredAppend };
+}
+
+// Utility function to decode every QR symbol in an image
+async function decodeQRCodes(buffer, maxSymbols = 16) {
+  const metadata = await sharp(buffer).metadata();
+  const maxDimension = 2048;
+  const scale = Math.min(1, maxDimension / Math.max(metadata.width, metadata.height));
+
+  // Large photos are scaled down for speed; corners are reported in original pixels
+  const { data, info } = await sharp(buffer)
+    .flatten({ background: '#ffffff' })
+    .resize({ width: maxDimension, height: maxDimension, fit: 'inside', withoutEnlargement: true })
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  const pixels = new Uint8ClampedArray(data.buffer, data.byteOffset, data.length);
+  const toOriginal = (point) => ({ x: Math.round((point.x / scale) * 10) / 10, y: Math.round((point.y / scale) * 10) / 10 });
+  const symbols = [];
+
+  // Decode repeatedly within one area, erasing each symbol once it is read
+  const scan = (area, areaWidth, areaHeight, left, top) => {
+    while (symbols.length < maxSymbols) {
+      const result = jsQR(area, areaWidth, areaHeight);
+      let found;
+      if (result) {
+        const { location, version } = result;
+        const formatInfo = readFormatInfo(area, areaWidth, areaHeight, location, version);
+        const content = decodeStructuredAppend(area, areaWidth, areaHeight, location, version, formatInfo) ||
+          { ...decodeSymbolText(result), bytes: result.binaryData.length };
+        found = { location, version, formatInfo, content };
+      } else {
+        found = findUprightStructuredAppend(area, areaWidth, areaHeight);
+        if (!found) return;
+      }
+
+      const { location, version, formatInfo, content } = found;
+
+      const corners = [location.topLeftCorner, location.topRightCorner, location.bottomRightCorner, location.bottomLeftCorner];
+      const imageCorners = corners.map((corner) => ({ x: corner.x + left, y: corner.y + top }));
+
+      symbols.push({
+        ...content,
+        version,
+        ecc: formatInfo.ecc,
+        mask: formatInfo.mask,
+        corners: {
+          topLeft: toOriginal(imageCorners[0]),
+          topRight: toOriginal(imageCorners[1]),
+          bottomRight: toOriginal(imageCorners[2]),
+          bottomLeft: toOriginal(imageCorners[3])
+        }
+      });
+
+      eraseSymbol(area, areaWidth, areaHeight, corners);
+      if (area !== pixels) {
+        eraseSymbol(pixels, info.width, info.height, imageCorners);
+      }
+    }
+  };
+
+  // Whole image first, then each remaining blob on its own, since the
+  // locator gets confused by the finder patterns of several symbols at once
+  scan(pixels, info.width, info.height, 0, 0);
+
+  // Erasing a symbol can split a merged blob, so repeat while new symbols turn up
+  let found;
+  do {
+    found = symbols.length;
+    for (const region of findCandidateRegions(pixels, info.width, info.height)) {
+      if (symbols.length >= maxSymbols) break;
+
+      const area = new Uint8ClampedArray(region.width * region.height * 4);
+      for (let y = 0; y < region.height; y++) {
+        const start = ((region.top + y) * info.width + region.left) * 4;
+        area.set(pixels.subarray(start, start + region.width * 4), y * region.width * 4);
+      }
+      scan(area, region.width, region.height, region.left, region.top);
+    }
+  } while (symbols.length > found && symbols.length < maxSymbols);
+
+  return symbols;
+}
+
+// Utility function to fetch an image from the local mirror
+async function fetchMirrorImage(fileurl) {
+  let url;
+  try {
+    url = new URL(fileurl);
+  } catch (error) {
+    throw Object.assign(new Error('Invalid fileurl parameter'), { status: 400 });
+  }
+
+  if (!MIRROR_HOSTS.length) {
+    throw Object.assign(new Error('fileurl is disabled. Set MIRROR_HOSTS to allow mirror hosts'), { status: 400 });
+  }
+  if (!['http:', 'https:'].includes(url.protocol) || !MIRROR_HOSTS.includes(url.hostname.toLowerCase())) {
+    throw Object.assign(new Error(`fileurl host must be one of: ${MIRROR_HOSTS.join(', ')}`), { status: 400 });
+  }
+
+  // A redirect could leave the allowed hosts, so it fails instead of being followed
+  let response;
+  try {
+    response = await fetch(url, { redirect: 'error', signal: AbortSignal.timeout(10000) });
+  } catch (error) {
+    throw Object.assign(new Error(`Could not fetch fileurl (${error.cause?.message || error.message})`), { status: 400 });
+  }
+  if (!response.ok) {
+    throw Object.assign(new Error(`Could not fetch fileurl (status ${response.status})`), { status: 400 });
+  }
+
+  // Stop reading as soon as the body passes the upload limit rather than buffering all of it
+  const tooLarge = () => Object.assign(new Error('fileurl image is too large'), { status: 413 });
+  if (Number(response.headers.get('content-length')) > MAX_UPLOAD_BYTES) {
+    await response.body?.cancel();
+    throw tooLarge();
+  }
+  const chunks = [];
+  let length = 0;
+  for await (const chunk of response.body || []) {
+    length += chunk.length;
+    // Leaving the loop cancels the stream
+    if (length > MAX_UPLOAD_BYTES) throw tooLarge();
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks, length);
+}
+
+// Utility function to parse and check the size, colour and output parameters shared by create-qr-code,
+// create-barcode and analyze-qr-code. rectangular allows unequal size dimensions; an invalid value throws a 400
+function parseOutputOptions(params, { formats, rectangular = false }) {
+  const invalid = (message) => Object.assign(new Error(message), { status: 400 });
+  const format = (params.format || 'png').toLowerCase();
+  const dpi = parseInt(params.dpi) || 96;
+  const sizeResult = parseSize(params.size, dpi, rectangular);
+  // Physical sizes stay exact for vector output and round to whole pixels for raster output
+  const vector = ['svg', 'eps', 'pdf'].includes(format);
+  const size = sizeResult.physical && vector
+    ? { width: sizeResult.physical.pixels, height: sizeResult.physical.heightPixels }
+    : { width: sizeResult.width, height: sizeResult.height };
+  const colorResult = parseColor(params.color);
+  const bgcolorResult = parseColor(params.bgcolor);
+  const color = colorResult || { r: 0, g: 0, b: 0 };
+  const bgcolor = bgcolorResult || { r: 255, g: 255, b: 255 };
+  const translucent = isTranslucent(color) || isTranslucent(bgcolor);
+  const marginLength = params.margin ? parseLength(params.margin, dpi) : null;
+  const qzoneLength = params.qzone ? parseLength(params.qzone, dpi) : null;
+  const physicalMargin = Boolean(marginLength && marginLength.physical);
+  const physicalQzone = Boolean(qzoneLength && qzoneLength.physical);
+  const margin = physicalMargin
+    ? (vector ? marginLength.pixels : Math.round(marginLength.pixels))
+    : Math.max(0, Math.min(50, parseInt(params.margin) || 0));
+  const qzone = physicalQzone ? 0 : Math.max(0, Math.min(100, parseInt(params.qzone) || 0));
+  const minModuleLength = params.minmodule ? parseLength(params.minmodule, dpi) : null;
+  const depth = params.depth !== undefined ? parseInt(params.depth) : (translucent ? 32 : 24);
+  const pageSize = params.pagesize ? params.pagesize.toUpperCase() : null;
+  const optimize = params.optimize === 'true' || params.optimize === '1';
+  const transparent = params.transparent === 'true' || params.transparent === '1' || bgcolor.alpha === 0;
+  const quality = params.quality !== undefined ? parseInt(params.quality) : (format === 'avif' ? 80 : 90);
+  const lossless = params.lossless === 'true' || params.lossless === '1';
+  const crisp = params.crisp === 'true' || params.crisp === '1';
+  const spot = params.spot || null;
+  const matrixEncoding = (params.matrix || 'bitmap').toLowerCase();
+  const cmyk = Boolean(color.cmyk || bgcolor.cmyk || spot);
+  
+  if (!formats.includes(format)) {
+    throw invalid(`Invalid format parameter. Valid values: ${formats.join(', ')}`);
+  }
+  
+  if (params.size && !sizeResult.valid) {
+    throw invalid(rectangular
+      ? 'Invalid size parameter format. Use WIDTHxHEIGHT in pixels (e.g., 200x200, 10-1000) or physical units (e.g., 25mmx10mm, up to 4000 pixels at the given dpi)'
+      : 'Invalid size parameter format. Use WIDTHxHEIGHT with equal dimensions in pixels (e.g., 200x200, 10-1000) or physical units (e.g., 25mmx25mm, 1inx1in, up to 4000 pixels at the given dpi). symbology=rmqr also accepts unequal dimensions');
+  }
+  
+  if (physicalMargin && margin > size.width) {
+    throw invalid('Invalid margin parameter. A physical margin cannot be wider than size');
+  }
+  
+  if (params.minmodule && !(minModuleLength && minModuleLength.physical && minModuleLength.mm > 0)) {
+    throw invalid('Invalid minmodule parameter. Use a physical length (e.g., 0.33mm, 0.013in)');
+  }
+  
+  if (params.color && !colorResult) {
+    throw invalid('Invalid color parameter format. Use RGB decimal (255-0-0), RGBA decimal (255-0-0-128), hex (ff0000, f00, ff000080), CMYK percentages (cmyk:0-0-0-100) or transparent');
+  }
+  
+  if (params.bgcolor && !bgcolorResult) {
+    throw invalid('Invalid bgcolor parameter format. Use RGB decimal (255-0-0), RGBA decimal (255-0-0-128), hex (ff0000, f00, ff000080), CMYK percentages (cmyk:0-0-0-100) or transparent');
+  }
+  
+  if (spot && !/^[\x20-\x7e]{1,63}$/.test(spot)) {
+    throw invalid('Invalid spot parameter. Use a printable ASCII colour name of up to 63 characters');
+  }
+  
+  if (params.matrix && !['bitmap', 'rle'].includes(matrixEncoding)) {
+    throw invalid('Invalid matrix parameter. Valid values: bitmap, rle');
+  }
+  
+  if (params.quality !== undefined && !(quality >= 1 && quality <= 100)) {
+    throw invalid('Invalid quality parameter. Valid range: 1-100');
+  }
+  
+  if (params.pagesize && !PDF_PAGE_SIZES[pageSize]) {
+    throw invalid(`Invalid pagesize parameter. Valid values: ${Object.keys(PDF_PAGE_SIZES).join(', ')}`);
+  }
+  
+  if (params.depth !== undefined && ![1, 8, 16, 24, 32].includes(depth)) {
+    throw invalid('Invalid depth parameter. Valid values: 1, 8, 16, 24, 32');
+  }
+  
+  // Only PNG and TIFF store 16 bits per sample, and JPEG has no bilevel or alpha mode; other encoders would
+  // quietly write a lower depth
+  const formatDepths = { jpeg: [8, 24], jpg: [8, 24], gif: [1, 8, 24, 32], webp: [1, 8, 24, 32], avif: [1, 8, 24, 32] }[format];
+  if (params.depth !== undefined && formatDepths && !formatDepths.includes(depth)) {
+    throw invalid(`depth=${depth} is not supported for ${format.toUpperCase()}. Valid values: ${formatDepths.join(', ')}`);
+  }
+  
+  if (params.dpi && (dpi < 72 || dpi > 600)) {
+    throw invalid('Invalid dpi parameter. Valid range: 72-600');
+  }
+  
+  if (crisp && !['png', 'gif', 'jpeg', 'jpg', 'webp', 'avif', 'tiff'].includes(format)) {
+    throw invalid('crisp is supported for raster formats only (png, gif, jpeg, jpg, webp, avif, tiff)');
+  }
+  
+  // Transparency needs a format and bit depth that can carry it
+  if (translucent) {
+    const backgroundOnly = !isTranslucent(color) && bgcolor.alpha === 0;
+    
+    if (format === 'jpeg' || format === 'jpg') {
+      throw invalid('JPEG has no alpha channel. Use png, webp, avif, tiff or svg for transparent colours');
+    }
+    
+    if (cmyk && format === 'tiff') {
+      throw invalid('Transparent colours cannot be combined with CMYK TIFF output');
+    }
+    
+    if (['gif', 'eps', 'pdf'].includes(format) && !backgroundOnly) {
+      throw invalid(`${format.toUpperCase()} output only supports a fully transparent background (bgcolor=transparent)`);
+    }
+    
+    if (['png', 'webp', 'avif', 'tiff'].includes(format) && (depth === 1 || depth === 24)) {
+      throw invalid(`depth=${depth} has no alpha channel. Use depth=32, or ${['png', 'tiff'].includes(format) ? '8 or 16' : '8'} for greyscale with alpha`);
+    }
+  }
+  
+  return {
+    format, dpi, sizeResult, size, color, bgcolor, translucent, physicalMargin, physicalQzone, margin, qzone, qzoneLength,
+    minModuleLength, crisp, spot, pageSize, matrixEncoding, cmyk,
+    rasterOptions: { cmyk, color, bgcolor, dpi, quality, depth, transparent, translucent, lossless, optimize }
+  };
+}
+
+// Utility function to parse and check the parameters shared by create-qr-code and analyze-qr-code: the output
+// options, symbology, the data (from data, gs1 or typed payload fields), charsets, ecc, version and mask.
+// ecc is null unless it is given or fixed by a payment payload; an invalid value throws a 400
+function parseQRCodeOptions(req, params) {
+  const invalid = (message) => Object.assign(new Error(message), { status: 400 });
+  const symbology = (params.symbology || 'qr').toLowerCase();
+  const outputOptions = parseOutputOptions(params, { formats: QR_FORMATS, rectangular: symbology === 'rmqr' });
+  const charsetSource = normalizeCharset(params['charset-source'] || 'UTF-8');
+  const charsetTarget = normalizeCharset(params['charset-target'] || 'UTF-8');
+  const structuredAppend = params.structuredappend === 'true' || params.structuredappend === '1';
+  const version = parseInt(params.version);
+  const mask = parseInt(params.mask);
+  let ecc = params.ecc ? params.ecc.toUpperCase() : null;
+  
+  if (!SYMBOLOGIES.includes(symbology)) {
+    throw invalid(`Invalid symbology parameter. Valid values: ${SYMBOLOGIES.join(', ')}`);
+  }
+  
+  if (!charsetSource) {
+    throw invalid(`Invalid charset-source parameter. Valid values: ${Object.keys(QR_CHARSETS).join(', ')}`);
+  }
+  
+  if (!charsetTarget) {
+    throw invalid(`Invalid charset-target parameter. Valid values: ${Object.keys(QR_CHARSETS).join(', ')}`);
+  }
+  
+  // GS1 application identifiers are checked and become the data: an element string or a Digital Link URI
+  let data = params.data ? readDataParam(req, params, charsetSource) : '';
+  let gs1 = null;
+  if (params.gs1 !== undefined) {
+    gs1 = parseGS1Options(params, symbology);
+    data = gs1.data;
+  }
+  
+  // Typed payloads (Wi-Fi, contacts, places, messages, events) are built from their fields
+  let payload = null;
+  if (params.type !== undefined) {
+    payload = buildTypedPayload(params);
+    data = payload.data;
+  }
+  
+  // Payment payloads are single QR symbols at a fixed ecc level with UTF-8 data, so nothing may change those
+  if (payload && payload.ecc) {
+    if (symbology !== 'qr' || structuredAppend || params['charset-target'] !== undefined || params.mode !== undefined
+      || req.file || params.logo || params.logoname || (ecc && ecc !== payload.ecc)) {
+      throw invalid(`type=${payload.type} is a single QR code at ecc ${payload.ecc} with UTF-8 data. It cannot be combined with another symbology or ecc, mode, charset-target, structuredappend or logos`);
+    }
+    if (payload.swissCross && (['txt', 'ansi', 'html'].includes(outputOptions.format) || outputOptions.translucent)) {
+      throw invalid('The Swiss QR-bill cross needs an image, svg, eps, pdf or json format and opaque colours');
+    }
+    ecc = payload.ecc;
+  }
+  
+  // Micro QR and rMQR check their own ecc levels, versions and masks
+  if (symbology === 'qr' && ecc && !['L', 'M', 'Q', 'H'].includes(ecc)) {
+    throw invalid('Invalid ecc parameter');
+  }
+  
+  if (symbology === 'qr' && params.version !== undefined && !(String(params.version).match(/^\d+$/) && version >= 1 && version <= 40)) {
+    throw invalid('Invalid version parameter. Valid range: 1-40');
+  }
+  
+  if (symbology === 'qr' && params.mask !== undefined && !(String(params.mask).match(/^\d$/) && mask <= 7)) {
+    throw invalid('Invalid mask parameter. Valid range: 0-7');
+  }
+  
+  return { ...outputOptions, symbology, charsetTarget, data, gs1, payload, ecc, version, mask, structuredAppend };
+}
+
+// Main QR code generation endpoint; the batch endpoint renders each item with it too
+async function handleCreateQRCode(req, res) {
+  try {
+    // Extract parameters
+    const params = { ...req.query, ...req.body };
     
     // Required parameter: data
-    if (!params.data) {
+    if (!params.data && params.segments === undefined && params.gs1 === undefined && params.type === undefined) {
       return res.status(400).json({ error: 'data parameter is required' });
     }
     
-    // Parse parameters with defaults
-    const data = decodeURIComponent(params.data);
-    const sizeResult = parseSize(params.size);
-    const size = { width: sizeResult.width, height: sizeResult.height };
-    const charsetSource = (params['charset-source'] || 'UTF-8').toUpperCase();
-    const charsetTarget = (params['charset-target'] || 'UTF-8').toUpperCase();
-    const ecc = (params.ecc || 'L').toUpperCase();
-    const colorResult = parseColor(params.color);
-    const bgcolorResult = parseColor(params.bgcolor);
-    const color = colorResult || { r: 0, g: 0, b: 0 };
-    const bgcolor = bgcolorResult || { r: 255, g: 255, b: 255 };
-    const margin = Math.max(0, Math.min(50, parseInt(params.margin) || 0));
-    const qzone = Math.max(0, Math.min(100, parseInt(params.qzone) || 0));
-    const format = (params.format || 'png').toLowerCase();
+    // Parse and check parameters; a logo may still raise ecc
+    const options = parseQRCodeOptions(req, params);
+    const { format, dpi, sizeResult, size, color, bgcolor, translucent, physicalMargin, physicalQzone, margin, qzoneLength, minModuleLength, crisp, spot, pageSize, matrixEncoding, cmyk, rasterOptions } = options;
+    const { symbology, charsetTarget, data, gs1, payload, version, mask, structuredAppend } = options;
+    let { qzone } = options;
+    let ecc = options.ecc || 'L';
+    const appendSymbols = parseInt(params.symbols);
+    const appendOutput = (params.appendoutput || 'grid').toLowerCase();
+    
+    // Micro QR and rMQR have their own encoder and a narrower set of options
+    if (symbology !== 'qr') {
+      const output = await createMatrixSymbologyOutput(symbology, data, params, { ...options, logo: Boolean(req.file) });
+      Object.entries(output.headers).forEach(([name, value]) => res.setHeader(name, value));
+      if (output.json) {
+        return res.json(output.json);
+      }
+      res.setHeader('Content-Type', output.contentType);
+      return res.send(output.body);
+    }
+    
+    // Automatic segments by default, or a forced mode or explicit segment list; version and mask may be pinned.
+    // Without charset-target, data is UTF-8 without an ECI header, as qrcode encodes it
+    // GS1 element strings start with the FNC1 first position indicator and keep qrcode's segmentation
+    const segmentOptions = gs1 && gs1.format === 'fnc1'
+      ? { input: buildGS1QRInput(data, params.version !== undefined ? version : 40) }
+      : parseSegmentOptions(params, data, params['charset-target'] ? charsetTarget : null);
+    if (segmentOptions.error) {
+      return res.status(400).json({ error: segmentOptions.error });
+    }
+    const qrInput = segmentOptions.input;
+    const symbolOptions = {
+      version: params.version !== undefined ? version : undefined,
+      maskPattern: params.mask !== undefined ? mask : undefined
+    };
+    
+    // Map error correction levels
+    const eccMap = {
+      'L': 'low',
+      'M': 'medium', 
+      'Q': 'quartile',
+      'H': 'high'
+    };
+    
+    if (params.symbols !== undefined && !(structuredAppend && String(params.symbols).match(/^\d+$/) && appendSymbols >= 1 && appendSymbols <= MAX_APPEND_SYMBOLS)) {
+      return res.status(400).json({ error: `Invalid symbols parameter. Use 1-${MAX_APPEND_SYMBOLS} with structuredappend=true` });
+    }
+    
+    if (params.appendoutput && !(structuredAppend && ['grid', 'zip'].includes(appendOutput))) {
+      return res.status(400).json({ error: 'Invalid appendoutput parameter. Use grid or zip with structuredappend=true' });
+    }
+    
+    // Structured append: raster, SVG and JSON output, without logos, captions, frames or crisp mode
+    if (structuredAppend) {
+      if (!['png', 'gif', 'jpeg', 'jpg', 'svg', 'webp', 'avif', 'tiff', 'json'].includes(format)) {
+        return res.status(400).json({ error: 'Structured append is supported for png, gif, jpeg, jpg, svg, webp, avif, tiff and json output' });
+      }
+      
+      if (params.segments !== undefined) {
+        return res.status(400).json({ error: 'Structured append splits data itself and cannot be combined with segments' });
+      }
+      
+      if (crisp || req.file || params.logo || params.logoname || ['caption', 'captionsize', 'captioncolor', 'captionposition', 'frame', 'framecolor'].some((key) => params[key] !== undefined)) {
+        return res.status(400).json({ error: 'Structured append cannot be combined with crisp, logos, captions or frames' });
+      }
+    }
     
-    // Validate parameters
-    if (params.size && !sizeResult.valid) {
-      return res.status(400).json({ error: 'Invalid size parameter format. Use WIDTHxHEIGHT with equal dimensions (e.g., 200x200)' });
+    // Module, finder-eye and gradient styling for raster and SVG output
+    let style = null;
+    if (['moduleshape', 'eyeshape', 'eyeinnershape', 'eyecolor', 'eyeinnercolor', 'gradient', 'gradientcolor', 'gradientangle'].some((key) => params[key] !== undefined)) {
+      if (!['png', 'gif', 'jpeg', 'jpg', 'svg', 'webp', 'avif', 'tiff'].includes(format)) {
+        return res.status(400).json({ error: 'Styling is supported for png, gif, jpeg, jpg, svg, webp, avif and tiff output' });
+      }
+      
+      if (cmyk) {
+        return res.status(400).json({ error: 'Styling cannot be combined with CMYK or spot colours' });
+      }
+      
+      style = parseStyleOptions(params);
+      if (style.error) {
+        return res.status(400).json({ error: style.error });
+      }
     }
     
-    if (params.color && !colorResult) {
-      return res.status(400).json({ error: 'Invalid color parameter format. Use RGB decimal (255-0-0) or hex (ff0000, f00)' });
+    // Caption and frame: the canvas grows around the code, which keeps the requested size
+    let frameOptions = null;
+    if (['caption', 'captionsize', 'captioncolor', 'captionposition', 'frame', 'framecolor'].some((key) => params[key] !== undefined)) {
+      if (!['png', 'gif', 'jpeg', 'jpg', 'svg', 'webp', 'avif', 'tiff', 'pdf'].includes(format)) {
+        return res.status(400).json({ error: 'Captions and frames are supported for png, gif, jpeg, jpg, svg, webp, avif, tiff and pdf output' });
+      }
+      
+      if (cmyk && format !== 'pdf') {
+        return res.status(400).json({ error: 'Captions and frames with CMYK or spot colours are only supported for pdf output' });
+      }
+      
+      frameOptions = parseFrameOptions(params, format);
+      if (frameOptions.error) {
+        return res.status(400).json({ error: frameOptions.error });
+      }
     }
     
-    if (params.bgcolor && !bgcolorResult) {
-      return res.status(400).json({ error: 'Invalid bgcolor parameter format. Use RGB decimal (255-0-0) or hex (ff0000, f00)' });
+    // Centre logo: raster and SVG only, with ECC raised to at least Q
+    let logo = null;
+    let logoOptions = null;
+    let logoSymbolSize = 0;
+    if (req.file || params.logo || params.logoname) {
+      if (!['png', 'gif', 'jpeg', 'jpg', 'svg', 'webp', 'avif', 'tiff'].includes(format)) {
+        return res.status(400).json({ error: 'Logos are supported for png, gif, jpeg, jpg, svg, webp, avif and tiff output' });
+      }
+      
+      if (cmyk) {
+        return res.status(400).json({ error: 'Logos cannot be combined with CMYK or spot colours' });
+      }
+      
+      logoOptions = parseLogoOptions(params);
+      if (logoOptions.error) {
+        return res.status(400).json({ error: logoOptions.error });
+      }
+      
+      if (ecc === 'L' || ecc === 'M') {
+        ecc = 'Q';
+      }
+      
+      logo = await loadLogo(params, req.file);
+      
+      // Small symbols leave no room between the finder patterns, so step the version up until the
+      // plate clears them, unless the caller pinned the version
+      const pinned = symbolOptions.version !== undefined;
+      let qrData = createSymbol(qrInput, { ...symbolOptions, errorCorrectionLevel: eccMap[ecc] });
+      let budget = checkLogoBudget(qrData, ecc, getLogoArea(qrData.modules.size, logoOptions));
+      while (budget.coversFunctionPatterns && !pinned && qrData.version < 40) {
+        qrData = createSymbol(qrInput, { ...symbolOptions, version: qrData.version + 1, errorCorrectionLevel: eccMap[ecc] });
+        budget = checkLogoBudget(qrData, ecc, getLogoArea(qrData.modules.size, logoOptions));
+      }
+      if (!budget.ok) {
+        return res.status(422).json({
+          error: logoBudgetError(budget, ecc, qrData.version, pinned),
+          ecc,
+          version: qrData.version,
+          damagedCodewords: budget.damagedCodewords,
+          worstBlock: budget.worstBlock,
+          correctable: budget.correctable
+        });
+      }
+      logoSymbolSize = qrData.modules.size;
+      symbolOptions.version = qrData.version;
     }
     
-    // Validate parameters
-    if (!['ISO-8859-1', 'UTF-8'].includes(charsetSource)) {
-      return res.status(400).json({ error: 'Invalid charset-source parameter' });
-    }
+    // Structured append spreads the data over up to 16 linked symbols of one version
+    const appendParts = structuredAppend
+      ? splitStructuredAppend(data, {
+        mode: (params.mode || 'auto').toLowerCase(),
+        charset: params['charset-target'] ? charsetTarget : null,
+        symbols: params.symbols !== undefined ? appendSymbols : null,
+        symbolOptions,
+        errorCorrectionLevel: eccMap[ecc]
+      })
+      : null;
     
-    if (!['ISO-8859-1', 'UTF-8'].includes(charsetTarget)) {
-      return res.status(400).json({ error: 'Invalid charset-target parameter' });
-    }
+    // Build the symbol once the ecc is final, so a pinned version that is too small fails early
+    const symbol = appendParts ? appendParts.parts[0].symbol : createSymbol(qrInput, { ...symbolOptions, errorCorrectionLevel: eccMap[ecc] });
+    const appendGap = Math.round(4 * size.width / (symbol.modules.size + qzone * 2));
     
-    if (!['L', 'M', 'Q', 'H'].includes(ecc)) {
-      return res.status(400).json({ error: 'Invalid ecc parameter' });
+    // The Swiss QR-bill cross goes in the centre like a logo, but without raising the ecc level
+    const swissCross = payload && payload.swissCross ? getSwissCrossRects(symbol.modules.size) : null;
+    if (swissCross) {
+      logo = { buffer: Buffer.from(generateSwissCrossSVG(color, bgcolor)), format: 'svg' };
+      logoOptions = { ratio: SWISS_CROSS_RATIO, padding: 0, plate: 'none', knockout: false };
+      logoSymbolSize = symbol.modules.size;
     }
     
-    if (!['png', 'gif', 'jpeg', 'jpg', 'svg', 'eps'].includes(format)) {
-      return res.status(400).json({ error: 'Invalid format parameter' });
+    // Physical quiet zones become whole modules, and physical sizes must keep modules printable
+    let moduleSizeMm = null;
+    if (sizeResult.physical || physicalQzone) {
+      const symbolSize = symbol.modules.size;
+      
+      if (physicalQzone) {
+        const moduleWidth = (size.width - qzoneLength.pixels * 2) / symbolSize;
+        if (moduleWidth <= 0) {
+          return res.status(400).json({ error: 'Invalid qzone parameter. The quiet zone leaves no room for the code at this size' });
+        }
+        qzone = Math.min(100, Math.round(qzoneLength.pixels / moduleWidth));
+      }
+      
+      if (sizeResult.physical) {
+        const modulePixels = size.width / (symbolSize + qzone * 2);
+        const minModuleMm = minModuleLength ? minModuleLength.mm : MIN_MODULE_MM;
+        moduleSizeMm = (crisp ? Math.floor(modulePixels) : modulePixels) * 25.4 / dpi;
+        
+        if (moduleSizeMm < minModuleMm) {
+          return res.status(422).json({
+            error: `Modules would print at ${moduleSizeMm.toFixed(3)} mm, below the ${minModuleMm} mm minimum. Use a larger size, a lower ecc or shorter data`,
+            version: (symbolSize - 17) / 4,
+            moduleSizeMm: Number(moduleSizeMm.toFixed(4)),
+            minModuleMm
+          });
+        }
+      }
     }
     
-    // Convert charset if needed
-    const convertedData = convertCharset(data, charsetSource, charsetTarget);
-    
-    // Map error correction levels
-    const eccMap = {
-      'L': 'low',
-      'M': 'medium', 
-      'Q': 'quartile',
-      'H': 'high'
-    };
-    
     if (format === 'svg') {
       // Generate SVG
       const qrOptions = {
+        ...symbolOptions,
         errorCorrectionLevel: eccMap[ecc],
         type: 'svg',
         margin: qzone,
         color: {
-          dark: `#${color.r.toString(16).padStart(2, '0')}${color.g.toString(16).padStart(2, '0')}${color.b.toString(16).padStart(2, '0')}`,
-          light: `#${bgcolor.r.toString(16).padStart(2, '0')}${bgcolor.g.toString(16).padStart(2, '0')}${bgcolor.b.toString(16).padStart(2, '0')}`
+          dark: qrColor(color),
+          light: qrColor(bgcolor)
         },
         width: size.width
       };
       
-      const svgString = await QRCode.toString(convertedData, qrOptions);
+      let svgString;
+      if (appendParts) {
+        const svgStrings = await Promise.all(appendParts.parts.map((part) => (style
+          ? generateStyledSVG(part.symbol.modules, part.symbol.version, { color, bgcolor, qzone, size, style })
+          : QRCode.toString(part.input, { ...qrOptions, version: appendParts.version }))));
+        
+        if (appendOutput === 'zip') {
+          const files = svgStrings.map((svg) => (sizeResult.physical ? setSVGPhysicalSize(svg, dpi) : svg));
+          res.setHeader('Content-Type', 'application/zip');
+          res.setHeader('Content-Disposition', 'attachment; filename="qr-structured-append.zip"');
+          return res.send(createStructuredAppendZip(appendParts, files, 'svg'));
+        }
+        
+        svgString = composeSymbolGridSVG(svgStrings, { side: size.width, gap: appendGap, bgcolor });
+      } else if (style) {
+        svgString = generateStyledSVG(symbol.modules, symbol.version, { color, bgcolor, qzone, size, style });
+      } else {
+        svgString = await QRCode.toString(qrInput, qrOptions);
+      }
+      
+      if (swissCross) {
+        // Drawn as rectangles in the module coordinates of the SVG, so the cross stays vector
+        svgString = svgString.replace('</svg>', `${swissCrossSVGElements(swissCross, { offset: qzone, color, bgcolor })}</svg>`);
+      } else if (logo) {
+        svgString = await applyLogoSVG(svgString, logo, logoSymbolSize, { qzone, bgcolor, ...logoOptions });
+      }
+      
+      if (frameOptions) {
+        svgString = applyFrameSVG(svgString, getFrameLayout(size.width, frameOptions, { color, bgcolor }));
+      }
+      
+      if (sizeResult.physical) {
+        svgString = setSVGPhysicalSize(svgString, dpi);
+      }
       
       res.setHeader('Content-Type', 'image/svg+xml');
       return res.send(svgString);
     }
     
     if (format === 'eps') {
-      // For EPS, generate SVG first then wrap in PostScript
-      const qrOptions = {
-        errorCorrectionLevel: eccMap[ecc],
-        type: 'svg',
-        margin: qzone,
-        width: size.width
-      };
-      
-      const svgString = await QRCode.toString(convertedData, qrOptions);
-      
-      // Basic EPS wrapper
-      const epsContent = `%!PS-Adobe-3.0 EPSF-3.0
-%%BoundingBox: 0 0 ${size.width} ${size.height}
-%%Creator: QR Code Generator API
-%%EndComments
-% SVG content would be converted to PostScript here
-% For simplicity, this is a placeholder
-newpath
-0 0 moveto
-${size.width} 0 lineto
-${size.width} ${size.height} lineto
-0 ${size.height} lineto
-closepath
-stroke
-%%EOF`;
+      // Build the module matrix and draw it directly as PostScript
+      // EPS works in points: physical lengths convert exactly, plain numbers are used as points
+      const pointsPerPixel = 72 / dpi;
+      const epsSize = sizeResult.physical ? { width: size.width * pointsPerPixel, height: size.height * pointsPerPixel } : size;
+      const epsMargin = physicalMargin ? margin * pointsPerPixel : margin;
+      const epsContent = generateEPS(symbol.modules, { color, bgcolor, qzone, margin: epsMargin, size: epsSize, cmyk, spot, overlay: swissCross });
       
       res.setHeader('Content-Type', 'application/postscript');
       return res.send(epsContent);
     }
     
+    if (format === 'json') {
+      // Raw matrix plus symbol metadata for native rendering
+      if (appendParts) {
+        return res.json({
+          structuredAppend: { total: appendParts.total, parity: appendParts.parity, version: appendParts.version },
+          symbols: appendParts.parts.map((part) => ({
+            index: part.index,
+            data: part.text,
+            ...describeSymbol(part.symbol),
+            matrixEncoding,
+            matrix: exportMatrix(part.symbol.modules, matrixEncoding)
+          }))
+        });
+      }
+      
+      return res.json({
+        ...describeSymbol(symbol),
+        gs1: gs1 ? { format: gs1.format, elementString: gs1.elementString, data: gs1.data } : undefined,
+        payload: payload ? { type: payload.type, data: payload.data } : undefined,
+        swissCross: swissCross || undefined,
+        dimensions: {
+          width: size.width + margin * 2,
+          height: size.height + margin * 2,
+          moduleSize: size.width / (symbol.modules.size + qzone * 2),
+          qzone,
+          margin,
+          moduleSizeMm: moduleSizeMm === null ? undefined : Number(moduleSizeMm.toFixed(4))
+        },
+        matrixEncoding,
+        matrix: exportMatrix(symbol.modules, matrixEncoding)
+      });
+    }
+    
+    if (format === 'txt' || format === 'ansi' || format === 'html') {
+      // Text renderings straight from the module matrix
+      if (format === 'html') {
+        res.setHeader('Content-Type', 'text/html; charset=utf-8');
+        return res.send(generateHTML(symbol.modules, { color, bgcolor, qzone, margin, size }));
+      }
+      
+      res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+      return res.send(format === 'ansi'
+        ? generateANSI(symbol.modules, { color, bgcolor, qzone })
+        : generateText(symbol.modules, { qzone }));
+    }
+    
+    if (format === 'pdf') {
+      // Single-page vector PDF sized from size and dpi, or centred on a named page
+      const frame = frameOptions ? getFrameLayout(size.width + margin * 2, frameOptions, { color, bgcolor }) : null;
+      const pdfContent = generatePDF(symbol.modules, { color, bgcolor, qzone, margin, size, dpi, pageSize, cmyk, spot, frame, overlay: swissCross });
+      
+      res.setHeader('Content-Type', 'application/pdf');
+      return res.send(pdfContent);
+    }
+    
+    // Crisp mode: a whole number of pixels per module, with the leftover width added to the quiet zone
+    let renderSize = size;
+    let crispPadding = 0;
+    if (crisp) {
+      const moduleCount = symbol.modules.size + qzone * 2;
+      const modulePixels = Math.floor(size.width / moduleCount);
+      
+      if (modulePixels < 1) {
+        return res.status(400).json({ error: `size is too small for crisp output: the code needs at least ${moduleCount}x${moduleCount} pixels` });
+      }
+      
+      renderSize = { width: modulePixels * moduleCount, height: modulePixels * moduleCount };
+      crispPadding = size.width - renderSize.width;
+      res.setHeader('X-QR-Module-Pixels', String(modulePixels));
+      res.setHeader('Access-Control-Expose-Headers', 'X-QR-Module-Pixels');
+    }
+    
     // Generate raster format (PNG, JPEG, GIF)
     const qrOptions = {
+      ...symbolOptions,
       errorCorrectionLevel: eccMap[ecc],
       margin: qzone,
       color: {
-        dark: `#${color.r.toString(16).padStart(2, '0')}${color.g.toString(16).padStart(2, '0')}${color.b.toString(16).padStart(2, '0')}`,
-        light: `#${bgcolor.r.toString(16).padStart(2, '0')}${bgcolor.g.toString(16).padStart(2, '0')}${bgcolor.b.toString(16).padStart(2, '0')}`
+        dark: qrColor(color),
+        light: qrColor(bgcolor)
       },
-      width: size.width
+      width: renderSize.width
     };
     
-    let buffer = await QRCode.toBuffer(convertedData, qrOptions);
+    let buffer;
+    if (appendParts) {
+      // Linked symbols are drawn like single codes, then zipped or laid out in a grid
+      const images = await Promise.all(appendParts.parts.map((part) => (style
+        ? sharp(Buffer.from(generateStyledSVG(part.symbol.modules, part.symbol.version, { color, bgcolor, qzone, size: renderSize, style }))).png().toBuffer()
+        : QRCode.toBuffer(part.input, { ...qrOptions, version: appendParts.version }))));
+      
+      if (appendOutput === 'zip') {
+        const files = await Promise.all(images.map(async (image) => {
+          const framed = margin > 0
+            ? await sharp(image).extend({ top: margin, bottom: margin, left: margin, right: margin, background: { r: bgcolor.r, g: bgcolor.g, b: bgcolor.b, alpha: bgcolor.alpha === undefined ? 1 : bgcolor.alpha / 255 } }).toBuffer()
+            : image;
+          return (await encodeRasterOutput(framed, format, rasterOptions)).buffer;
+        }));
+        res.setHeader('Content-Type', 'application/zip');
+        res.setHeader('Content-Disposition', 'attachment; filename="qr-structured-append.zip"');
+        return res.send(createStructuredAppendZip(appendParts, files, format));
+      }
+      
+      buffer = await composeSymbolGrid(images, { side: renderSize.width, gap: appendGap, bgcolor });
+    } else if (style) {
+      // Styled codes are drawn as SVG and rasterised, so both outputs look the same
+      const svgString = generateStyledSVG(symbol.modules, symbol.version, { color, bgcolor, qzone, size: renderSize, style });
+      buffer = await sharp(Buffer.from(svgString)).png().toBuffer();
+    } else {
+      buffer = await QRCode.toBuffer(qrInput, qrOptions);
+    }
     
-    // Add margin using Sharp if needed
-    if (margin > 0) {
-      const currentSize = size.width;
-      const newSize = currentSize + (margin * 2);
+    // Crisp padding and margin only ever add background pixels; crisp output is never resampled
+    const padStart = Math.floor(crispPadding / 2);
+    const padEnd = crispPadding - padStart;
+    if (margin > 0 || crispPadding > 0) {
+      const newSize = size.width + (margin * 2);
       
-      buffer = await sharp(buffer)
+      let sharpInstance = sharp(buffer)
         .extend({
-          top: margin,
-          bottom: margin,
-          left: margin,
-          right: margin,
-          background: { r: bgcolor.r, g: bgcolor.g, b: bgcolor.b }
-        })
-        .resize(newSize, newSize, { fit: 'contain' })
-        .toBuffer();
+          top: margin + padStart,
+          bottom: margin + padEnd,
+          left: margin + padStart,
+          right: margin + padEnd,
+          background: { r: bgcolor.r, g: bgcolor.g, b: bgcolor.b, alpha: bgcolor.alpha === undefined ? 1 : bgcolor.alpha / 255 }
+        });
+      
+      if (!crisp && !appendParts) {
+        sharpInstance = sharpInstance.resize(newSize, newSize, { fit: 'contain' });
+      }
+      
+      buffer = await sharpInstance.toBuffer();
     }
     
-    // Convert to requested format if needed
-    if (format === 'jpeg' || format === 'jpg') {
-      buffer = await sharp(buffer).jpeg({ quality: 90 }).toBuffer();
-      res.setHeader('Content-Type', 'image/jpeg');
-    } else if (format === 'gif') {
-      // Sharp doesn't support GIF output, so we'll convert to PNG instead
-      buffer = await sharp(buffer).png().toBuffer();
-      res.setHeader('Content-Type', 'image/png');
-    } else {
-      // Default to PNG
-      buffer = await sharp(buffer).png().toBuffer();
-      res.setHeader('Content-Type', 'image/png');
+    if (logo) {
+      buffer = await applyLogo(buffer, logo, logoSymbolSize, { qzone, margin: margin + padStart, size: renderSize, bgcolor, ...logoOptions });
+    }
+    
+    if (frameOptions) {
+      const { width: codeSide } = await sharp(buffer).metadata();
+      buffer = await applyFrame(buffer, getFrameLayout(codeSide, frameOptions, { color, bgcolor }));
     }
     
+    // Convert to requested format and bit depth
+    const output = await encodeRasterOutput(buffer, format, rasterOptions);
+    buffer = output.buffer;
+    res.setHeader('Content-Type', output.contentType);
+    
     res.send(buffer);
     
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
     console.error('Error generating QR code:', error);
     console.error('Stack trace:', error.stack);
     res.status(500).json({ error: 'Internal server error generating QR code', details: error.message });
   }
-});
+}
+
+app.get('/v1/create-qr-code/', handleCreateQRCode);
+app.post('/v1/create-qr-code/', acceptUpload('logo'), handleCreateQRCode);
+
+// Barcode endpoint (Data Matrix, Aztec, PDF417 and linear barcodes); shares the sizing, colour and output options of create-qr-code
+async function handleCreateBarcode(req, res) {
+  try {
+    const params = { ...req.query, ...req.body };
+    
+    // Required parameters: data and type
+    if (!params.data) {
+      return res.status(400).json({ error: 'data parameter is required' });
+    }
+    
+    const type = (params.type || '').toLowerCase();
+    if (!BARCODE_TYPES.includes(type)) {
+      return res.status(400).json({ error: `Invalid type parameter. Valid values: ${BARCODE_TYPES.join(', ')}` });
+    }
+    
+    // Parse parameters with defaults
+    const data = readDataParam(req, params, 'UTF-8');
+    const { format, dpi, sizeResult, size, color, bgcolor, physicalMargin, margin, qzone, qzoneLength, minModuleLength, crisp, spot, pageSize, matrixEncoding, cmyk, rasterOptions } = parseOutputOptions(params, { formats: BARCODE_FORMATS, rectangular: true });
+    
+    // Linear barcodes: check digits are added or verified, and quiet zones never go below each spec's minimum
+    if (LINEAR_BARCODE_TYPES.includes(type)) {
+      const humanReadable = !(params.humanreadable === 'false' || params.humanreadable === '0');
+      const checkDigit = params.checkdigit === 'true' || params.checkdigit === '1';
+      
+      if (qzoneLength && qzoneLength.physical) {
+        return res.status(400).json({ error: 'Invalid qzone parameter. Linear barcode quiet zones are given in modules (narrow bar widths)' });
+      }
+      
+      const barcode = {
+        code128: () => encodeCode128(data),
+        ean13: () => encodeEAN13(data),
+        upca: () => encodeEAN13(data, true),
+        code39: () => encodeCode39(data, checkDigit),
+        itf14: () => encodeITF14(data)
+      }[type]();
+      const output = await renderLinearBarcodeOutput(barcode, {
+        format, size, sizeResult, explicitSize: Boolean(params.size), dpi, margin, qzone, minModuleLength, crisp, humanReadable,
+        color, bgcolor, cmyk, spot, pageSize, rasterOptions
+      });
+      Object.entries(output.headers).forEach(([name, value]) => res.setHeader(name, value));
+      if (output.json) {
+        return res.json(output.json);
+      }
+      res.setHeader('Content-Type', output.contentType);
+      return res.send(output.body);
+    }
+    
+    // Per-type options: Data Matrix shape or a fixed symbol size; Aztec layers, compact form and error correction;
+    // PDF417 column count and security level
+    let symbol;
+    if (type === 'datamatrix') {
+      const shape = (params.shape || 'square').toLowerCase();
+      const spec = params.symbolsize ? DATA_MATRIX_SIZES.find((candidate) => candidate.name === String(params.symbolsize).toLowerCase()) : null;
+      
+      if (!['square', 'rectangle', 'auto'].includes(shape)) {
+        return res.status(400).json({ error: 'Invalid shape parameter. Valid values: square, rectangle, auto' });
+      }
+      
+      if (params.symbolsize && !spec) {
+        return res.status(400).json({ error: `Invalid symbolsize parameter. Valid values: ${DATA_MATRIX_SIZES.map((candidate) => candidate.name).join(', ')}` });
+      }
+      
+      symbol = encodeDataMatrix(data, { shape, version: spec && spec.name });
+    } else if (type === 'pdf417') {
+      const columns = params.columns !== undefined ? parseInt(params.columns) : undefined;
+      const securityLevel = params.securitylevel !== undefined ? parseInt(params.securitylevel) : undefined;
+      
+      if (params.columns !== undefined && !(/^\d+$/.test(String(params.columns)) && columns >= 1 && columns <= 30)) {
+        return res.status(400).json({ error: 'Invalid columns parameter. Valid range: 1-30' });
+      }
+      
+      if (params.securitylevel !== undefined && !/^[0-8]$/.test(String(params.securitylevel))) {
+        return res.status(400).json({ error: 'Invalid securitylevel parameter. Valid range: 0-8' });
+      }
+      
+      symbol = encodePDF417(data, { columns, securityLevel });
+    } else {
+      const ecPercent = params.ecpercent !== undefined ? parseInt(params.ecpercent) : 23;
+      const layers = params.layers !== undefined ? parseInt(params.layers) : undefined;
+      const compact = params.compact === undefined ? undefined : params.compact === 'true' || params.compact === '1';
+      
+      if (params.ecpercent !== undefined && !(/^\d+$/.test(String(params.ecpercent)) && ecPercent >= 5 && ecPercent <= 95)) {
+        return res.status(400).json({ error: 'Invalid ecpercent parameter. Valid range: 5-95' });
+      }
+      
+      if (params.layers !== undefined && !(/^\d+$/.test(String(params.layers)) && layers >= 1 && layers <= (compact ? 4 : 32))) {
+        return res.status(400).json({ error: `Invalid layers parameter. Valid range: ${compact ? '1-4 for compact symbols' : '1-32'}` });
+      }
+      
+      symbol = encodeAztec(data, { ecPercent, layers, compact });
+    }
+    
+    // PDF417 needs a quiet zone of at least 2 modules
+    const output = await renderMatrixSymbolOutput(symbol, {
+      format, size, sizeResult, dpi, margin, physicalMargin, qzone: type === 'pdf417' ? Math.max(2, qzone) : qzone, qzoneLength, minModuleLength, crisp,
+      color, bgcolor, cmyk, spot, pageSize, matrixEncoding, rasterOptions
+    });
+    Object.entries(output.headers).forEach(([name, value]) => res.setHeader(name, value));
+    if (output.json) {
+      return res.json(output.json);
+    }
+    res.setHeader('Content-Type', output.contentType);
+    res.send(output.body);
+    
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    console.error('Error generating barcode:', error);
+    console.error('Stack trace:', error.stack);
+    res.status(500).json({ error: 'Internal server error generating barcode', details: error.message });
+  }
+}
+
+app.get('/v1/create-barcode/', handleCreateBarcode);
+app.post('/v1/create-barcode/', handleCreateBarcode);
+
+// QR analysis endpoint: takes the create-qr-code parameters and reports on scannability and capacity instead of an image
+async function handleAnalyzeQRCode(req, res) {
+  try {
+    const params = { ...req.query, ...req.body };
+    
+    // Required parameter: data
+    if (!params.data && params.segments === undefined && params.gs1 === undefined && params.type === undefined) {
+      return res.status(400).json({ error: 'data parameter is required' });
+    }
+    
+    if (params.structuredappend !== undefined) {
+      return res.status(400).json({ error: 'analyze-qr-code reports on a single symbol and cannot be combined with structuredappend' });
+    }
+    
+    // The same parameters and checks as create-qr-code; ecc stays null unless it is pinned
+    const options = parseQRCodeOptions(req, params);
+    const { dpi, size, color, bgcolor, physicalQzone, margin, qzoneLength, minModuleLength, crisp, symbology, charsetTarget, data, gs1, version, mask } = options;
+    let { qzone, ecc } = options;
+    
+    // Each symbology encodes at an ecc level and an optional version; the mask does not change the capacity
+    const warnings = [];
+    const eccMap = { 'L': 'low', 'M': 'medium', 'Q': 'quartile', 'H': 'high' };
+    let levels;
+    let encode;
+    if (symbology === 'qr') {
+      const segmentOptions = gs1 && gs1.format === 'fnc1'
+        ? { input: buildGS1QRInput(data, params.version !== undefined ? version : 40) }
+        : parseSegmentOptions(params, data, params['charset-target'] ? charsetTarget : null);
+      if (segmentOptions.error) {
+        return res.status(400).json({ error: segmentOptions.error });
+      }
+      
+      // A centre logo raises the ecc to at least Q, as create-qr-code does
+      ecc = ecc || 'L';
+      if ((req.file || params.logo || params.logoname) && (ecc === 'L' || ecc === 'M')) {
+        ecc = 'Q';
+        warnings.push('A logo raises ecc to Q. The area it covers is not analysed');
+      }
+      
+      levels = ['L', 'M', 'Q', 'H'];
+      encode = (level, pinned) => {
+        const info = describeSymbol(createSymbol(segmentOptions.input, { version: pinned, maskPattern: params.mask !== undefined ? mask : 0, errorCorrectionLevel: eccMap[level] }));
+        return { ...info, modules: { width: info.modules, height: info.modules } };
+      };
+    } else {
+      levels = symbology === 'rmqr' ? ['M', 'H'] : ['L', 'M', 'Q'];
+      ecc = ecc || levels[0];
+      encode = (level, pinned) => describeMatrixSymbol(encodeMatrixSymbology(symbology, data, { ...params, ecc: level, version: pinned }, { size, qzone }));
+    }
+    const pinnedVersion = params.version === undefined ? undefined : (symbology === 'qr' ? version : params.version);
+    
+    // Data that does not fit is reported like every other problem instead of failing the request
+    let symbol = null;
+    let overflow = null;
+    try {
+      symbol = encode(ecc, pinnedVersion);
+    } catch (error) {
+      if (error.status !== 422) throw error;
+      overflow = error;
+      warnings.push(error.message);
+    }
+    
+    // The levels that still fit in the version used, or the smallest version each one needs after an overflow
+    const eccLevels = levels.map((level) => {
+      let fit = null;
+      try {
+        fit = encode(level, symbol ? symbol.version : pinnedVersion);
+      } catch (error) {
+        if (![400, 422].includes(error.status)) throw error;
+      }
+      return { ecc: level, fits: Boolean(fit), version: fit ? fit.version : null, remainingBits: fit ? fit.capacity.remainingBits : null };
+    });
+    
+    const contrast = analyzeContrast(color, bgcolor);
+    if (bgcolor.alpha === 0) {
+      warnings.push('bgcolor is transparent. Contrast is measured against a white background underneath');
+    }
+    if (contrast.inverted) {
+      warnings.push('color is lighter than bgcolor. Many scanners cannot read inverted codes');
+    }
+    if (contrast.lowContrast) {
+      warnings.push(`The contrast ratio ${contrast.ratio}:1 is below ${MIN_CONTRAST_RATIO}:1. Use a darker color or a lighter bgcolor`);
+    }
+    
+    // Module size and quiet zone follow from the symbol size, so they need data that fits
+    let moduleSize = null;
+    let quietZone = null;
+    if (symbol) {
+      const { width: columns, height: rows } = symbol.modules;
+      
+      if (physicalQzone) {
+        const moduleWidth = Math.min((size.width - qzoneLength.pixels * 2) / columns, (size.height - qzoneLength.pixels * 2) / rows);
+        if (moduleWidth <= 0) {
+          return res.status(400).json({ error: 'Invalid qzone parameter. The quiet zone leaves no room for the code at this size' });
+        }
+        qzone = Math.min(100, Math.round(qzoneLength.pixels / moduleWidth));
+      }
+      
+      let modulePixels = Math.min(size.width / (columns + qzone * 2), size.height / (rows + qzone * 2));
+      if (crisp) {
+        modulePixels = Math.floor(modulePixels);
+      }
+      const moduleSizeMm = modulePixels * 25.4 / dpi;
+      const minModuleMm = minModuleLength ? minModuleLength.mm : MIN_MODULE_MM;
+      moduleSize = {
+        pixels: Math.round(modulePixels * 100) / 100,
+        sizeMm: Math.round(moduleSizeMm * 1000) / 1000,
+        minimumMm: minModuleMm,
+        dpi
+      };
+      if (moduleSizeMm < minModuleMm) {
+        warnings.push(`Modules are ${moduleSizeMm.toFixed(3)} mm at ${dpi} dpi, below the ${minModuleMm} mm minimum. Use a larger size, a lower ecc or shorter data`);
+      }
+      
+      // The margin is background too, so it counts towards the quiet zone. Micro QR and rMQR need 2 modules
+      const recommended = symbology === 'qr' ? 4 : 2;
+      const total = modulePixels > 0 ? qzone + margin / modulePixels : qzone;
+      quietZone = {
+        modules: qzone,
+        marginPixels: margin,
+        totalModules: Math.round(total * 100) / 100,
+        recommended,
+        ok: total >= recommended
+      };
+      if (!quietZone.ok) {
+        warnings.push(`The quiet zone is ${quietZone.totalModules} modules wide, below the recommended ${recommended}. Raise qzone or margin`);
+      }
+    }
+    
+    res.json({
+      symbology,
+      fits: Boolean(symbol),
+      version: symbol ? symbol.version : null,
+      ecc,
+      modules: symbol ? symbol.modules : null,
+      capacity: symbol ? symbol.capacity : (overflow.details && overflow.details.dataBits !== undefined
+        ? { totalBits: overflow.details.capacityBits, usedBits: overflow.details.dataBits, remainingBits: overflow.details.capacityBits - overflow.details.dataBits }
+        : null),
+      eccLevels,
+      fittingEcc: eccLevels.filter((level) => level.fits).map((level) => level.ecc),
+      contrast,
+      moduleSize,
+      quietZone,
+      warnings
+    });
+    
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    console.error('Error analyzing QR code:', error);
+    console.error('Stack trace:', error.stack);
+    res.status(500).json({ error: 'Internal server error analyzing QR code', details: error.message });
+  }
+}
+
+app.get('/v1/analyze-qr-code/', handleAnalyzeQRCode);
+app.post('/v1/analyze-qr-code/', acceptUpload('logo'), handleAnalyzeQRCode);
+
+// Utility function to parse CSV text (RFC 4180: quoted fields, doubled quotes, CRLF or LF) into rows of fields
+function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      rows.push([...row, field]);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (quoted) {
+    throw Object.assign(new Error('Invalid CSV: a quoted field is not closed'), { status: 400 });
+  }
+  if (field !== '' || row.length) {
+    rows.push([...row, field]);
+  }
+  
+  // Blank lines carry no item
+  return rows.filter((fields) => fields.length > 1 || fields[0] !== '');
+}
+
+// Utility function to read batch items from a JSON array or a CSV file whose header row names the parameters.
+// Query parameters are defaults for every item, and scalar JSON values become strings like query values
+function readBatchItems(req) {
+  const invalid = (message) => Object.assign(new Error(message), { status: 400 });
+  let items;
+  
+  const csv = req.file ? req.file.buffer.toString('utf8') : (typeof req.body === 'string' ? req.body : null);
+  if (csv !== null) {
+    const [header, ...rows] = parseCSV(csv.replace(/^\uFEFF/, ''));
+    if (!header || header.some((name) => !name.trim())) {
+      throw invalid('Invalid CSV: the first row must name the parameter of every column');
+    }
+    items = rows.map((fields, index) => {
+      if (fields.length !== header.length) {
+        throw invalid(`Invalid CSV: row ${index + 2} has ${fields.length} fields, the header has ${header.length}`);
+      }
+      // Empty cells leave a parameter unset
+      return Object.fromEntries(header.map((name, column) => [name.trim(), fields[column]]).filter(([, value]) => value !== ''));
+    });
+  } else if (Array.isArray(req.body)) {
+    items = req.body.map((item, index) => {
+      if (!item || typeof item !== 'object' || Array.isArray(item)) {
+        throw invalid(`Item ${index} is not an object of create-qr-code parameters`);
+      }
+      return Object.fromEntries(Object.entries(item).map(([name, value]) => [name, ['number', 'boolean'].includes(typeof value) ? String(value) : value]));
+    });
+  } else {
+    throw invalid('Send a JSON array of create-qr-code parameter objects, or a CSV file (multipart field "file" or a text/csv body) with a header row');
+  }
+  
+  if (!items.length || items.length > MAX_BATCH_ITEMS) {
+    throw invalid(`A batch needs 1-${MAX_BATCH_ITEMS} items; this one has ${items.length}`);
+  }
+  
+  return items.map((item) => ({ ...req.query, ...item }));
+}
+
+// Utility function to check a caller-chosen batch filename. Folders are allowed, but not absolute
+// paths, backslashes, control characters or . and .. segments
+function isValidBatchFilename(name) {
+  return name.length <= 255
+    && !/[\x00-\x1f\x7f\\]/.test(name)
+    && name.split('/').every((segment) => segment !== '' && segment !== '.' && segment !== '..');
+}
+
+// Utility function to collect what a route handler sends instead of writing it to a connection
+function createResponseCollector() {
+  const response = {
+    statusCode: 200,
+    headers: {},
+    body: null,
+    payload: null,
+    status(code) {
+      response.statusCode = code;
+      return response;
+    },
+    setHeader(name, value) {
+      response.headers[name.toLowerCase()] = value;
+    },
+    json(value) {
+      response.payload = value;
+      response.headers['content-type'] = 'application/json';
+      response.body = Buffer.from(JSON.stringify(value));
+    },
+    send(body) {
+      response.body = Buffer.isBuffer(body) ? body : Buffer.from(body);
+    }
+  };
+  return response;
+}
+
+// Batch endpoint: renders create-qr-code parameter sets with bounded concurrency and streams the files back
+// as a ZIP, in the order they finish, with a manifest of every item and its error, if any
+async function handleBatchCreateQRCode(req, res) {
+  let items;
+  try {
+    items = readBatchItems(req);
+  } catch (error) {
+    return res.status(error.status || 500).json({ error: error.message });
+  }
+  
+  res.setHeader('Content-Type', 'application/zip');
+  res.setHeader('Content-Disposition', 'attachment; filename="qr-codes.zip"');
+  const zip = createZipWriter(res);
+  const manifest = new Array(items.length);
+  
+  // Filenames are settled in item order before rendering, so the first of two equal names wins.
+  // Names without an extension get the one of the output format
+  const filenames = new Set(['manifest.json']);
+  const files = items.map(({ filename, ...params }, index) => {
+    if (filename !== undefined && !(typeof filename === 'string' && isValidBatchFilename(filename))) {
+      return { error: 'Invalid filename. Use up to 255 characters without backslashes, control characters or empty, . or .. folders' };
+    }
+    
+    const format = String(params.format || 'png').toLowerCase();
+    const zipped = ['true', '1'].includes(params.structuredappend) && String(params.appendoutput).toLowerCase() === 'zip';
+    const extension = zipped ? 'zip' : (format === 'ansi' ? 'txt' : format);
+    const base = filename || `qr-${String(index + 1).padStart(String(items.length).length, '0')}`;
+    const file = /\.[^./]+$/.test(base) ? base : `${base}.${extension}`;
+    if (filenames.has(file)) {
+      return { error: `Duplicate filename ${file}` };
+    }
+    filenames.add(file);
+    return { file };
+  });
+  
+  // Each item goes through create-qr-code itself, so it gets the same validation and output
+  const renderItem = async ({ filename, ...params }, index) => {
+    if (files[index].error) {
+      return { index, file: null, status: 400, error: files[index].error };
+    }
+    
+    const response = createResponseCollector();
+    await handleCreateQRCode({ query: {}, body: params, file: null, originalUrl: '', batch: true }, response);
+    if (response.statusCode >= 400) {
+      return { index, file: null, status: response.statusCode, ...(response.payload || { error: 'Internal server error generating QR code' }) };
+    }
+    
+    if (!(await zip.add({ name: files[index].file, data: response.body }, MAX_BATCH_ZIP_BYTES))) {
+      return { index, file: null, status: 413, error: 'The ZIP archive is full (4 GiB). Send the remaining items in another batch' };
+    }
+    return { index, file: files[index].file, status: response.statusCode };
+  };
+  
+  // A fixed number of workers take the next item until none are left or the client goes away
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length && !res.destroyed) {
+      const index = next++;
+      manifest[index] = await renderItem(items[index], index);
+    }
+  };
+  
+  try {
+    await Promise.all(Array.from({ length: Math.min(BATCH_CONCURRENCY, items.length) }, worker));
+    if (res.destroyed) return;
+    
+    const failed = manifest.filter((item) => item.status >= 400).length;
+    await zip.add({
+      name: 'manifest.json',
+      data: JSON.stringify({ count: items.length, succeeded: items.length - failed, failed, items: manifest }, null, 2)
+    });
+    zip.finish();
+  } catch (error) {
+    // The archive has started, so a failure can only cut the response short
+    console.error('Error generating QR code batch:', error);
+    res.destroy(error);
+  }
+}
+
+app.post(
+  '/v1/batch/create-qr-code/',
+  express.text({ type: 'text/csv', limit: MAX_UPLOAD_BYTES }),
+  acceptUpload('file'),
+  handleBatchCreateQRCode
+);
+
+// QR code reading endpoint (GET with fileurl, POST with an upload, raw body or fileurl)
+async function handleReadQRCode(req, res) {
+  try {
+    const params = { ...req.query, ...(Buffer.isBuffer(req.body) ? {} : req.body) };
+    let image = null;
+
+    if (req.file) {
+      image = req.file.buffer;
+    } else if (Buffer.isBuffer(req.body) && req.body.length > 0) {
+      image = req.body;
+    } else if (params.fileurl) {
+      image = await fetchMirrorImage(params.fileurl);
+    } else {
+      return res.status(400).json({ error: 'Provide an image upload (multipart field "file" or raw body) or a fileurl parameter' });
+    }
+
+    let metadata;
+    try {
+      metadata = await sharp(image).metadata();
+    } catch (error) {
+      metadata = {};
+    }
+    if (!['png', 'jpeg', 'webp', 'gif'].includes(metadata.format)) {
+      return res.status(415).json({ error: 'Unsupported image format. Use PNG, JPEG, WebP or GIF' });
+    }
+
+    const symbols = await decodeQRCodes(image);
+    res.json({ count: symbols.length, symbols });
+    
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error reading QR code:', error);
+    res.status(500).json({ error: 'Internal server error reading QR code', details: error.message });
+  }
+}
+
+app.get('/v1/read-qr-code/', handleReadQRCode);
+app.post(
+  '/v1/read-qr-code/',
+  express.raw({ type: ['image/*', 'application/octet-stream'], limit: MAX_UPLOAD_BYTES }),
+  acceptUpload('file'),
+  handleReadQRCode
+);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -646,22 +6466,81 @@ app.get('/', (req, res) => {
     endpoints: {
       'GET /v1/create-qr-code/': 'Generate QR code with parameters',
       'POST /v1/create-qr-code/': 'Generate QR code with parameters (POST)',
+      'GET /v1/create-barcode/': 'Generate a Data Matrix, Aztec, PDF417, Code 128, EAN-13, UPC-A, Code 39 or ITF-14 barcode (type) with the same size, colour and output parameters',
+      'POST /v1/create-barcode/': 'Generate a barcode (POST)',
+      'GET /v1/read-qr-code/': 'Decode QR codes in an image from the local mirror (fileurl)',
+      'POST /v1/read-qr-code/': 'Decode QR codes in an uploaded image (multipart "file" or raw body)',
+      'GET /v1/analyze-qr-code/': 'Report contrast, module size, quiet zone, version and remaining capacity for create-qr-code parameters',
+      'POST /v1/analyze-qr-code/': 'Analyze a QR code (POST)',
+      'POST /v1/batch/create-qr-code/': 'Generate QR codes for a JSON array of parameter objects or a CSV upload (header row of parameter names); returns a ZIP with manifest.json listing per-item errors',
       'GET /health': 'Health check endpoint'
     },
     parameters: {
       data: 'Text to encode (required)',
-      size: 'Image size in format WIDTHxHEIGHT (default: 200x200)',
-      'charset-source': 'Source charset (UTF-8, ISO-8859-1)',
-      'charset-target': 'Target charset (UTF-8, ISO-8859-1)', 
-      ecc: 'Error correction level (L, M, Q, H)',
-      color: 'Foreground color (hex or decimal RGB)',
-      bgcolor: 'Background color (hex or decimal RGB)',
-      margin: 'Margin in pixels (0-50)',
-      qzone: 'Quiet zone in modules (0-100)',
-      format: 'Output format (png, gif, jpeg, jpg, svg, eps)',
-      depth: 'Bit depth for raster formats (1, 8, 16, 24, 32)',
-      dpi: 'DPI/resolution for raster formats (72-600, default: 96)',
-      optimize: 'Aggressive PNG optimization like QR Server (true/false, default: false)'
+      size: 'Image size in format WIDTHxHEIGHT, in pixels or physical units (mm, cm, in) converted at dpi (default: 200x200); unequal dimensions with symbology=rmqr',
+      'charset-source': 'Charset of the percent-encoded data bytes in the query string (default: UTF-8)',
+      'charset-target': 'Charset to encode data in, with an ECI header unless ISO-8859-1 (e.g. Shift_JIS, Windows-1252, GB2312, Big5, ISO-8859-x)',
+      ecc: 'Error correction level (L, M, Q, H; Micro QR L, M, Q; rMQR M, H)',
+      symbology: 'Symbol type (qr, microqr, rmqr; default: qr)',
+      version: 'Pin the version for same-size codes (QR 1-40, Micro QR M1-M4, rMQR R7x43-R17x139); data that does not fit returns 422',
+      mask: 'Force the mask pattern (QR 0-7, Micro QR 0-3; default: best mask)',
+      mode: 'Encoding mode for data (auto, numeric, alphanumeric, byte, kanji; default: auto)',
+      segments: 'JSON array of {"data", "mode"} segments, used instead of data and mode',
+      structuredappend: 'Split data over up to 16 linked symbols (true/false, default: false)',
+      symbols: 'Number of structured append symbols (1-16, default: as few as fit the version, 10 unless pinned)',
+      appendoutput: 'Structured append output: grid (one image) or zip (one file per symbol plus manifest.json)',
+      gs1: 'GS1 application identifiers instead of data, as (01)...(10)... or a JSON object like {"01":"09506000134352","17":"261231"}',
+      gs1format: 'GS1 encoding: fnc1 (GS1 QR element string) or digitallink (GS1 Digital Link URI); default: fnc1',
+      gs1domain: 'Domain for gs1format=digitallink (default: https://id.gs1.org)',
+      type: 'Build data from fields instead: wifi (ssid, encryption, password, hidden), vcard or mecard (firstname, lastname, org, title, phone, email, url, street, city, region, postcode, country, note), geo (latitude, longitude, altitude), sms (phone, message), email (to, subject, body), event (summary, start, end, location, description), epc (name, iban, bic, amount, purpose, reference or message, info) or swissqr (iban, creditor and debtor addresses, amount, currency, reference, message, billinfo)',
+      color: 'Foreground color (hex, RRGGBBAA hex, decimal RGB/RGBA or cmyk:c-m-y-k)',
+      bgcolor: 'Background color (hex, RRGGBBAA hex, decimal RGB/RGBA, cmyk:c-m-y-k or transparent)',
+      spot: 'Named spot colour for the dark modules in PDF/EPS output (alternate inks from color)',
+      margin: 'Margin in pixels (0-50) or physical units (mm, cm, in)',
+      qzone: 'Quiet zone in modules (0-100), or physical units (mm, cm, in) rounded to whole modules',
+      minmodule: 'Smallest printable module for physical sizes, e.g. 0.33mm (default: MIN_MODULE_MM, 0.25mm)',
+      format: 'Output format (png, gif, jpeg, jpg, svg, eps, pdf, webp, avif, tiff, txt, ansi, html, json)',
+      matrix: 'Matrix encoding for format=json (bitmap, rle; default: bitmap)',
+      depth: 'Bit depth for raster formats (1, 8, 16, 24, 32; default: 24, or 32 with transparent colours). 16 is PNG and TIFF only; JPEG takes 8 or 24',
+      dpi: 'DPI/resolution for raster formats and PDF page size (72-600, default: 96)',
+      pagesize: 'Named PDF page size with the code centred (A3, A4, A5, A6, Letter, Legal)',
+      optimize: 'Aggressive PNG optimization like QR Server (true/false, default: false)',
+      crisp: 'Whole pixels per module, padding the quiet zone to fit size; sets X-QR-Module-Pixels (true/false, default: false)',
+      quality: 'Quality for lossy formats (1-100, default: 90 for JPEG/WebP, 80 for AVIF)',
+      lossless: 'Lossless WebP/AVIF encoding (true/false, default: false)',
+      transparent: 'Make the background colour transparent in GIF output (true/false, default: false)',
+      moduleshape: 'Shape of the dark modules (square, dot, rounded, classy; default: square)',
+      eyeshape: 'Shape of the finder-eye rings (square, rounded, circle; default: square)',
+      eyeinnershape: 'Shape of the finder-eye centres (square, rounded, circle; default: square)',
+      eyecolor: 'Colour of the finder-eye rings (default: color or the gradient)',
+      eyeinnercolor: 'Colour of the finder-eye centres (default: eyecolor)',
+      gradient: 'Gradient fill for the dark modules (linear, radial) from color to gradientcolor',
+      gradientcolor: 'End colour of the gradient (required with gradient)',
+      gradientangle: 'Direction of a linear gradient in degrees (0-360, default: 0, left to right)',
+      caption: 'Caption text under or over the code (up to 100 characters; Latin-1 only for PDF)',
+      captionsize: 'Caption font size in pixels (6-200, default: 1/12 of the code width)',
+      captioncolor: 'Caption colour (default: color, or bgcolor on a banner)',
+      captionposition: 'Caption position (top, bottom; default: bottom)',
+      frame: 'Frame preset (none, box, banner; default: none)',
+      framecolor: 'Frame colour (default: color)',
+      logo: 'Base64 logo image for the centre of the code (POST may upload a "logo" file instead)',
+      logoname: 'Name of a logo stored on the server',
+      logosize: 'Logo width as a fraction of the symbol width (0.05-0.3, default: 0.2)',
+      logopadding: 'Space around the logo in modules (0-5, default: 1)',
+      logoplate: 'Backing plate behind the logo (none, square, rounded; default: rounded)',
+      logoknockout: 'Clear the modules under the plate instead of drawing over them (true/false, default: false)'
+    },
+    barcodeParameters: {
+      type: 'Barcode type for /v1/create-barcode/ (datamatrix, aztec, pdf417, code128, ean13, upca, code39, itf14; required)',
+      shape: 'Data Matrix shape (square, rectangle, auto; default: square)',
+      symbolsize: 'Pin the Data Matrix size, e.g. 24x24 or 12x36; data that does not fit returns 422',
+      ecpercent: 'Aztec error correction as a percentage of the data (5-95, default: 23)',
+      layers: 'Pin the Aztec layer count (1-32, compact 1-4); data that does not fit returns 422',
+      compact: 'Aztec compact (true) or full-range (false) symbols (default: smallest that fits)',
+      columns: 'PDF417 data columns (1-30, default: about three times as wide as tall); data that does not fit returns 422',
+      securitylevel: 'PDF417 error correction level (0-8, default: recommended minimum for the data length)',
+      humanreadable: 'Human-readable text under linear barcodes (true/false, default: true)',
+      checkdigit: 'Append the optional mod 43 check character to Code 39 (true/false, default: false)'
     },
     examples: [
       '/v1/create-qr-code/?data=HelloWorld&size=100x100',
@@ -669,7 +6548,15 @@ app.get('/', (req, res) => {
       '/v1/create-qr-code/?data=Test&format=svg&ecc=H&qzone=4',
       '/v1/create-qr-code/?data=Monochrome&size=200x200&depth=1&format=png',
       '/v1/create-qr-code/?data=HighDPI&size=200x200&dpi=300&format=png',
-      '/v1/create-qr-code/?data=Optimized&size=75x75&depth=1&optimize=true'
+      '/v1/create-qr-code/?data=Optimized&size=75x75&depth=1&optimize=true',
+      '/v1/create-qr-code/?gs1=(01)09506000134352(17)261231(10)ABC123',
+      '/v1/create-qr-code/?type=wifi&ssid=Office&encryption=WPA&password=correct-horse',
+      '/v1/create-qr-code/?type=epc&name=Red%20Cross%20of%20Belgium&iban=BE72000000001616&amount=10&format=pdf&size=30mmx30mm',
+      '/v1/create-qr-code/?gs1=(01)09506000134352(10)ABC123&gs1format=digitallink&gs1domain=https://example.com',
+      '/v1/analyze-qr-code/?data=https://example.com&color=777777&size=25mmx25mm&dpi=300',
+      '/v1/create-barcode/?type=datamatrix&data=Serial%20123456&size=200x200',
+      '/v1/create-barcode/?type=aztec&data=Ticket%20ABC&format=svg&qzone=2',
+      '/v1/create-barcode/?type=ean13&data=400638133393&size=300x200'
     ]
   });
 });
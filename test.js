@@ -1,5 +1,17 @@
 const fs = require('fs');
 const path = require('path');
+const zlib = require('zlib');
+const QRCode = require('qrcode');
+const sharp = require('sharp');
+
+// Failed checks; the process exits non-zero when there are any
+let failures = 0;
+
+// Utility function to report a failed check
+function fail(message) {
+  failures++;
+  console.log(message);
+}
 
 // Test the API endpoints
 async function testAPI() {
@@ -34,6 +46,91 @@ async function testAPI() {
       url: `${baseURL}/v1/create-qr-code/?data=SVGFormat&size=200x200&format=svg`,
       filename: 'test_svg.svg'
     },
+    {
+      name: 'EPS Format',
+      url: `${baseURL}/v1/create-qr-code/?data=EPSFormat&size=200x200&format=eps&qzone=2&color=2563eb`,
+      filename: 'test_eps.eps'
+    },
+    {
+      name: 'GIF Format',
+      url: `${baseURL}/v1/create-qr-code/?data=GIFFormat&size=200x200&format=gif&margin=10&qzone=2`,
+      filename: 'test_gif.gif'
+    },
+    {
+      name: '1-bit Transparent GIF',
+      url: `${baseURL}/v1/create-qr-code/?data=TransparentGIF&size=200x200&format=gif&depth=1&transparent=true`,
+      filename: 'test_gif_transparent.gif'
+    },
+    {
+      name: 'PDF Format (300 DPI)',
+      url: `${baseURL}/v1/create-qr-code/?data=PDFFormat&size=300x300&format=pdf&dpi=300&qzone=4`,
+      filename: 'test_pdf.pdf'
+    },
+    {
+      name: 'PDF on A4 Page',
+      url: `${baseURL}/v1/create-qr-code/?data=PDFPage&size=600x600&format=pdf&pagesize=A4&dpi=150`,
+      filename: 'test_pdf_a4.pdf'
+    },
+    {
+      name: 'WebP Format',
+      url: `${baseURL}/v1/create-qr-code/?data=WebPFormat&size=200x200&format=webp`,
+      filename: 'test_webp.webp'
+    },
+    {
+      name: 'AVIF Format',
+      url: `${baseURL}/v1/create-qr-code/?data=AVIFFormat&size=200x200&format=avif`,
+      filename: 'test_avif.avif'
+    },
+    {
+      name: '1-bit TIFF (CCITT G4, 300 DPI)',
+      url: `${baseURL}/v1/create-qr-code/?data=ArchivalTIFF&size=300x300&format=tiff&depth=1&dpi=300`,
+      filename: 'test_tiff_g4.tiff'
+    },
+    {
+      name: 'CMYK TIFF (rich black avoided)',
+      url: `${baseURL}/v1/create-qr-code/?data=CMYKTiff&size=300x300&format=tiff&color=cmyk:0-0-0-100&dpi=300`,
+      filename: 'test_cmyk.tiff'
+    },
+    {
+      name: 'CMYK JPEG',
+      url: `${baseURL}/v1/create-qr-code/?data=CMYKJpeg&size=200x200&format=jpeg&color=cmyk:100-80-0-20`,
+      filename: 'test_cmyk.jpg'
+    },
+    {
+      name: 'Spot Colour PDF',
+      url: `${baseURL}/v1/create-qr-code/?data=SpotPDF&size=300x300&format=pdf&dpi=300&color=cmyk:100-80-0-20&spot=${encodeURIComponent('PANTONE 286 C')}`,
+      filename: 'test_spot.pdf'
+    },
+    {
+      name: 'Spot Colour EPS',
+      url: `${baseURL}/v1/create-qr-code/?data=SpotEPS&size=200x200&format=eps&color=cmyk:100-80-0-20&spot=${encodeURIComponent('PANTONE 286 C')}`,
+      filename: 'test_spot.eps'
+    },
+    {
+      name: 'UTF-8 Text Format',
+      url: `${baseURL}/v1/create-qr-code/?data=TextFormat&format=txt&qzone=2`,
+      filename: 'test_text.txt'
+    },
+    {
+      name: 'ANSI Terminal Format',
+      url: `${baseURL}/v1/create-qr-code/?data=ANSIFormat&format=ansi&qzone=2&color=1e3a8a`,
+      filename: 'test_ansi.txt'
+    },
+    {
+      name: 'HTML Table Format',
+      url: `${baseURL}/v1/create-qr-code/?data=HTMLFormat&size=200x200&format=html&qzone=4&color=2563eb&bgcolor=f8fafc`,
+      filename: 'test_html.html'
+    },
+    {
+      name: 'JSON Matrix (bitmap)',
+      url: `${baseURL}/v1/create-qr-code/?data=JSONMatrix&format=json&qzone=4`,
+      filename: 'test_matrix.json'
+    },
+    {
+      name: 'JSON Matrix (run-length rows)',
+      url: `${baseURL}/v1/create-qr-code/?data=JSONMatrix&format=json&matrix=rle&ecc=H`,
+      filename: 'test_matrix_rle.json'
+    },
     {
       name: 'With Margin',
       url: `${baseURL}/v1/create-qr-code/?data=WithMargin&size=200x200&margin=10&qzone=2`,
@@ -78,6 +175,51 @@ async function testAPI() {
       name: 'Standard vs Optimized Comparison',
       url: `${baseURL}/v1/create-qr-code/?data=CompareOptimization&size=75x75&depth=1&optimize=false`,
       filename: 'test_standard.png'
+    },
+    {
+      name: 'Named Logo (PNG)',
+      url: `${baseURL}/v1/create-qr-code/?data=${encodeURIComponent('https://example.com/spring-campaign?ref=poster')}&size=300x300&logoname=example`,
+      filename: 'test_logo.png'
+    },
+    {
+      name: 'Named Logo (SVG, square plate, knock-out)',
+      url: `${baseURL}/v1/create-qr-code/?data=${encodeURIComponent('https://example.com/spring-campaign?ref=poster')}&size=300x300&format=svg&qzone=4&logoname=example&logoplate=square&logoknockout=true`,
+      filename: 'test_logo.svg'
+    },
+    {
+      name: 'Dot Modules with Circle Eyes',
+      url: `${baseURL}/v1/create-qr-code/?data=StyledDots&size=300x300&qzone=4&moduleshape=dot&eyeshape=circle&eyeinnershape=circle&eyecolor=e11d48`,
+      filename: 'test_style_dots.png'
+    },
+    {
+      name: 'Rounded Modules with Linear Gradient (SVG)',
+      url: `${baseURL}/v1/create-qr-code/?data=StyledGradient&size=300x300&format=svg&qzone=4&moduleshape=rounded&eyeshape=rounded&gradient=linear&color=1d4ed8&gradientcolor=9333ea&gradientangle=45`,
+      filename: 'test_style_gradient.svg'
+    },
+    {
+      name: 'Caption Below Code',
+      url: `${baseURL}/v1/create-qr-code/?data=CaptionTest&size=200x200&qzone=2&caption=${encodeURIComponent('SKU 12345-AB')}`,
+      filename: 'test_caption.png'
+    },
+    {
+      name: 'Banner Frame (SVG)',
+      url: `${baseURL}/v1/create-qr-code/?data=BannerFrame&size=200x200&format=svg&qzone=2&frame=banner&framecolor=1d4ed8&caption=${encodeURIComponent('Scan me')}`,
+      filename: 'test_frame_banner.svg'
+    },
+    {
+      name: 'Box Frame with Top Caption (PDF)',
+      url: `${baseURL}/v1/create-qr-code/?data=BoxFrame&size=300x300&format=pdf&dpi=300&qzone=2&frame=box&captionposition=top&caption=${encodeURIComponent('Scan for offers')}`,
+      filename: 'test_frame_box.pdf'
+    },
+    {
+      name: 'Transparent Background',
+      url: `${baseURL}/v1/create-qr-code/?data=Transparent&size=200x200&qzone=2&bgcolor=transparent`,
+      filename: 'test_transparent.png'
+    },
+    {
+      name: 'RGBA Colour (WebP)',
+      url: `${baseURL}/v1/create-qr-code/?data=RGBAColour&size=200x200&qzone=2&format=webp&color=1d4ed8e6&bgcolor=transparent`,
+      filename: 'test_rgba.webp'
     }
   ];
   
@@ -101,7 +243,7 @@ async function testAPI() {
         console.log(`✅ Success! Saved to: ${outputPath}`);
         console.log(`File size: ${Buffer.from(buffer).length} bytes`);
       } else {
-        console.log(`❌ Failed with status: ${response.status}`);
+        fail(`❌ Failed with status: ${response.status}`);
         const errorText = await response.text();
         console.log(`Error: ${errorText}`);
       }
@@ -109,7 +251,7 @@ async function testAPI() {
       console.log('---\n');
       
     } catch (error) {
-      console.log(`❌ Error: ${error.message}`);
+      fail(`❌ Error: ${error.message}`);
       console.log('---\n');
     }
   }
@@ -130,6 +272,10 @@ async function testAPI() {
       name: 'Invalid color format',
       url: `${baseURL}/v1/create-qr-code/?data=test&color=invalidcolor`
     },
+    {
+      name: 'Invalid CMYK color',
+      url: `${baseURL}/v1/create-qr-code/?data=test&color=cmyk:0-0-0-120`
+    },
     {
       name: 'Invalid ECC level',
       url: `${baseURL}/v1/create-qr-code/?data=test&ecc=X`
@@ -138,9 +284,149 @@ async function testAPI() {
       name: 'Invalid bit depth',
       url: `${baseURL}/v1/create-qr-code/?data=test&depth=7`
     },
+    {
+      name: 'PDF caption outside Latin-1',
+      url: `${baseURL}/v1/create-qr-code/?data=test&format=pdf&caption=${encodeURIComponent('スキャン')}`
+    },
+    {
+      name: '16-bit WebP',
+      url: `${baseURL}/v1/create-qr-code/?data=test&format=webp&depth=16`
+    },
+    {
+      name: 'Quality of zero',
+      url: `${baseURL}/v1/create-qr-code/?data=test&format=jpeg&quality=0`
+    },
+    {
+      name: 'Invalid PDF page size',
+      url: `${baseURL}/v1/create-qr-code/?data=test&format=pdf&pagesize=B9`
+    },
+    {
+      name: 'Invalid quality',
+      url: `${baseURL}/v1/create-qr-code/?data=test&format=webp&quality=150`
+    },
+    {
+      name: 'Invalid matrix encoding',
+      url: `${baseURL}/v1/create-qr-code/?data=test&format=json&matrix=png`
+    },
     {
       name: 'Invalid DPI',
       url: `${baseURL}/v1/create-qr-code/?data=test&dpi=1000`
+    },
+    {
+      name: 'Logo over the ECC budget',
+      url: `${baseURL}/v1/create-qr-code/?data=${encodeURIComponent('https://example.com/spring-campaign?ref=poster')}&logoname=example&logosize=0.3&logopadding=3`
+    },
+    {
+      name: 'Logo on a pinned version too small for it',
+      url: `${baseURL}/v1/create-qr-code/?data=hello&logoname=example&version=1`
+    },
+    {
+      name: 'Invalid module shape',
+      url: `${baseURL}/v1/create-qr-code/?data=test&moduleshape=star`
+    },
+    {
+      name: 'Gradient without gradientcolor',
+      url: `${baseURL}/v1/create-qr-code/?data=test&gradient=radial`
+    },
+    {
+      name: 'Crisp SVG',
+      url: `${baseURL}/v1/create-qr-code/?data=test&format=svg&crisp=true`
+    },
+    {
+      name: 'Mixed physical and pixel size',
+      url: `${baseURL}/v1/create-qr-code/?data=test&size=25mmx100`
+    },
+    {
+      name: 'Modules below printable minimum',
+      url: `${baseURL}/v1/create-qr-code/?data=${'x'.repeat(200)}&size=10mmx10mm`
+    },
+    {
+      name: 'Data too long for pinned version',
+      url: `${baseURL}/v1/create-qr-code/?data=${'x'.repeat(100)}&version=2`
+    },
+    {
+      name: 'Data outside numeric mode',
+      url: `${baseURL}/v1/create-qr-code/?data=12AB&mode=numeric`
+    },
+    {
+      name: 'Character outside the target charset',
+      url: `${baseURL}/v1/create-qr-code/?data=%E2%82%AC&charset-target=ISO-8859-1`
+    },
+    {
+      name: 'PDF417 with 31 columns',
+      url: `${baseURL}/v1/create-barcode/?data=test&type=pdf417&columns=31`
+    },
+    {
+      name: 'Structured append as PDF',
+      url: `${baseURL}/v1/create-qr-code/?data=test&structuredappend=true&format=pdf`
+    },
+    {
+      name: 'Micro QR with ecc H',
+      url: `${baseURL}/v1/create-qr-code/?data=12345&symbology=microqr&ecc=H`
+    },
+    {
+      name: 'Unknown barcode type',
+      url: `${baseURL}/v1/create-barcode/?data=test&type=maxicode`
+    },
+    {
+      name: 'EAN-13 with a wrong check digit',
+      url: `${baseURL}/v1/create-barcode/?data=4006381333932&type=ean13`
+    },
+    {
+      name: 'GS1 GTIN with a wrong check digit',
+      url: `${baseURL}/v1/create-qr-code/?gs1=(01)09506000134353(10)ABC123`
+    },
+    {
+      name: 'Wi-Fi payload without encryption',
+      url: `${baseURL}/v1/create-qr-code/?type=wifi&ssid=Office`
+    },
+    {
+      name: 'EPC payment with a wrong IBAN check digit',
+      url: `${baseURL}/v1/create-qr-code/?type=epc&name=Example&iban=DE89370400440532013001`
+    },
+    {
+      name: 'Analysis of structured append data',
+      url: `${baseURL}/v1/analyze-qr-code/?data=test&structuredappend=true`
+    },
+    {
+      name: 'vCard URL with a line break',
+      url: `${baseURL}/v1/create-qr-code/?type=vcard&firstname=Ann&url=http://x%0D%0AEND:VCARD%0D%0ABEGIN:VCARD%0D%0AN:Evil`
+    },
+    {
+      name: 'Event with an out-of-range UTC offset',
+      url: `${baseURL}/v1/create-qr-code/?type=event&summary=Launch&start=2026-10-19T14:30%2B25:00`
+    },
+    {
+      name: 'EPC payment name with a line break',
+      url: `${baseURL}/v1/create-qr-code/?type=epc&name=Evil%0ADE89370400440532013000&iban=BE72000000001616`
+    },
+    {
+      name: 'Transparent JPEG',
+      url: `${baseURL}/v1/create-qr-code/?data=test&format=jpeg&bgcolor=transparent`
+    },
+    {
+      name: 'Analyze with the checks of create-qr-code (transparent JPEG)',
+      url: `${baseURL}/v1/analyze-qr-code/?data=test&format=jpeg&bgcolor=transparent`
+    },
+    {
+      name: 'Transparent 24-bit PNG',
+      url: `${baseURL}/v1/create-qr-code/?data=test&depth=24&bgcolor=transparent`
+    },
+    {
+      name: 'Invalid frame preset',
+      url: `${baseURL}/v1/create-qr-code/?data=test&frame=oval`
+    },
+    {
+      name: 'Unknown named logo',
+      url: `${baseURL}/v1/create-qr-code/?data=test&logoname=missing`
+    },
+    {
+      name: 'Read from disallowed host',
+      url: `${baseURL}/v1/read-qr-code/?fileurl=${encodeURIComponent('http://example.com/qr.png')}`
+    },
+    {
+      name: 'Read without an image',
+      url: `${baseURL}/v1/read-qr-code/`
     }
   ];
   
@@ -156,13 +442,13 @@ async function testAPI() {
         console.log(`✅ Correctly returned error: ${response.status}`);
         console.log(`Error message: ${errorText}`);
       } else {
-        console.log(`❌ Should have failed but returned success`);
+        fail(`❌ Should have failed but returned success`);
       }
       
       console.log('---\n');
       
     } catch (error) {
-      console.log(`Network error: ${error.message}`);
+      fail(`❌ Network error: ${error.message}`);
       console.log('---\n');
     }
   }
@@ -182,15 +468,952 @@ async function performanceTest() {
   const promises = Array(requests).fill().map(() => fetch(testUrl));
   
   try {
-    await Promise.all(promises);
+    const responses = await Promise.all(promises);
     const end = Date.now();
     const totalTime = end - start;
     const avgTime = totalTime / requests;
+    const failed = responses.filter((response) => !response.ok).length;
     
+    if (failed) {
+      fail(`❌ ${failed} of ${requests} performance requests failed`);
+      return;
+    }
     console.log(`✅ Generated ${requests} QR codes in ${totalTime}ms`);
     console.log(`Average time per request: ${avgTime.toFixed(2)}ms`);
   } catch (error) {
-    console.log(`❌ Performance test failed: ${error.message}`);
+    fail(`❌ Performance test failed: ${error.message}`);
+  }
+}
+
+// EPS round-trip test: parse the PostScript back into modules
+async function epsTest() {
+  console.log('\nRunning EPS round-trip test...');
+  const baseURL = 'http://localhost:3000';
+  const data = 'EPS round trip';
+  const size = 250;
+  const qzone = 4;
+  const margin = 10;
+  const testUrl = `${baseURL}/v1/create-qr-code/?data=${encodeURIComponent(data)}&size=${size}x${size}&format=eps&ecc=M&qzone=${qzone}&margin=${margin}`;
+  
+  try {
+    const response = await fetch(testUrl);
+    const eps = await response.text();
+    const symbol = QRCode.create(data, { errorCorrectionLevel: 'medium' }).modules;
+    const moduleSize = size / (symbol.size + qzone * 2);
+    const offset = margin + qzone * moduleSize;
+    const height = size + margin * 2;
+    
+    const boundingBox = eps.match(/^%%BoundingBox: 0 0 (\d+) (\d+)$/m);
+    if (!boundingBox || parseInt(boundingBox[1]) !== height || parseInt(boundingBox[2]) !== height) {
+      fail(`❌ EPS bounding box mismatch: ${boundingBox && boundingBox[0]}`);
+      return;
+    }
+    
+    // Rebuild the module grid from the filled runs (skipping the background fill)
+    const grid = Array.from({ length: symbol.size }, () => new Array(symbol.size).fill(0));
+    const runs = [...eps.matchAll(/^([\d.]+) ([\d.]+) ([\d.]+) ([\d.]+) R$/gm)].slice(1);
+    for (const run of runs) {
+      const [x, y, w] = run.slice(1, 4).map(Number);
+      const col = Math.round((x - offset) / moduleSize);
+      const row = Math.round((height - offset - y) / moduleSize) - 1;
+      const length = Math.round(w / moduleSize);
+      for (let i = 0; i < length; i++) {
+        grid[row][col + i] = 1;
+      }
+    }
+    
+    let mismatches = 0;
+    let darkModules = 0;
+    for (let row = 0; row < symbol.size; row++) {
+      for (let col = 0; col < symbol.size; col++) {
+        if (grid[row][col]) darkModules++;
+        if (grid[row][col] !== (symbol.get(row, col) ? 1 : 0)) mismatches++;
+      }
+    }
+    
+    if (mismatches === 0) {
+      console.log(`✅ EPS matches symbol: ${symbol.size}x${symbol.size} modules, ${darkModules} dark in ${runs.length} runs`);
+    } else {
+      fail(`❌ EPS differs from symbol in ${mismatches} modules`);
+    }
+    
+    // Spot colour names are PostScript strings, so parentheses and backslashes are escaped
+    const spotEPS = await (await fetch(`${baseURL}/v1/create-qr-code/?data=SpotEPS&format=eps&color=cmyk:0-0-0-100&spot=${encodeURIComponent('Ink) (x\\')}`)).text();
+    if (spotEPS.includes('[/Separation (Ink\\) \\(x\\\\) /DeviceCMYK') && spotEPS.includes('%%DocumentCustomColors: (Ink\\) \\(x\\\\)\n')) {
+      console.log('✅ EPS escapes the spot colour name');
+    } else {
+      fail(`❌ EPS spot colour name is not escaped: ${(spotEPS.match(/.*Separation.*/) || [''])[0]}`);
+    }
+  } catch (error) {
+    fail(`❌ EPS round-trip test failed: ${error.message}`);
+  }
+}
+
+// PDF test: page size in points, module geometry and CMYK/spot colour operators
+async function pdfTest() {
+  console.log('\nRunning PDF and CMYK test...');
+  const baseURL = 'http://localhost:3000';
+  // The first content stream of a PDF, inflated
+  const pageContent = (pdf) => zlib.inflateSync(pdf.subarray(pdf.indexOf('stream\n') + 7, pdf.indexOf('\nendstream'))).toString('latin1');
+  const mediaBox = (pdf) => (pdf.toString('latin1').match(/\/MediaBox \[([^\]]+)\]/) || [])[1];
+  
+  try {
+    // 300 pixels at 300 dpi is one inch, 25 mm is 70.866 points, and A4 pages are 595 x 842 points
+    const boxes = [];
+    for (const query of ['size=300x300&dpi=300', 'size=25mmx25mm', 'size=600x600&dpi=150&pagesize=A4']) {
+      boxes.push(mediaBox(Buffer.from(await (await fetch(`${baseURL}/v1/create-qr-code/?data=PDFSize&format=pdf&${query}`)).arrayBuffer())));
+    }
+    
+    if (boxes.join('/') === '0 0 72 72/0 0 70.866 70.866/0 0 595 842') {
+      console.log('✅ PDF MediaBox is 72pt for 300px at 300 dpi, 70.866pt for 25mm and 595x842pt for A4');
+    } else {
+      fail(`❌ PDF MediaBox values were ${boxes.join(', ')}`);
+    }
+    
+    // Rebuild the module grid from the filled rectangles that follow the ink colour
+    const data = 'PDF round trip';
+    const qzone = 4;
+    const symbol = QRCode.create(data, { errorCorrectionLevel: 'low' }).modules;
+    const pdf = Buffer.from(await (await fetch(`${baseURL}/v1/create-qr-code/?data=${encodeURIComponent(data)}&size=300x300&dpi=300&qzone=${qzone}&format=pdf`)).arrayBuffer());
+    const [, ink] = pageContent(pdf).split(/^0 0 0 rg$/m);
+    const moduleSize = 72 / (symbol.size + qzone * 2);
+    const grid = Array.from({ length: symbol.size }, () => new Array(symbol.size).fill(0));
+    for (const run of (ink || '').matchAll(/^([\d.]+) ([\d.]+) ([\d.]+) [\d.]+ re$/gm)) {
+      const [x, y, w] = run.slice(1, 4).map(Number);
+      const row = symbol.size - 1 - Math.round(y / moduleSize - qzone);
+      const col = Math.round(x / moduleSize - qzone);
+      for (let i = 0; i < Math.round(w / moduleSize); i++) grid[row][col + i] = 1;
+    }
+    const mismatches = grid.flat().filter((dark, index) => dark !== symbol.data[index]).length;
+    
+    if (ink && mismatches === 0) {
+      console.log(`✅ PDF modules match the ${symbol.size}x${symbol.size} symbol`);
+    } else {
+      fail(`❌ PDF differs from the symbol in ${ink ? mismatches : 'all'} modules`);
+    }
+    
+    // CMYK colours are k operators; a spot colour is a Separation colour space with its CMYK alternate
+    const cmyk = pageContent(Buffer.from(await (await fetch(`${baseURL}/v1/create-qr-code/?data=CMYKPDF&format=pdf&color=cmyk:100-80-0-20`)).arrayBuffer()));
+    const spotPDF = Buffer.from(await (await fetch(`${baseURL}/v1/create-qr-code/?data=SpotPDF&format=pdf&color=cmyk:100-80-0-20&spot=${encodeURIComponent('PANTONE 286 C')}`)).arrayBuffer());
+    const separation = spotPDF.toString('latin1').includes('/CS0 [/Separation /PANTONE#20286#20C /DeviceCMYK << /FunctionType 2 /Domain [0 1] /C0 [0 0 0 0] /C1 [1 0.8 0 0.2]');
+    
+    if (/^0 0 0 0 k$/m.test(cmyk) && /^1 0\.8 0 0\.2 k$/m.test(cmyk) && separation && /^\/CS0 cs 1 scn$/m.test(pageContent(spotPDF))) {
+      console.log('✅ PDF paints CMYK with k operators and the spot colour as a Separation');
+    } else {
+      fail(`❌ PDF colour operators were ${cmyk.split('\n').slice(0, 3).join(' | ')}; Separation ${separation}`);
+    }
+    
+    // CMYK JPEG and TIFF carry four channels, and the TIFF keeps its resolution
+    const jpeg = await sharp(Buffer.from(await (await fetch(`${baseURL}/v1/create-qr-code/?data=CMYKJpeg&format=jpeg&color=cmyk:100-80-0-20`)).arrayBuffer())).metadata();
+    const tiff = await sharp(Buffer.from(await (await fetch(`${baseURL}/v1/create-qr-code/?data=CMYKTiff&format=tiff&dpi=300&color=cmyk:0-0-0-100`)).arrayBuffer())).metadata();
+    
+    if (jpeg.space === 'cmyk' && jpeg.channels === 4 && tiff.space === 'cmyk' && tiff.channels === 4 && tiff.density === 300) {
+      console.log('✅ CMYK JPEG and TIFF are four-channel CMYK images');
+    } else {
+      fail(`❌ CMYK raster output was JPEG ${jpeg.space}/${jpeg.channels}, TIFF ${tiff.space}/${tiff.channels} at ${tiff.density} dpi`);
+    }
+  } catch (error) {
+    fail(`❌ PDF and CMYK test failed: ${error.message}`);
+  }
+}
+
+// Text and JSON matrix test: decode each format back into modules and compare with the symbol
+async function matrixFormatTest() {
+  console.log('\nRunning text and JSON matrix test...');
+  const baseURL = 'http://localhost:3000';
+  const data = 'Matrix formats';
+  const qzone = 2;
+  const symbol = QRCode.create(data, { errorCorrectionLevel: 'low' }).modules;
+  const expected = Array.from({ length: symbol.size }, (_, row) => Array.from(symbol.data.slice(row * symbol.size, (row + 1) * symbol.size)).join(''));
+  const fetchFormat = async (query) => (await fetch(`${baseURL}/v1/create-qr-code/?data=${encodeURIComponent(data)}&qzone=${qzone}&${query}`)).text();
+  // Rows of modules with the quiet zone cut off
+  const crop = (rows) => rows.slice(qzone, qzone + symbol.size).map((row) => row.slice(qzone, qzone + symbol.size));
+  
+  try {
+    // Each character of txt holds two rows: upper half, lower half, full block or space
+    const halves = { ' ': '00', '▀': '10', '▄': '01', '█': '11' };
+    const textRows = [];
+    for (const line of (await fetchFormat('format=txt')).split('\n').filter(Boolean)) {
+      const pairs = [...line].map((char) => halves[char] || '??');
+      textRows.push(pairs.map((pair) => pair[0]).join(''), pairs.map((pair) => pair[1]).join(''));
+    }
+    
+    // ANSI uses the upper half block with the top row as foreground and the bottom row as background
+    const ansiRows = [];
+    for (const line of (await fetchFormat('format=ansi&color=1e3a8a')).split('\n').filter((line) => line.includes('▀'))) {
+      const cells = [...line.matchAll(/\x1b\[38;2;(\d+;\d+;\d+)m\x1b\[48;2;(\d+;\d+;\d+)m(▀+)/g)]
+        .flatMap(([, top, bottom, blocks]) => [...blocks].map(() => [top === '30;58;138' ? 1 : 0, bottom === '30;58;138' ? 1 : 0]));
+      ansiRows.push(cells.map((cell) => cell[0]).join(''), cells.map((cell) => cell[1]).join(''));
+    }
+    
+    // HTML has a table cell per module, with class d on dark modules
+    const htmlRows = [...(await fetchFormat('format=html')).matchAll(/<tr>(.*?)<\/tr>/g)]
+      .map(([, row]) => [...row.matchAll(/<td( class="d")?><\/td>/g)].map((cell) => (cell[1] ? 1 : 0)).join(''));
+    
+    const results = { txt: crop(textRows), ansi: crop(ansiRows), html: crop(htmlRows) };
+    for (const [format, rows] of Object.entries(results)) {
+      if (rows.join() === expected.join()) {
+        console.log(`✅ ${format} output matches the ${symbol.size}x${symbol.size} symbol`);
+      } else {
+        fail(`❌ ${format} output differs from the symbol: ${rows.slice(0, 2).join(' / ')}`);
+      }
+    }
+    
+    // JSON bitmap rows are the modules without the quiet zone; rle rows alternate light and dark runs from light
+    const bitmap = JSON.parse(await fetchFormat('format=json'));
+    const rle = JSON.parse(await fetchFormat('format=json&matrix=rle'));
+    const rleRows = rle.matrix.map((runs) => runs.map((run, index) => String(index % 2).repeat(run)).join(''));
+    
+    if (bitmap.maskPattern === QRCode.create(data, { errorCorrectionLevel: 'low' }).maskPattern
+      && bitmap.matrix.map((row) => row.join('')).join() === expected.join() && rleRows.join() === expected.join()) {
+      console.log('✅ JSON bitmap and rle matrices match the symbol');
+    } else {
+      fail(`❌ JSON matrices differ from the symbol (mask ${bitmap.maskPattern}, ${rle.matrix.length} rle rows)`);
+    }
+  } catch (error) {
+    fail(`❌ Text and JSON matrix test failed: ${error.message}`);
+  }
+}
+
+// PNG bit depth test: check the IHDR bit depth and colour type of each depth
+async function pngDepthTest() {
+  console.log('\nRunning PNG bit depth test...');
+  const baseURL = 'http://localhost:3000';
+  const cases = [
+    { query: 'depth=8', bitDepth: 8, colorType: 0, label: '8-bit greyscale' },
+    { query: 'depth=16', bitDepth: 16, colorType: 0, label: '16-bit greyscale' },
+    { query: 'depth=16&bgcolor=transparent', bitDepth: 16, colorType: 4, label: '16-bit greyscale with alpha' },
+    { query: 'depth=24', bitDepth: 8, colorType: 2, label: '24-bit RGB' },
+    { query: 'depth=32', bitDepth: 8, colorType: 6, label: '32-bit RGBA' },
+    { query: 'bgcolor=transparent', bitDepth: 8, colorType: 6, label: 'transparent background (RGBA by default)' }
+  ];
+  
+  try {
+    for (const testCase of cases) {
+      const response = await fetch(`${baseURL}/v1/create-qr-code/?data=DepthTest&size=100x100&${testCase.query}`);
+      const png = Buffer.from(await response.arrayBuffer());
+      const bitDepth = png[24];
+      const colorType = png[25];
+      
+      if (response.ok && bitDepth === testCase.bitDepth && colorType === testCase.colorType) {
+        console.log(`✅ ${testCase.query}: ${testCase.label}`);
+      } else {
+        fail(`❌ ${testCase.query}: expected bit depth ${testCase.bitDepth}, colour type ${testCase.colorType}; got ${bitDepth}, ${colorType}`);
+      }
+    }
+  } catch (error) {
+    fail(`❌ PNG bit depth test failed: ${error.message}`);
+  }
+}
+
+// Crisp mode test: whole pixels per module, reported in a header, at the requested size
+async function crispTest() {
+  console.log('\nRunning crisp mode test...');
+  const baseURL = 'http://localhost:3000';
+  const size = 203;
+  const qzone = 2;
+  const symbol = QRCode.create('Crisp', { errorCorrectionLevel: 'low' }).modules;
+  const expected = Math.floor(size / (symbol.size + qzone * 2));
+  
+  try {
+    const response = await fetch(`${baseURL}/v1/create-qr-code/?data=Crisp&size=${size}x${size}&qzone=${qzone}&depth=1&crisp=true`);
+    const png = Buffer.from(await response.arrayBuffer());
+    const modulePixels = parseInt(response.headers.get('x-qr-module-pixels'));
+    const width = png.readUInt32BE(16);
+    
+    if (response.ok && modulePixels === expected && width === size) {
+      console.log(`✅ Crisp ${size}x${size}: ${modulePixels} pixels per module, ${size - modulePixels * (symbol.size + qzone * 2)} pixels of extra quiet zone`);
+    } else {
+      fail(`❌ Crisp returned ${response.status}: ${modulePixels} pixels per module (expected ${expected}), width ${width}`);
+      return;
+    }
+    
+    // Every pixel of a module block has the module's colour, starting at the first dark pixel (the finder corner)
+    const { data: pixels, info } = await sharp(png).greyscale().raw().toBuffer({ resolveWithObject: true });
+    const first = pixels.findIndex((value) => value < 128);
+    const [top, left] = [Math.floor(first / info.width), first % info.width];
+    let wrongPixels = 0;
+    for (let y = 0; y < symbol.size * modulePixels; y++) {
+      for (let x = 0; x < symbol.size * modulePixels; x++) {
+        const dark = pixels[(top + y) * info.width + left + x] < 128 ? 1 : 0;
+        if (dark !== symbol.get(Math.floor(y / modulePixels), Math.floor(x / modulePixels))) wrongPixels++;
+      }
+    }
+    
+    if (wrongPixels === 0) {
+      console.log(`✅ Crisp modules are solid ${modulePixels}x${modulePixels} pixel blocks matching the symbol`);
+    } else {
+      fail(`❌ Crisp output has ${wrongPixels} pixels that differ from the symbol`);
+    }
+  } catch (error) {
+    fail(`❌ Crisp mode test failed: ${error.message}`);
+  }
+}
+
+// Pinned version, mask and segments test
+async function symbolControlTest() {
+  console.log('\nRunning version, mask and segments test...');
+  const baseURL = 'http://localhost:3000';
+  
+  try {
+    // Short and long payloads give the same symbol size when the version is pinned
+    const sizes = [];
+    for (const data of ['A1', 'A much longer payload for the same print run']) {
+      const symbol = await (await fetch(`${baseURL}/v1/create-qr-code/?data=${encodeURIComponent(data)}&version=4&mask=5&format=json`)).json();
+      sizes.push(`${symbol.version}/${symbol.modules}/${symbol.maskPattern}`);
+    }
+    
+    if (sizes.every((size) => size === '4/33/5')) {
+      console.log('✅ Pinned version 4 and mask 5 give 33x33 modules for short and long data');
+    } else {
+      fail(`❌ Pinned version returned ${sizes.join(', ')}`);
+    }
+    
+    const response = await fetch(`${baseURL}/v1/create-qr-code/`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ segments: [{ data: 'ORDER', mode: 'alphanumeric' }, { data: '000123', mode: 'numeric' }], format: 'json' })
+    });
+    const symbol = await response.json();
+    const modes = (symbol.segments || []).map((segment) => segment.mode).join(',');
+    
+    if (response.ok && modes === 'Alphanumeric,Numeric') {
+      console.log('✅ Segment list encoded as Alphanumeric,Numeric');
+    } else {
+      fail(`❌ Segment list returned ${response.status}: ${modes || JSON.stringify(symbol)}`);
+    }
+    
+    // Japanese text only switches to Kanji mode when asked to
+    const japanese = encodeURIComponent(encodeURIComponent('日本語'));
+    const autoModes = [];
+    for (const query of [`data=${japanese}`, `data=${japanese}&mode=kanji`]) {
+      const result = await (await fetch(`${baseURL}/v1/create-qr-code/?${query}&format=json`)).json();
+      autoModes.push((result.segments || []).map((segment) => segment.mode).join(','));
+    }
+    
+    if (autoModes.join('/') === 'Byte/Kanji') {
+      console.log('✅ Japanese text is UTF-8 bytes by default and Kanji with mode=kanji');
+    } else {
+      fail(`❌ Japanese text was encoded as ${autoModes.join('/')}`);
+    }
+  } catch (error) {
+    fail(`❌ Version, mask and segments test failed: ${error.message}`);
+  }
+}
+
+// Micro QR and rMQR test
+async function symbologyTest() {
+  console.log('\nRunning Micro QR and rMQR test...');
+  const baseURL = 'http://localhost:3000';
+  
+  try {
+    // The ISO/IEC 18004 example: 01234567 as M2-L with mask 01, data codewords 40 18 AC C3 00 and
+    // error correction codewords 86 0D 22 AE 30
+    const micro = await (await fetch(`${baseURL}/v1/create-qr-code/?data=01234567&symbology=microqr&format=json`)).json();
+    const expectedMicro = [
+      '1111111010101', '1000001011101', '1011101001101', '1011101001111', '1011101011100', '1000001010001', '1111111001111',
+      '0000000001100', '1101000010001', '0110101010101', '1110011111110', '0001010000110', '1110100110111'
+    ];
+    
+    if (micro.version === 'M2' && micro.maskPattern === 1 && micro.capacity.usedBits === 32
+      && micro.matrix.map((row) => row.join('')).join() === expectedMicro.join()) {
+      console.log('✅ Micro QR matches the ISO/IEC 18004 M2-L example symbol');
+    } else {
+      fail(`❌ Micro QR returned ${JSON.stringify(micro).slice(0, 200)}`);
+    }
+    
+    // An R13x27 reference symbol at ecc M, as BWIPP draws it
+    const reference = await (await fetch(`${baseURL}/v1/create-qr-code/?data=LOT-2024-0815&symbology=rmqr&format=json`)).json();
+    const expectedRMQR = [
+      '111111101010101010101010111', '100000100001111001001101001', '101110101100110011100101111',
+      '101110100110110001000111010', '101110101110011011111111101', '100000100010101001011010010',
+      '111111101111010111100101011', '000000001011101101110001100', '110111100010000110010011111',
+      '010100110000110011000010001', '101100001011100011001010101', '100101110000100100100010001',
+      '111010101010101010101011111'
+    ];
+    
+    if (reference.version === 'R13x27' && reference.matrix.map((row) => row.join('')).join() === expectedRMQR.join()) {
+      console.log('✅ rMQR matches the R13x27 reference symbol');
+    } else {
+      fail(`❌ rMQR returned ${JSON.stringify(reference).slice(0, 200)}`);
+    }
+    
+    // A wide, short label: the symbol keeps its proportions inside the requested size
+    const response = await fetch(`${baseURL}/v1/create-qr-code/?data=LOT-2024-0815&symbology=rmqr&size=400x80&qzone=2`);
+    const png = Buffer.from(await response.arrayBuffer());
+    const [width, height] = [png.readUInt32BE(16), png.readUInt32BE(20)];
+    const rmqr = await (await fetch(`${baseURL}/v1/create-qr-code/?data=LOT-2024-0815&symbology=rmqr&size=400x80&qzone=2&format=json`)).json();
+    
+    if (response.ok && rmqr.version.startsWith('R7x') && width <= 400 && height <= 80 && (width === 400 || height === 80)) {
+      console.log(`✅ rMQR ${rmqr.version} fits a 400x80 label as ${width}x${height}`);
+    } else {
+      fail(`❌ rMQR returned ${response.status}, ${rmqr.version}, ${width}x${height}`);
+    }
+  } catch (error) {
+    fail(`❌ Micro QR and rMQR test failed: ${error.message}`);
+  }
+}
+
+// Data Matrix, Aztec and PDF417 test
+async function barcodeTest() {
+  console.log('\nRunning Data Matrix, Aztec and PDF417 test...');
+  const baseURL = 'http://localhost:3000';
+  
+  try {
+    // 123456 packs into three digit-pair codewords: the smallest 10x10 symbol, with a solid
+    // bottom finder row and an alternating top clock track
+    const dm = await (await fetch(`${baseURL}/v1/create-barcode/?type=datamatrix&data=123456&format=json`)).json();
+    const [top, bottom] = [dm.matrix[0].join(''), dm.matrix[9].join('')];
+    
+    if (dm.version === '10x10' && top === '1010101010' && bottom === '1111111111') {
+      console.log('✅ Data Matrix encodes 123456 as 10x10 with its finder and clock track');
+    } else {
+      fail(`❌ Data Matrix returned ${JSON.stringify(dm).slice(0, 200)}`);
+    }
+    
+    // A rectangular Data Matrix keeps its proportions inside size
+    const response = await fetch(`${baseURL}/v1/create-barcode/?type=datamatrix&data=LOT0815&shape=rectangle&size=360x120`);
+    const png = Buffer.from(await response.arrayBuffer());
+    const [width, height] = [png.readUInt32BE(16), png.readUInt32BE(20)];
+    
+    if (response.ok && width === 270 && height === 120) {
+      console.log(`✅ Rectangular Data Matrix fits 360x120 as ${width}x${height}`);
+    } else {
+      fail(`❌ Rectangular Data Matrix returned ${response.status}, ${width}x${height}`);
+    }
+    
+    // Short text fits a compact one-layer Aztec symbol; pinning too few layers is a 422
+    const aztec = await (await fetch(`${baseURL}/v1/create-barcode/?type=aztec&data=Aztec&format=json`)).json();
+    const pinned = await fetch(`${baseURL}/v1/create-barcode/?type=aztec&data=${'A'.repeat(200)}&layers=1&compact=true`);
+    
+    if (aztec.version === 'compact-1' && aztec.modules.width === 15 && pinned.status === 422) {
+      console.log('✅ Aztec encodes short text as a compact 15x15 symbol');
+    } else {
+      fail(`❌ Aztec returned ${JSON.stringify(aztec).slice(0, 200)}, pinned ${pinned.status}`);
+    }
+    
+    // The ISO/IEC 15438 example: PDF417 in text compaction is 453 178 121 239, with 452 327 657 619 at security
+    // level 1. In 3 columns the rows hold the indicators and codewords 0 5 453 178 2, 5 121 239 452 0 and 2 327 657 619 5
+    const pdf417 = await (await fetch(`${baseURL}/v1/create-barcode/?type=pdf417&data=PDF417&columns=3&securitylevel=1&format=json&matrix=rle`)).json();
+    const expectedRows = [
+      '0,8,1,1,1,1,1,1,3,3,1,1,1,1,1,3,6,5,1,1,1,1,2,5,1,3,1,3,1,2,2,2,3,5,1,2,1,1,1,4,2,5,1,1,1,1,1,5,2,7,1,1,3,1,1,1,2,1',
+      '0,8,1,1,1,1,1,1,3,4,1,1,1,1,3,1,5,4,1,1,3,1,1,1,5,4,2,1,1,3,2,3,1,2,2,1,6,3,1,1,1,5,1,1,1,1,1,2,5,7,1,1,3,1,1,1,2,1',
+      '0,8,1,1,1,1,1,1,3,1,1,1,1,1,2,4,6,1,2,2,1,1,5,3,2,3,2,4,1,1,1,3,2,1,2,3,6,1,1,2,1,1,1,1,1,1,3,4,5,7,1,1,3,1,1,1,2,1'
+    ];
+    
+    if (pdf417.version === '3x3' && pdf417.modules.width === 120 && pdf417.matrix.length === 9
+      && pdf417.matrix.every((row, index) => row.join() === expectedRows[Math.floor(index / 3)])) {
+      console.log('✅ PDF417 matches the ISO/IEC 15438 example symbol');
+    } else {
+      fail(`❌ PDF417 returned ${JSON.stringify(pdf417).slice(0, 200)}`);
+    }
+  } catch (error) {
+    fail(`❌ Data Matrix, Aztec and PDF417 test failed: ${error.message}`);
+  }
+}
+
+// Linear barcode test
+async function linearBarcodeTest() {
+  console.log('\nRunning linear barcode test...');
+  const baseURL = 'http://localhost:3000';
+  
+  try {
+    // EAN-13 adds the check digit: 95 modules between an 11-module and a 7-module quiet zone
+    const ean = await (await fetch(`${baseURL}/v1/create-barcode/?type=ean13&data=400638133393&format=json`)).json();
+    
+    if (ean.data === '4006381333931' && ean.bars.length === 95 && ean.bars.startsWith('1010001101') && ean.modules.quietZone.join() === '11,7') {
+      console.log('✅ EAN-13 adds check digit 1 to 400638133393');
+    } else {
+      fail(`❌ EAN-13 returned ${JSON.stringify(ean).slice(0, 200)}`);
+    }
+    
+    // Ten digits pack into five Code 128 set C symbols: start, 5 pairs and checksum of 11 modules, stop of 13
+    const code128 = await (await fetch(`${baseURL}/v1/create-barcode/?type=code128&data=1234567890&format=json`)).json();
+    
+    if (code128.bars.length === 90) {
+      console.log('✅ Code 128 packs 1234567890 in code set C');
+    } else {
+      fail(`❌ Code 128 returned ${code128.bars && code128.bars.length} modules`);
+    }
+    
+    // Crisp ITF-14 output uses whole pixels per module across the requested width
+    const response = await fetch(`${baseURL}/v1/create-barcode/?type=itf14&data=1540014128876&size=500x150&crisp=true`);
+    const png = Buffer.from(await response.arrayBuffer());
+    
+    if (response.ok && response.headers.get('x-qr-module-pixels') === '3' && png.readUInt32BE(16) === 465 && png.readUInt32BE(20) === 150) {
+      console.log('✅ ITF-14 renders at 3 pixels per module');
+    } else {
+      fail(`❌ ITF-14 returned ${response.status}, ${response.headers.get('x-qr-module-pixels')} pixels per module`);
+    }
+    
+    // Code 128 data may hold control characters; they must not end the EPS title comment
+    const eps = await (await fetch(`${baseURL}/v1/create-barcode/?type=code128&data=${encodeURIComponent('A\n(injected) print flush')}&format=eps&color=cmyk:0-0-0-100&spot=${encodeURIComponent('Ink (1)')}`)).text();
+    if (eps.includes('%%Title: code128 A(injected) print flush\n') && !/^\(injected\)/m.test(eps) && eps.includes('[/Separation (Ink \\(1\\)) /DeviceCMYK')) {
+      console.log('✅ Code 128 EPS keeps control characters out of the title and escapes the spot colour');
+    } else {
+      fail(`❌ Code 128 EPS header: ${eps.split('%%EndComments')[0]}`);
+    }
+  } catch (error) {
+    fail(`❌ Linear barcode test failed: ${error.message}`);
+  }
+}
+
+// GS1 test
+async function gs1Test() {
+  console.log('\nRunning GS1 test...');
+  const baseURL = 'http://localhost:3000';
+  
+  try {
+    // Fixed-length AIs move to the front; the variable-length batch needs a GS before the serial
+    const fnc1 = await (await fetch(`${baseURL}/v1/create-qr-code/?gs1=(10)ABC123(21)12345(01)09506000134352&format=json`)).json();
+    
+    if (fnc1.gs1 && fnc1.gs1.data === '010950600013435210ABC123\x1d2112345' && fnc1.segments[0].mode === 'FNC1') {
+      console.log('✅ GS1 element string starts with FNC1 and puts fixed-length AIs first');
+    } else {
+      fail(`❌ GS1 element string returned ${JSON.stringify(fnc1).slice(0, 200)}`);
+    }
+    
+    // Under FNC1 an alphanumeric % means GS, so a literal % is encoded as %% (12 characters here, not 11)
+    const percent = await (await fetch(`${baseURL}/v1/create-qr-code/?gs1=${encodeURIComponent('(01)09506000134352(10)AB%12CDEFGH')}&format=json`)).json();
+    const alphanumeric = (percent.segments || []).find((segment) => segment.mode === 'Alphanumeric');
+    
+    if (alphanumeric && alphanumeric.length === 12 && percent.gs1.data === '010950600013435210AB%12CDEFGH') {
+      console.log('✅ GS1 doubles a literal % in alphanumeric segments');
+    } else {
+      fail(`❌ GS1 % returned segments ${JSON.stringify(percent.segments)}`);
+    }
+    
+    // A GTIN-13 is padded to 14 digits; the batch qualifies the key and the expiry goes in the query
+    const link = await (await fetch(`${baseURL}/v1/create-qr-code/?gs1=${encodeURIComponent('{"gtin":"9506000134352","lot":"ABC123","expiry":"261231"}')}&gs1format=digitallink&format=json`)).json();
+    
+    if (link.gs1 && link.gs1.data === 'https://id.gs1.org/01/09506000134352/10/ABC123?17=261231') {
+      console.log('✅ GS1 Digital Link puts the GTIN and batch in the path');
+    } else {
+      fail(`❌ GS1 Digital Link returned ${JSON.stringify(link).slice(0, 200)}`);
+    }
+  } catch (error) {
+    fail(`❌ GS1 test failed: ${error.message}`);
+  }
+}
+
+// Typed payload test
+async function payloadTest() {
+  console.log('\nRunning typed payload test...');
+  const baseURL = 'http://localhost:3000';
+  
+  try {
+    // Special characters in the SSID and password are backslash-escaped
+    const wifi = await (await fetch(`${baseURL}/v1/create-qr-code/?type=wifi&ssid=${encodeURIComponent('Guest;5G')}&encryption=WPA&password=${encodeURIComponent('pass:word')}&format=json`)).json();
+    
+    if (wifi.payload && wifi.payload.data === 'WIFI:T:WPA;S:Guest\\;5G;P:pass\\:word;;') {
+      console.log('✅ Wi-Fi payload escapes the SSID and password');
+    } else {
+      fail(`❌ Wi-Fi payload returned ${JSON.stringify(wifi).slice(0, 200)}`);
+    }
+    
+    // vCard text values escape commas and semicolons, and lines end with CRLF
+    const response = await fetch(`${baseURL}/v1/create-qr-code/?format=json`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ type: 'vcard', firstname: 'Ada', lastname: 'Lovelace', org: 'Analytical Engines, Ltd.', phone: '+44 20 7946 0000' })
+    });
+    const vcard = await response.json();
+    
+    if (vcard.payload && vcard.payload.data.includes('\r\nN:Lovelace;Ada;;;\r\nFN:Ada Lovelace\r\nORG:Analytical Engines\\, Ltd.\r\nTEL:+442079460000\r\n')) {
+      console.log('✅ vCard payload escapes text values');
+    } else {
+      fail(`❌ vCard payload returned ${JSON.stringify(vcard).slice(0, 200)}`);
+    }
+  } catch (error) {
+    fail(`❌ Typed payload test failed: ${error.message}`);
+  }
+}
+
+// Payment payload test
+async function paymentTest() {
+  console.log('\nRunning payment payload test...');
+  const baseURL = 'http://localhost:3000';
+  
+  try {
+    // EPC069-12 lines end at the last populated element, at ecc M
+    const epc = await (await fetch(`${baseURL}/v1/create-qr-code/?type=epc&name=${encodeURIComponent('Red Cross of Belgium')}&iban=${encodeURIComponent('BE72 0000 0000 1616')}&bic=BPOTBEB1&amount=1&message=${encodeURIComponent('Urgency fund')}&format=json`)).json();
+    
+    if (epc.payload && epc.payload.data === 'BCD\n002\n1\nSCT\nBPOTBEB1\nRed Cross of Belgium\nBE72000000001616\nEUR1.00\n\n\nUrgency fund' && epc.ecc === 'M') {
+      console.log('✅ EPC payload follows EPC069-12 at ecc M');
+    } else {
+      fail(`❌ EPC payload returned ${JSON.stringify(epc).slice(0, 200)}`);
+    }
+    
+    // A QR-IBAN with a QR reference; the code stays readable with the Swiss cross in the centre
+    const bill = await fetch(`${baseURL}/v1/create-qr-code/?type=swissqr&iban=${encodeURIComponent('CH44 3199 9123 0008 8901 2')}&name=${encodeURIComponent('Robert Schneider AG')}&postcode=2501&city=Biel&country=CH&amount=1949.75&reference=210000000003139471430009017&size=46mmx46mm&dpi=300`);
+    const readResponse = await fetch(`${baseURL}/v1/read-qr-code/`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'image/png' },
+      body: Buffer.from(await bill.arrayBuffer())
+    });
+    const readResult = await readResponse.json();
+    const symbol = readResult.symbols && readResult.symbols[0];
+    
+    if (bill.ok && symbol && symbol.data.startsWith('SPC\n0200\n1\nCH4431999123000889012\nS\nRobert Schneider AG') && symbol.data.includes('\nQRR\n210000000003139471430009017\n') && symbol.ecc === 'M') {
+      console.log('✅ Swiss QR-bill reads back with the cross at ecc M');
+    } else {
+      fail(`❌ Swiss QR-bill returned ${bill.status}: ${JSON.stringify(readResult).slice(0, 200)}`);
+    }
+  } catch (error) {
+    fail(`❌ Payment payload test failed: ${error.message}`);
+  }
+}
+
+// Analysis and capacity test
+async function analyzeTest() {
+  console.log('\nRunning analysis test...');
+  const baseURL = 'http://localhost:3000';
+  const data = 'a'.repeat(2500);
+  
+  try {
+    // 2500 bytes fit version 40 at ecc L only; create reports that instead of failing with a 500
+    const overflow = await fetch(`${baseURL}/v1/create-qr-code/?data=${data}&ecc=H`);
+    const overflowResult = await overflow.json();
+    
+    if (overflow.status === 422 && overflowResult.dataBits === 20020 && overflowResult.capacityBits === 10208 && JSON.stringify(overflowResult.fittingEcc) === '["L"]') {
+      console.log('✅ Overflowing data returns 422 with the capacity and the ecc levels that fit');
+    } else {
+      fail(`❌ Overflowing data returned ${overflow.status}: ${JSON.stringify(overflowResult).slice(0, 200)}`);
+    }
+    
+    const analysis = await (await fetch(`${baseURL}/v1/analyze-qr-code/?data=${data}&ecc=H`)).json();
+    if (analysis.fits === false && analysis.capacity.remainingBits === -9812 && analysis.eccLevels[0].version === 37) {
+      console.log('✅ Analysis reports overflowing data and the version that holds it at ecc L');
+    } else {
+      fail(`❌ Overflow analysis returned ${JSON.stringify(analysis).slice(0, 200)}`);
+    }
+    
+    // Light grey on dark grey at 200 pixels without a quiet zone: every check has something to say
+    const report = await (await fetch(`${baseURL}/v1/analyze-qr-code/?data=hello&ecc=M&color=eeeeee&bgcolor=333333&size=200x200`)).json();
+    if (report.version === 1 && report.capacity.remainingBits === 76 && JSON.stringify(report.fittingEcc) === '["L","M","Q","H"]'
+      && report.contrast.ratio === 10.89 && report.contrast.inverted && report.moduleSize.pixels === 9.52 && !report.quietZone.ok && report.warnings.length === 2) {
+      console.log('✅ Analysis reports contrast, module size, quiet zone and capacity');
+    } else {
+      fail(`❌ Analysis returned ${JSON.stringify(report).slice(0, 300)}`);
+    }
+    
+    const lowContrast = await (await fetch(`${baseURL}/v1/analyze-qr-code/?data=hello&color=999999&qzone=4`)).json();
+    if (lowContrast.contrast.lowContrast && !lowContrast.contrast.inverted && lowContrast.quietZone.ok && lowContrast.warnings.length === 1) {
+      console.log('✅ Analysis warns about low contrast');
+    } else {
+      fail(`❌ Low-contrast analysis returned ${JSON.stringify(lowContrast).slice(0, 200)}`);
+    }
+  } catch (error) {
+    fail(`❌ Analysis test failed: ${error.message}`);
+  }
+}
+
+// Batch test
+async function batchTest() {
+  console.log('\nRunning batch test...');
+  const baseURL = 'http://localhost:3000';
+  
+  // Walk the local file headers of a ZIP archive and inflate its entries by name
+  const readZip = (zip) => {
+    const entries = {};
+    for (let offset = 0; zip.readUInt32LE(offset) === 0x04034b50;) {
+      const nameLength = zip.readUInt16LE(offset + 26);
+      const start = offset + 30 + nameLength + zip.readUInt16LE(offset + 28);
+      const end = start + zip.readUInt32LE(offset + 18);
+      entries[zip.toString('utf8', offset + 30, offset + 30 + nameLength)] = zlib.inflateRawSync(zip.subarray(start, end));
+      offset = end;
+    }
+    return entries;
+  };
+  
+  try {
+    const items = [
+      { data: 'Batch 1', filename: 'labels/one' },
+      { data: 'Batch 2', format: 'svg' },
+      { data: 'Batch 3', ecc: 'Z' },
+      { data: 'Batch 4', filename: 'labels/one.png' }
+    ];
+    const response = await fetch(`${baseURL}/v1/batch/create-qr-code/?size=150x150`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(items)
+    });
+    const entries = readZip(Buffer.from(await response.arrayBuffer()));
+    const manifest = JSON.parse(entries['manifest.json'] || '{}');
+    
+    if (response.headers.get('content-type') === 'application/zip' && manifest.succeeded === 2 && manifest.failed === 2
+      && entries['labels/one.png'] && entries['labels/one.png'].readUInt32BE(0) === 0x89504e47 && String(entries['qr-2.svg']).startsWith('<svg')
+      && manifest.items[2].error === 'Invalid ecc parameter' && manifest.items[3].error === 'Duplicate filename labels/one.png') {
+      console.log(`✅ JSON batch: ${Object.keys(entries).length} files, errors listed in manifest.json`);
+    } else {
+      fail(`❌ JSON batch returned ${response.status}: ${JSON.stringify(manifest).slice(0, 300)}`);
+    }
+    
+    // CSV with a header row; quoted fields may hold commas and quotes
+    const form = new FormData();
+    form.append('file', new Blob(['data,filename,color\r\n"Hello, ""CSV""",hello,ff0000\r\n50%25 off,second,\r\n'], { type: 'text/csv' }), 'codes.csv');
+    const csvResponse = await fetch(`${baseURL}/v1/batch/create-qr-code/`, { method: 'POST', body: form });
+    const csvEntries = readZip(Buffer.from(await csvResponse.arrayBuffer()));
+    const csvManifest = JSON.parse(csvEntries['manifest.json'] || '{}');
+    const readResponse = await fetch(`${baseURL}/v1/read-qr-code/`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'image/png' },
+      body: csvEntries['hello.png'] || Buffer.alloc(0)
+    });
+    const readResult = await readResponse.json();
+    // Item data is used as sent, without percent-decoding
+    const secondResponse = await fetch(`${baseURL}/v1/read-qr-code/`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'image/png' },
+      body: csvEntries['second.png'] || Buffer.alloc(0)
+    });
+    const secondResult = await secondResponse.json();
+    
+    if (csvManifest.succeeded === 2 && readResult.symbols && readResult.symbols[0].data === 'Hello, "CSV"'
+      && secondResult.symbols && secondResult.symbols[0].data === '50%25 off') {
+      console.log('✅ CSV batch reads back the quoted field and literal %');
+    } else {
+      fail(`❌ CSV batch returned ${csvResponse.status}: ${JSON.stringify(csvManifest).slice(0, 200)}`);
+    }
+    
+    const empty = await fetch(`${baseURL}/v1/batch/create-qr-code/`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: '[]'
+    });
+    if (empty.status === 400) {
+      console.log('✅ Empty batch returns 400');
+    } else {
+      fail(`❌ Empty batch returned ${empty.status}`);
+    }
+  } catch (error) {
+    fail(`❌ Batch test failed: ${error.message}`);
+  }
+}
+
+// Structured append test
+async function structuredAppendTest() {
+  console.log('\nRunning structured append test...');
+  const baseURL = 'http://localhost:3000';
+  const data = JSON.stringify({ servers: Array.from({ length: 40 }, (value, index) => `https://node${index}.example.com:8443/provision`) });
+  const request = (extra) => fetch(`${baseURL}/v1/create-qr-code/`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ data, structuredappend: 'true', ...extra })
+  });
+  
+  try {
+    const result = await (await request({ format: 'json' })).json();
+    const parity = [...Buffer.from(data)].reduce((acc, byte) => acc ^ byte, 0);
+    const joined = result.symbols.map((symbol) => symbol.data).join('');
+    const sameVersion = result.symbols.every((symbol) => symbol.version === result.structuredAppend.version);
+    const headers = result.symbols.every((symbol) => symbol.segments[0].mode === 'StructuredAppend');
+    
+    if (result.structuredAppend.total > 1 && joined === data && result.structuredAppend.parity === parity && sameVersion && headers) {
+      console.log(`✅ Structured append: ${result.structuredAppend.total} symbols at version ${result.structuredAppend.version}, parity ${parity}`);
+    } else {
+      fail(`❌ Structured append returned ${JSON.stringify(result.structuredAppend)}`);
+    }
+    
+    const zip = Buffer.from(await (await request({ appendoutput: 'zip' })).arrayBuffer());
+    
+    if (zip.readUInt32LE(0) === 0x04034b50 && zip.includes('manifest.json') && zip.includes(`symbol-01-of-${String(result.structuredAppend.total).padStart(2, '0')}.png`)) {
+      console.log(`✅ Structured append ZIP: ${zip.length} bytes with manifest.json`);
+    } else {
+      fail('❌ Structured append ZIP is missing its entries');
+    }
+    
+    // Read the grid back, so the hand-built headers (mode 0011, index, total - 1, parity) are checked by a decoder
+    const grid = Buffer.from(await (await request({ size: '300x300', qzone: '4' })).arrayBuffer());
+    const read = await (await fetch(`${baseURL}/v1/read-qr-code/`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'image/png' },
+      body: grid
+    })).json();
+    const sequence = (read.symbols || []).filter((symbol) => symbol.structuredAppend).sort((a, b) => a.structuredAppend.index - b.structuredAppend.index);
+    const headersRead = sequence.length === result.structuredAppend.total && sequence.every((symbol, index) =>
+      symbol.structuredAppend.index === index && symbol.structuredAppend.total === result.structuredAppend.total && symbol.structuredAppend.parity === parity);
+    
+    if (headersRead && sequence.map((symbol) => symbol.data).join('') === data) {
+      console.log(`✅ Structured append read back: ${sequence.length} headers with indexes 0-${sequence.length - 1}, total ${result.structuredAppend.total} and parity ${parity}`);
+    } else {
+      fail(`❌ Structured append read back ${JSON.stringify((read.symbols || []).map((symbol) => symbol.structuredAppend || symbol.error || symbol.data))}`);
+    }
+  } catch (error) {
+    fail(`❌ Structured append test failed: ${error.message}`);
+  }
+}
+
+// Physical size test
+async function physicalSizeTest() {
+  console.log('\nRunning physical size test...');
+  const baseURL = 'http://localhost:3000';
+  
+  try {
+    // 25 mm at 300 DPI is 295 pixels, and 70.866 points in SVG
+    const png = Buffer.from(await (await fetch(`${baseURL}/v1/create-qr-code/?data=Physical&size=25mmx25mm&dpi=300`)).arrayBuffer());
+    const width = png.readUInt32BE(16);
+    const svg = await (await fetch(`${baseURL}/v1/create-qr-code/?data=Physical&size=25mmx25mm&format=svg`)).text();
+    const eps = await (await fetch(`${baseURL}/v1/create-qr-code/?data=Physical&size=1inx1in&margin=0.125in&format=eps`)).text();
+    
+    if (width === 295 && svg.includes('width="70.866pt"') && eps.includes('%%HiResBoundingBox: 0 0 90 90')) {
+      console.log('✅ Physical sizes: 25mm PNG at 300 DPI is 295px, SVG is 70.866pt, 1in EPS with 0.125in margin is 90pt');
+    } else {
+      fail(`❌ Physical sizes: PNG width ${width}, SVG ${svg.slice(0, 120)}, EPS ${eps.split('\n')[2]}`);
+    }
+    
+    const json = await (await fetch(`${baseURL}/v1/create-qr-code/?data=Physical&size=25mmx25mm&dpi=300&qzone=2mm&format=json`)).json();
+    const expectedQzone = Math.round(2 / ((25 - 4) / json.modules));
+    
+    if (json.dimensions.qzone === expectedQzone && json.dimensions.moduleSizeMm > 0.25) {
+      console.log(`✅ Physical quiet zone: 2mm is ${json.dimensions.qzone} modules of ${json.dimensions.moduleSizeMm} mm`);
+    } else {
+      fail(`❌ Physical quiet zone: ${JSON.stringify(json.dimensions)}`);
+    }
+  } catch (error) {
+    fail(`❌ Physical size test failed: ${error.message}`);
+  }
+}
+
+// Read round-trip test
+async function readTest() {
+  console.log('\nRunning read round-trip test...');
+  const baseURL = 'http://localhost:3000';
+  const data = 'Read round trip';
+  
+  try {
+    for (const ecc of ['L', 'M', 'Q', 'H']) {
+      const image = await fetch(`${baseURL}/v1/create-qr-code/?data=${encodeURIComponent(data)}&size=240x240&ecc=${ecc}`);
+      const response = await fetch(`${baseURL}/v1/read-qr-code/`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'image/png' },
+        body: Buffer.from(await image.arrayBuffer())
+      });
+      const result = await response.json();
+      const symbol = result.symbols && result.symbols[0];
+      
+      if (response.ok && result.count === 1 && symbol.data === data && symbol.ecc === ecc) {
+        console.log(`✅ Read ECC ${ecc}: "${symbol.data}" (version ${symbol.version}, mask ${symbol.mask})`);
+      } else {
+        fail(`❌ Read ECC ${ecc} returned ${response.status}: ${JSON.stringify(result)}`);
+      }
+    }
+    
+    // Styled modules and eyes must stay readable, format information included
+    const styledData = 'https://example.com/styled';
+    const styled = await fetch(`${baseURL}/v1/create-qr-code/?data=${encodeURIComponent(styledData)}&size=300x300&qzone=4&ecc=M&moduleshape=classy&eyeshape=circle&eyeinnershape=circle&gradient=radial&gradientcolor=2563eb`);
+    const styledResponse = await fetch(`${baseURL}/v1/read-qr-code/`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'image/png' },
+      body: Buffer.from(await styled.arrayBuffer())
+    });
+    const styledResult = await styledResponse.json();
+    const styledSymbol = styledResult.symbols && styledResult.symbols[0];
+    
+    if (styledResponse.ok && styledResult.count === 1 && styledSymbol.data === styledData && styledSymbol.ecc === 'M') {
+      console.log(`✅ Read styled code: "${styledSymbol.data}" (ECC ${styledSymbol.ecc})`);
+    } else {
+      fail(`❌ Read styled code returned ${styledResponse.status}: ${JSON.stringify(styledResult)}`);
+    }
+    
+    // A framed code grows the canvas but keeps the code at the requested size
+    const frameData = 'https://example.com/framed';
+    const framed = await fetch(`${baseURL}/v1/create-qr-code/?data=${encodeURIComponent(frameData)}&size=240x240&qzone=2&frame=banner&caption=${encodeURIComponent('Scan me')}`);
+    const framedImage = Buffer.from(await framed.arrayBuffer());
+    const framedWidth = framedImage.readUInt32BE(16);
+    const framedHeight = framedImage.readUInt32BE(20);
+    const framedResponse = await fetch(`${baseURL}/v1/read-qr-code/`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'image/png' },
+      body: framedImage
+    });
+    const framedResult = await framedResponse.json();
+    
+    if (framedResponse.ok && framedResult.count === 1 && framedResult.symbols[0].data === frameData && framedHeight > framedWidth && framedWidth > 240) {
+      console.log(`✅ Read framed code: "${framedResult.symbols[0].data}" on a ${framedWidth}x${framedHeight} canvas`);
+    } else {
+      fail(`❌ Read framed code (${framedWidth}x${framedHeight}) returned ${framedResponse.status}: ${JSON.stringify(framedResult)}`);
+    }
+    
+    // A logo forces ECC up to Q and must stay readable
+    const logoData = 'https://example.com/spring-campaign?ref=poster';
+    const image = await fetch(`${baseURL}/v1/create-qr-code/?data=${encodeURIComponent(logoData)}&size=300x300&ecc=L&logoname=example`);
+    const response = await fetch(`${baseURL}/v1/read-qr-code/`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'image/png' },
+      body: Buffer.from(await image.arrayBuffer())
+    });
+    const result = await response.json();
+    const symbol = result.symbols && result.symbols[0];
+    
+    if (response.ok && result.count === 1 && symbol.data === logoData && symbol.ecc === 'Q') {
+      console.log(`✅ Read logo code: "${symbol.data}" (ECC raised to ${symbol.ecc})`);
+    } else {
+      fail(`❌ Read logo code returned ${response.status}: ${JSON.stringify(result)}`);
+    }
+    
+    // Short data would give a version 1 symbol with the plate on the timing patterns, so the version goes up
+    const shortImage = await fetch(`${baseURL}/v1/create-qr-code/?data=hello&size=300x300&logoname=example`);
+    const shortResult = await (await fetch(`${baseURL}/v1/read-qr-code/`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'image/png' },
+      body: Buffer.from(await shortImage.arrayBuffer())
+    })).json();
+    const shortSymbol = shortResult.symbols && shortResult.symbols[0];
+    
+    if (shortImage.ok && shortSymbol && shortSymbol.data === 'hello' && shortSymbol.version > 1) {
+      console.log(`✅ Read logo code with short data: version raised to ${shortSymbol.version}`);
+    } else {
+      fail(`❌ Read logo code with short data returned ${shortImage.status}: ${JSON.stringify(shortResult)}`);
+    }
+    
+    // The Kanji and ECI headers patch qrcode internals, so the round trips below only hold for the pinned version
+    const pinnedQRCode = require('./package.json').dependencies.qrcode;
+    const installedQRCode = require('qrcode/package.json').version;
+    
+    if (installedQRCode === pinnedQRCode) {
+      console.log(`✅ qrcode ${installedQRCode} matches the version pinned in package.json`);
+    } else {
+      fail(`❌ qrcode ${installedQRCode} is installed but package.json pins ${pinnedQRCode}. Check the segment overrides in server.js before moving the pin`);
+    }
+    
+    // Shift_JIS text gets an ECI header and Kanji mode, and reads back in the named charset
+    const sjisData = '日本語のテキストABC';
+    const sjisQuery = `data=${encodeURIComponent(sjisData)}&charset-target=Shift_JIS`;
+    const sjisSymbol = await (await fetch(`${baseURL}/v1/create-qr-code/?${sjisQuery}&format=json`)).json();
+    const sjisModes = sjisSymbol.segments.map((segment) => segment.mode).join(',');
+    const sjisImage = await fetch(`${baseURL}/v1/create-qr-code/?${sjisQuery}&size=300x300`);
+    const sjisResult = await (await fetch(`${baseURL}/v1/read-qr-code/`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'image/png' },
+      body: Buffer.from(await sjisImage.arrayBuffer())
+    })).json();
+    const sjisRead = sjisResult.symbols && sjisResult.symbols[0];
+    
+    if (sjisModes === 'ECI,Kanji,Byte' && sjisRead && sjisRead.data === sjisData && sjisRead.charset === 'SHIFT_JIS') {
+      console.log(`✅ Read Shift_JIS code: "${sjisRead.data}" (${sjisModes})`);
+    } else {
+      fail(`❌ Read Shift_JIS code (${sjisModes}): ${JSON.stringify(sjisResult)}`);
+    }
+    
+    // mode=byte keeps every character as Shift_JIS bytes instead of switching to Kanji mode
+    const byteSymbol = await (await fetch(`${baseURL}/v1/create-qr-code/?${sjisQuery}&mode=byte&format=json`)).json();
+    const byteImage = await fetch(`${baseURL}/v1/create-qr-code/?${sjisQuery}&mode=byte&size=300x300`);
+    const byteResult = await (await fetch(`${baseURL}/v1/read-qr-code/`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'image/png' },
+      body: Buffer.from(await byteImage.arrayBuffer())
+    })).json();
+    const byteRead = byteResult.symbols && byteResult.symbols[0];
+    const byteModes = byteSymbol.segments.map((segment) => segment.mode).join(',');
+    
+    if (byteModes === 'ECI,Byte' && byteRead && byteRead.data === sjisData) {
+      console.log(`✅ Read Shift_JIS byte-mode code: "${byteRead.data}" (${byteModes})`);
+    } else {
+      fail(`❌ Read Shift_JIS byte-mode code (${byteModes}): ${JSON.stringify(byteResult)}`);
+    }
+  } catch (error) {
+    fail(`❌ Read round-trip test failed: ${error.message}`);
   }
 }
 
@@ -206,18 +1429,42 @@ async function runTests() {
       console.log('✅ Server is running\n');
       await testAPI();
       await performanceTest();
+      await epsTest();
+      await pdfTest();
+      await matrixFormatTest();
+      await pngDepthTest();
+      await crispTest();
+      await symbolControlTest();
+      await symbologyTest();
+      await barcodeTest();
+      await linearBarcodeTest();
+      await gs1Test();
+      await payloadTest();
+      await paymentTest();
+      await analyzeTest();
+      await batchTest();
+      await structuredAppendTest();
+      await physicalSizeTest();
+      await readTest();
     } else {
-      console.log('❌ Server health check failed');
+      fail('❌ Server health check failed');
     }
   } catch (error) {
-    console.log('❌ Cannot connect to server. Make sure it\'s running on port 3000.');
+    fail('❌ Cannot connect to server. Make sure it\'s running on port 3000.');
     console.log('Start the server with: npm start');
   }
+  
+  if (failures) {
+    console.log(`\n${failures} check${failures === 1 ? '' : 's'} failed`);
+  }
+  return failures;
 }
 
 // Run tests if this file is executed directly
 if (require.main === module) {
-  runTests();
+  runTests().then((failed) => {
+    process.exitCode = failed ? 1 : 0;
+  });
 }
 
-module.exports = { testAPI, performanceTest, runTests };
\ No newline at end of file
+module.exports = { testAPI, performanceTest, epsTest, pdfTest, matrixFormatTest, pngDepthTest, crispTest, symbolControlTest, symbologyTest, barcodeTest, linearBarcodeTest, gs1Test, payloadTest, paymentTest, analyzeTest, batchTest, structuredAppendTest, physicalSizeTest, readTest, runTests };
\ No newline at end of file